@@ -0,0 +1,166 @@
+/**
+ * Collision benchmark for TURIA INVADERS
+ * Run with: bun bench.js
+ *
+ * Times a tick's bullet vs enemy check three ways on growing scenes:
+ *   naive - a plain bullets × enemies loop, bounds computed per pair
+ *   scan  - CollisionSystem with enemy bounds gathered once, no grid
+ *   grid  - CollisionSystem with its spatial hash broadphase
+ * CONFIG.COLLISION.gridMinPairs (enemies × bullets) picks between scan and grid in the game.
+ *
+ * Hits are neutralized (no kills, bullets stay live), so every iteration sees the same scene.
+ */
+
+import { CollisionSystem } from './js/systems/CollisionSystem.js';
+import { CONFIG } from './js/config.js';
+import { Enemy } from './js/entities/Enemy.js';
+import { Bullet } from './js/entities/Bullet.js';
+import { BeerType } from './js/entities/BeerType.js';
+import { Random } from './js/Random.js';
+import { rectIntersect } from './js/utils.js';
+
+// Scenes: formation size × bullets in flight - the game's own 4×8 formation first
+const SCENES = [
+    { rows: 4, cols: 8, bullets: 10 },
+    { rows: 4, cols: 8, bullets: 30 },
+    { rows: 5, cols: 11, bullets: 10 },
+    { rows: 5, cols: 11, bullets: 100 },
+    { rows: 10, cols: 20, bullets: 100 },
+    { rows: 10, cols: 20, bullets: 500 },
+    { rows: 20, cols: 40, bullets: 1000 }
+];
+
+// Each approach runs for at least this long per scene (ms)
+const MIN_RUN_TIME = 300;
+
+/**
+ * Builds a formation and a spread of bullets over it
+ * @param {Object} scene - Scene {rows, cols, bullets}
+ * @returns {Object} Entities {enemies, bullets, offset}
+ */
+function createScene({ rows, cols, bullets: bulletCount }) {
+    const rng = new Random(1);
+    const types = [BeerType.LAGER, BeerType.IPA, BeerType.STOUT];
+    const spacing = 56;
+    const enemies = [];
+    const bullets = [];
+
+    for (let row = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++) {
+            const enemy = new Enemy(col * spacing, row * spacing, types[(row + col) % 3], rng);
+            enemy.kill = () => {};
+            enemy.deflect = () => {};
+            enemies.push(enemy);
+        }
+    }
+
+    for (let i = 0; i < bulletCount; i++) {
+        const bullet = new Bullet(rng.random() * cols * spacing, rng.random() * rows * spacing, -500, types[i % 3]);
+        bullet.destroy = () => {};
+        bullets.push(bullet);
+    }
+
+    return { enemies, bullets, offset: { x: 40, y: 40 } };
+}
+
+/**
+ * Bullet vs enemy check as it was before the broadphase
+ * @param {Array<Bullet>} bullets - Bullets
+ * @param {Array<Enemy>} enemies - Enemies
+ * @param {Object} offset - Formation offset
+ * @returns {number} Hit count
+ */
+function naiveBulletEnemy(bullets, enemies, offset) {
+    let hits = 0;
+
+    for (const bullet of bullets) {
+        if (!bullet.active) continue;
+
+        const bulletBounds = bullet.getBounds();
+
+        for (const enemy of enemies) {
+            if (!enemy.alive || enemy.dying) continue;
+
+            if (rectIntersect(bulletBounds, enemy.getBounds(offset))) {
+                hits++;
+                break;
+            }
+        }
+    }
+
+    return hits;
+}
+
+/**
+ * Runs a check repeatedly and measures it
+ * @param {function(): number} check - Check to time, returning its hit count
+ * @returns {Object} Result {perCheck (ms), hits}
+ */
+function time(check) {
+    // Warm up the JIT
+    let hits = 0;
+    for (let i = 0; i < 20; i++) hits = check();
+
+    let iterations = 0;
+    const start = performance.now();
+    while (performance.now() - start < MIN_RUN_TIME) {
+        check();
+        iterations++;
+    }
+
+    return { perCheck: (performance.now() - start) / iterations, hits };
+}
+
+/**
+ * Times CollisionSystem on a scene, forcing the grid on or off
+ * @param {Object} scene - Entities {enemies, bullets, offset}
+ * @param {boolean} useGrid - True to force the grid, false to force the full scan
+ * @returns {Object} Result {perCheck (ms), hits}
+ */
+function timeCollisionSystem({ enemies, bullets, offset }, useGrid) {
+    const collision = new CollisionSystem();
+    const originalMin = CONFIG.COLLISION.gridMinPairs;
+    CONFIG.COLLISION.gridMinPairs = useGrid ? 0 : Infinity;
+
+    // A whole tick - gather the enemies, then check
+    const result = time(() => {
+        collision.clear();
+        collision.prepareEnemies(enemies, offset, bullets.length);
+        return collision.checkBulletEnemyCollisions(bullets, enemies, offset).length +
+            collision.getEventsByType('bullet_enemy_mismatch').length;
+    });
+
+    CONFIG.COLLISION.gridMinPairs = originalMin;
+    return result;
+}
+
+const rows = [];
+
+for (const scene of SCENES) {
+    const entities = createScene(scene);
+    const { enemies, bullets, offset } = entities;
+
+    const naive = time(() => naiveBulletEnemy(bullets, enemies, offset));
+    const scan = timeCollisionSystem(entities, false);
+    const grid = timeCollisionSystem(entities, true);
+
+    if (naive.hits !== scan.hits || naive.hits !== grid.hits) {
+        console.error(`Hit counts differ: naive ${naive.hits}, scan ${scan.hits}, grid ${grid.hits}`);
+        process.exit(1);
+    }
+
+    const used = enemies.length * bullets.length >= CONFIG.COLLISION.gridMinPairs ? grid : scan;
+
+    rows.push({
+        enemies: enemies.length,
+        bullets: bullets.length,
+        hits: grid.hits,
+        'naive (ms)': Number(naive.perCheck.toFixed(4)),
+        'scan (ms)': Number(scan.perCheck.toFixed(4)),
+        'grid (ms)': Number(grid.perCheck.toFixed(4)),
+        used: used === grid ? 'grid' : 'scan',
+        speedup: `${(naive.perCheck / used.perCheck).toFixed(1)}x`
+    });
+}
+
+console.table(rows);
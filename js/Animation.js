@@ -0,0 +1,72 @@
+/**
+ * TURIA INVADERS - Animation
+ * Steps through sprite sheet frame names over time, looping or playing once
+ */
+
+export class Animation {
+    /**
+     * Creates an animation
+     * @param {Array<string>} frames - Frame names in play order
+     * @param {Object} options - {frameDuration (ms, default 100), loop (default true)}
+     */
+    constructor(frames, options = {}) {
+        this.play(frames, options);
+    }
+
+    /**
+     * Switches to a new sequence, starting from its first frame
+     * @param {Array<string>} frames - Frame names in play order
+     * @param {Object} options - {frameDuration (ms, default 100), loop (default true)}
+     */
+    play(frames, { frameDuration = 100, loop = true } = {}) {
+        this.frames = frames;
+        this.frameDuration = frameDuration;
+        this.loop = loop;
+        this.elapsed = 0; // ms
+    }
+
+    /**
+     * Restarts the current sequence
+     */
+    reset() {
+        this.elapsed = 0;
+    }
+
+    /**
+     * Advances playback
+     * @param {number} dt - Delta time in seconds
+     */
+    update(dt) {
+        this.elapsed += dt * 1000;
+
+        // Keep looping time bounded so long sessions don't lose precision
+        if (this.loop) {
+            this.elapsed %= this.frames.length * this.frameDuration;
+        }
+    }
+
+    /**
+     * Gets the frame index for the current time
+     * @returns {number} Index into frames
+     */
+    getFrameIndex() {
+        const index = Math.floor(this.elapsed / this.frameDuration);
+        return this.loop ? index % this.frames.length : Math.min(index, this.frames.length - 1);
+    }
+
+    /**
+     * Gets the frame to draw - a finished one-shot holds its last frame
+     * @returns {string} Frame name
+     */
+    getFrame() {
+        return this.frames[this.getFrameIndex()];
+    }
+
+    /**
+     * Checks if a one-shot sequence has played through
+     * @returns {boolean} True once finished (never for looping sequences)
+     */
+    isFinished() {
+        return !this.loop && this.elapsed >= this.frames.length * this.frameDuration;
+    }
+}
@@ -1,56 +1,215 @@
 /**
  * TURIA INVADERS - Asset Loader
- * Preloads and caches game assets
+ * Preloads and caches game assets from a typed manifest, retrying failed files
  */
 
 import { CONFIG } from './config.js';
+import { SpriteSheet } from './SpriteSheet.js';
+
+// Asset types, each with the loader method that fetches one file of that type
+export const ASSET_TYPES = {
+    image: 'loadImage',
+    atlas: 'loadAtlas',
+    audio: 'loadAudio',
+    json: 'loadJSON',
+    font: 'loadFont'
+};
+
+// CONFIG.ASSETS section → asset type of its entries
+const MANIFEST_SECTIONS = {
+    images: 'image',
+    atlases: 'atlas',
+    audio: 'audio',
+    json: 'json',
+    fonts: 'font'
+};
+
+/**
+ * Waits for a while
+ * @param {number} ms - Time in ms
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
 
 class AssetLoaderClass {
     constructor() {
-        this.images = {};
+        // Loaded assets by type, then key (null for a file that failed)
+        this.assets = {};
+        for (const type of Object.keys(ASSET_TYPES)) {
+            this.assets[type] = {};
+        }
+
+        this.waves = [];
+        this.songs = {};
+        this.errors = []; // {type, key, src, message} for every file that gave up
         this.loaded = false;
         this.loadingProgress = 0;
     }
 
+    /**
+     * Builds the manifest from CONFIG - the ASSETS sections, authored waves and music
+     * @returns {Array<Object>} Entries {type, key, src}
+     */
+    getManifest() {
+        const manifest = [];
+
+        for (const [section, type] of Object.entries(MANIFEST_SECTIONS)) {
+            for (const [key, src] of Object.entries(CONFIG.ASSETS[section])) {
+                manifest.push({ type, key, src });
+            }
+        }
+
+        for (const src of CONFIG.WAVES) {
+            manifest.push({ type: 'json', key: src, src });
+        }
+
+        for (const [track, src] of Object.entries(CONFIG.MUSIC.tracks)) {
+            manifest.push({ type: 'json', key: `song:${track}`, src });
+        }
+
+        return manifest;
+    }
+
     /**
      * Loads a single image
-     * @param {string} key - Asset key
      * @param {string} src - Image source path
      * @returns {Promise<HTMLImageElement>}
+     * @throws {Error} If the image fails to load
      */
-    loadImage(key, src) {
+    loadImage(src) {
         return new Promise((resolve, reject) => {
             const img = new Image();
-            img.onload = () => {
-                this.images[key] = img;
-                resolve(img);
-            };
-            img.onerror = () => {
-                console.warn(`Failed to load image: ${src}, using fallback`);
-                // Create a fallback colored rectangle
-                this.images[key] = null;
-                resolve(null);
-            };
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('Image failed to load'));
             img.src = src;
         });
     }
 
+    /**
+     * Loads a JSON data file
+     * @param {string} src - JSON source path
+     * @returns {Promise<Object>} Parsed data
+     * @throws {Error} If the request or parsing fails
+     */
+    async loadJSON(src) {
+        const response = await fetch(src);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        return await response.json();
+    }
+
+    /**
+     * Loads a sprite sheet - its frame map, then the image the map names
+     * @param {string} src - Frame map JSON path
+     * @returns {Promise<SpriteSheet>}
+     * @throws {Error} If either file fails
+     */
+    async loadAtlas(src) {
+        const data = await this.loadJSON(src);
+
+        // The image path is relative to the frame map
+        const imageSrc = src.slice(0, src.lastIndexOf('/') + 1) + data.meta.image;
+        const image = await this.loadImage(imageSrc);
+
+        return new SpriteSheet(image, data);
+    }
+
+    /**
+     * Loads and decodes a sound file
+     * Decoded on an offline context, since the real one waits for a user gesture;
+     * the buffer plays on any context
+     * @param {string} src - Audio source path
+     * @returns {Promise<AudioBuffer>}
+     * @throws {Error} If the request or decoding fails
+     */
+    async loadAudio(src) {
+        const response = await fetch(src);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const OfflineContextClass = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+        if (!OfflineContextClass) {
+            throw new Error('Audio not supported');
+        }
+
+        const data = await response.arrayBuffer();
+        return await new OfflineContextClass(1, 1, 44100).decodeAudioData(data);
+    }
+
+    /**
+     * Loads a font face and makes it available to the canvas
+     * @param {string} src - CSS font source (e.g. "url('assets/fonts/x.woff2')")
+     * @param {string} family - Font family name
+     * @returns {Promise<FontFace>}
+     * @throws {Error} If the font fails to load
+     */
+    async loadFont(src, family) {
+        const face = await new FontFace(family, src).load();
+        document.fonts.add(face);
+        return face;
+    }
+
+    /**
+     * Loads one manifest entry, retrying before giving up
+     * @param {Object} entry - Manifest entry {type, key, src}
+     * @returns {Promise<*>} Loaded asset, or null once every attempt has failed
+     */
+    async loadEntry(entry) {
+        const { retries, retryDelay } = CONFIG.LOADING;
+        const loader = this[ASSET_TYPES[entry.type]];
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await loader.call(this, entry.src, entry.key);
+            } catch (e) {
+                if (attempt >= retries) {
+                    console.warn(`Failed to load ${entry.type}: ${entry.src}`, e);
+                    this.errors.push({ ...entry, message: e.message });
+                    return null;
+                }
+
+                // Back off a little longer each time
+                await delay(retryDelay * (attempt + 1));
+            }
+        }
+    }
+
     /**
      * Loads all game assets
+     * @param {Array<Object>} manifest - Entries to load (default from CONFIG)
      * @returns {Promise<void>}
      */
-    async loadAll() {
-        const assets = CONFIG.ASSETS;
-        const entries = Object.entries(assets);
+    async loadAll(manifest = this.getManifest()) {
         let loadedCount = 0;
+        this.errors = [];
+        this.loadingProgress = 0;
 
-        const promises = entries.map(async ([key, src]) => {
-            await this.loadImage(key, src);
+        await Promise.all(manifest.map(async (entry) => {
+            if (!ASSET_TYPES[entry.type]) {
+                throw new Error(`Unknown asset type: ${entry.type}`);
+            }
+
+            this.assets[entry.type][entry.key] = await this.loadEntry(entry);
             loadedCount++;
-            this.loadingProgress = loadedCount / entries.length;
-        });
+            this.loadingProgress = loadedCount / manifest.length;
+        }));
+
+        // One slot per authored wave, so later waves keep their numbers;
+        // a file that failed leaves null and that wave is generated instead
+        this.waves = CONFIG.WAVES.map(src => this.assets.json[src] || null);
 
-        await Promise.all(promises);
+        // A track whose song failed to load just stays silent
+        this.songs = {};
+        for (const track of Object.keys(CONFIG.MUSIC.tracks)) {
+            const song = this.assets.json[`song:${track}`];
+            if (song) this.songs[track] = song;
+        }
+
+        this.loadingProgress = 1;
         this.loaded = true;
     }
 
@@ -60,7 +219,66 @@ class AssetLoaderClass {
      * @returns {HTMLImageElement|null}
      */
     get(key) {
-        return this.images[key] || null;
+        return this.assets.image[key] || null;
+    }
+
+    /**
+     * Gets a loaded sprite sheet
+     * @param {string} key - Atlas key
+     * @returns {SpriteSheet|null}
+     */
+    getAtlas(key) {
+        return this.assets.atlas[key] || null;
+    }
+
+    /**
+     * Gets a loaded sound
+     * @param {string} key - Audio key
+     * @returns {AudioBuffer|null}
+     */
+    getAudio(key) {
+        return this.assets.audio[key] || null;
+    }
+
+    /**
+     * Gets loaded JSON data
+     * @param {string} key - Data key
+     * @returns {Object|null}
+     */
+    getJSON(key) {
+        return this.assets.json[key] || null;
+    }
+
+    /**
+     * Gets the authored wave definitions, in play order
+     * @returns {Array<Object|null>} One per CONFIG.WAVES entry (null where the file failed)
+     */
+    getWaves() {
+        return this.waves;
+    }
+
+    /**
+     * Sets wave definitions loaded elsewhere (the headless runner reads them from disk)
+     * @param {Array<Object>} waves - Wave definitions in play order
+     */
+    setWaves(waves) {
+        this.waves = waves;
+    }
+
+    /**
+     * Gets the loaded music
+     * @returns {Object} Song data by track name
+     */
+    getSongs() {
+        return this.songs;
+    }
+
+    /**
+     * Gets the assets that failed to load, after every retry
+     * @returns {Array<Object>} Failures {type, key, src, message}
+     */
+    getErrors() {
+        return this.errors;
     }
 
     /**
@@ -0,0 +1,136 @@
+/**
+ * TURIA INVADERS - Camera
+ * Canvas transform for trauma-based screen shake, zoom pulses and hit-stop,
+ * all advanced by simulation time
+ */
+
+import { CONFIG } from './config.js';
+import { clamp } from './utils.js';
+
+export class Camera {
+    constructor() {
+        // Shake - trauma (0-1) decays linearly; shake strength is trauma squared
+        this.trauma = 0;
+        this.time = 0; // Simulation seconds, drives the shake noise
+
+        // Zoom pulse - eases in and back out over its duration
+        this.zoom = null; // {scale, x, y, duration, timer} (ms)
+
+        // Hit-stop - world updates freeze while this runs
+        this.hitStopTimer = 0; // ms
+    }
+
+    /**
+     * Adds shake
+     * @param {number} amount - Trauma to add (0-1); the total is capped at 1
+     */
+    addTrauma(amount) {
+        this.trauma = clamp(this.trauma + amount, 0, 1);
+    }
+
+    /**
+     * Zooms toward a point and back
+     * @param {number} scale - Peak zoom (1 = none)
+     * @param {number} x - Focus x
+     * @param {number} y - Focus y
+     * @param {number} duration - Total time in ms
+     */
+    zoomPulse(scale, x, y, duration) {
+        this.zoom = { scale, x, y, duration, timer: duration };
+    }
+
+    /**
+     * Freezes the world for a moment; overlapping stops don't add up
+     * @param {number} duration - Time in ms
+     */
+    hitStop(duration) {
+        this.hitStopTimer = Math.max(this.hitStopTimer, duration);
+    }
+
+    /**
+     * Checks if a hit-stop is running
+     * @returns {boolean} True while the world should hold still
+     */
+    isHitStopped() {
+        return this.hitStopTimer > 0;
+    }
+
+    /**
+     * Advances shake, zoom and hit-stop
+     * @param {number} dt - Delta time in seconds
+     */
+    update(dt) {
+        if (this.hitStopTimer > 0) {
+            this.hitStopTimer -= dt * 1000;
+        }
+
+        this.time += dt;
+        this.trauma = Math.max(0, this.trauma - CONFIG.CAMERA.traumaDecay * dt);
+
+        if (this.zoom) {
+            this.zoom.timer -= dt * 1000;
+            if (this.zoom.timer <= 0) {
+                this.zoom = null;
+            }
+        }
+    }
+
+    /**
+     * Clears all effects
+     */
+    reset() {
+        this.trauma = 0;
+        this.zoom = null;
+        this.hitStopTimer = 0;
+    }
+
+    /**
+     * Gets the current shake offset and rotation
+     * Smooth noise from summed sines at unrelated frequencies, so the shake wobbles instead of jittering
+     * @returns {Object} Shake {x, y, angle}
+     */
+    getShake() {
+        const shake = this.trauma * this.trauma;
+        if (shake === 0) return { x: 0, y: 0, angle: 0 };
+
+        const t = this.time * CONFIG.CAMERA.shakeFrequency;
+        const noise = (a, b) => (Math.sin(t * a) + Math.sin(t * b)) / 2;
+
+        return {
+            x: CONFIG.CAMERA.maxShakeOffset * shake * noise(1.0, 2.3),
+            y: CONFIG.CAMERA.maxShakeOffset * shake * noise(1.7, 3.1),
+            angle: CONFIG.CAMERA.maxShakeAngle * shake * noise(1.3, 2.9)
+        };
+    }
+
+    /**
+     * Gets the current zoom
+     * @returns {number} Scale (1 = none)
+     */
+    getZoom() {
+        if (!this.zoom) return 1;
+
+        const progress = 1 - this.zoom.timer / this.zoom.duration;
+        return 1 + (this.zoom.scale - 1) * Math.sin(progress * Math.PI);
+    }
+
+    /**
+     * Applies the camera transform - wrap in save/restore
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} width - View width
+     * @param {number} height - View height
+     */
+    apply(ctx, width, height) {
+        const shake = this.getShake();
+        const zoom = this.getZoom();
+
+        // Zoom around the focus point (screen center when not zooming)
+        const focusX = this.zoom ? this.zoom.x : width / 2;
+        const focusY = this.zoom ? this.zoom.y : height / 2;
+
+        ctx.translate(focusX + shake.x, focusY + shake.y);
+        ctx.rotate(shake.angle);
+        ctx.scale(zoom, zoom);
+        ctx.translate(-focusX, -focusY);
+    }
+}
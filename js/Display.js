@@ -0,0 +1,38 @@
+/**
+ * TURIA INVADERS - Display
+ * Fits the fixed logical resolution to the window, letterboxed
+ */
+
+import { CONFIG } from './config.js';
+
+/**
+ * Gets the largest scale at which the logical resolution fits the window
+ * @param {number} windowWidth - Available width
+ * @param {number} windowHeight - Available height
+ * @returns {number} Scale (whole number when integer scaling is on and the window allows it)
+ */
+export function getDisplayScale(windowWidth, windowHeight) {
+    const scale = Math.min(windowWidth / CONFIG.CANVAS.width, windowHeight / CONFIG.CANVAS.height);
+    return CONFIG.DISPLAY.integerScaling && scale >= 1 ? Math.floor(scale) : scale;
+}
+
+/**
+ * Sizes the canvas to the window, keeping the logical resolution's aspect ratio
+ * The backing store matches the screen pixels it covers, and the context is scaled
+ * so everything keeps drawing in logical units
+ * @param {HTMLCanvasElement} canvas - Game canvas
+ */
+export function fitCanvas(canvas) {
+    const { width, height } = CONFIG.CANVAS;
+    const scale = getDisplayScale(window.innerWidth, window.innerHeight);
+    const pixelScale = scale * (window.devicePixelRatio || 1);
+
+    // On-page size - the container centers it, leaving black bars around
+    canvas.style.width = `${Math.floor(width * scale)}px`;
+    canvas.style.height = `${Math.floor(height * scale)}px`;
+
+    // Resizing the backing store resets the context, so the transform is set after
+    canvas.width = Math.round(width * pixelScale);
+    canvas.height = Math.round(height * pixelScale);
+    canvas.getContext('2d').setTransform(pixelScale, 0, 0, pixelScale, 0, 0);
+}
@@ -4,24 +4,44 @@
  */
 
 import { CONFIG } from './config.js';
+import { Random } from './Random.js';
+import { Camera } from './Camera.js';
+import { randomRange } from './utils.js';
+import { MusicSystem } from './systems/MusicSystem.js';
 
 export class Game {
+    /**
+     * Creates the game
+     * @param {HTMLCanvasElement|null} canvas - Canvas to draw on (null runs headless, update only)
+     */
     constructor(canvas) {
         this.canvas = canvas;
-        this.ctx = canvas.getContext('2d');
+        this.ctx = canvas ? canvas.getContext('2d') : null;
         this.width = CONFIG.CANVAS.width;
         this.height = CONFIG.CANVAS.height;
 
-        // Time tracking
+        // Time tracking - fixed simulation step, variable render rate
         this.lastTime = 0;
-        this.deltaTime = 0;
+        this.fixedStep = 1 / CONFIG.TIMING.tickRate;
+        this.accumulator = 0;
+        this.alpha = 0; // Fraction of a tick left over, used for render interpolation
         this.running = false;
 
-        // State management
-        this.currentState = null;
+        // State management - a stack, so overlays (pause) sit on top of the state they cover
+        this.currentState = null; // Top of the stack - the only state that updates
+        this.stateStack = [];
         this.states = {};
 
-        // Stars for background
+        // Screen shake, zoom and hit-stop for the world (overlays draw outside it)
+        this.camera = new Camera();
+
+        // On-screen notification (e.g. gamepad hot-plug)
+        this.toast = null;
+        this.toastDuration = 2500; // ms
+
+        // Stars for background - own random source so cosmetics never shift the gameplay sequence.
+        // Each run reseeds it (seedStars), so a seed or replay also brings back its starfield
+        this.starRng = new Random();
         this.stars = this.createStars(100);
     }
 
@@ -34,16 +54,25 @@ export class Game {
         const stars = [];
         for (let i = 0; i < count; i++) {
             stars.push({
-                x: Math.random() * this.width,
-                y: Math.random() * this.height,
-                size: Math.random() * 2 + 0.5,
-                speed: Math.random() * 20 + 10,
-                brightness: Math.random() * 0.5 + 0.5
+                x: randomRange(0, this.width, this.starRng),
+                y: randomRange(0, this.height, this.starRng),
+                size: randomRange(0.5, 2.5, this.starRng),
+                speed: randomRange(10, 30, this.starRng),
+                brightness: randomRange(0.5, 1, this.starRng)
             });
         }
         return stars;
     }
 
+    /**
+     * Reseeds the starfield and lays it out afresh from the run seed
+     * @param {number} seed - Run seed
+     */
+    seedStars(seed) {
+        this.starRng.setSeed(seed);
+        this.stars = this.createStars(this.stars.length);
+    }
+
     /**
      * Registers a game state
      * @param {string} name - State name
@@ -60,26 +89,87 @@ export class Game {
      * @param {Object} data - Optional data to pass to new state
      */
     changeState(name, data = {}) {
-        if (this.currentState && this.currentState.exit) {
-            this.currentState.exit();
+        // Leave every stacked state, overlays first
+        while (this.stateStack.length > 0) {
+            const state = this.stateStack.pop();
+            if (state.exit) {
+                state.exit();
+            }
         }
 
+        // Effects don't carry over into the next screen
+        this.camera.reset();
+
         this.currentState = this.states[name];
+        if (this.currentState) {
+            this.stateStack.push(this.currentState);
+        }
 
         if (this.currentState && this.currentState.enter) {
             this.currentState.enter(data);
         }
     }
 
+    /**
+     * Opens a state on top of the current one, which stays entered but stops updating
+     * @param {string} name - Name of state to push
+     * @param {Object} data - Optional data to pass to new state
+     */
+    pushState(name, data = {}) {
+        const state = this.states[name];
+        if (!state) return;
+
+        if (this.currentState && this.currentState.suspend) {
+            this.currentState.suspend();
+        }
+
+        this.stateStack.push(state);
+        this.currentState = state;
+
+        if (state.enter) {
+            state.enter(data);
+        }
+    }
+
+    /**
+     * Closes the top state and resumes the one beneath it
+     */
+    popState() {
+        if (this.stateStack.length <= 1) return;
+
+        const state = this.stateStack.pop();
+        if (state.exit) {
+            state.exit();
+        }
+
+        this.currentState = this.stateStack[this.stateStack.length - 1];
+        if (this.currentState.resume) {
+            this.currentState.resume();
+        }
+    }
+
     /**
      * Starts the game loop
      */
     start() {
         this.running = true;
         this.lastTime = performance.now();
+
+        // Report gamepad hot-plugging
+        window.addEventListener('gamepadconnected', () => this.showToast('GAMEPAD CONNECTED'));
+        window.addEventListener('gamepaddisconnected', () => this.showToast('GAMEPAD DISCONNECTED'));
+
         this.loop();
     }
 
+    /**
+     * Shows a short message over every state
+     * @param {string} message - Message text
+     */
+    showToast(message) {
+        this.toast = { message, timer: this.toastDuration };
+    }
+
     /**
      * Stops the game loop
      */
@@ -94,25 +184,65 @@ export class Game {
         if (!this.running) return;
 
         const currentTime = performance.now();
-        this.deltaTime = (currentTime - this.lastTime) / 1000; // Convert to seconds
+        const frameTime = (currentTime - this.lastTime) / 1000; // Convert to seconds
         this.lastTime = currentTime;
 
-        // Cap delta time to prevent large jumps
-        if (this.deltaTime > 0.1) {
-            this.deltaTime = 0.1;
-        }
+        // Cap frame time so a stalled tab doesn't run hundreds of ticks at once
+        this.advance(Math.min(frameTime, CONFIG.TIMING.maxFrameTime));
+        this.render(this.alpha);
 
-        this.update(this.deltaTime);
-        this.render();
+        // Keep the music scheduled ahead of the audio clock
+        MusicSystem.update();
 
         requestAnimationFrame(() => this.loop());
     }
 
     /**
-     * Updates game state
-     * @param {number} dt - Delta time in seconds
+     * Runs as many fixed simulation steps as the elapsed time allows
+     * @param {number} frameTime - Real time elapsed since last frame, in seconds
+     * @returns {number} Number of simulation steps run
+     */
+    advance(frameTime) {
+        this.accumulator += frameTime;
+
+        let steps = 0;
+        while (this.accumulator >= this.fixedStep) {
+            this.update(this.fixedStep);
+            this.accumulator -= this.fixedStep;
+            steps++;
+        }
+
+        this.alpha = this.accumulator / this.fixedStep;
+        return steps;
+    }
+
+    /**
+     * Updates game state by one simulation step
+     * @param {number} dt - Fixed step in seconds
      */
     update(dt) {
+        // Fade out toast
+        if (this.toast) {
+            this.toast.timer -= dt * 1000;
+            if (this.toast.timer <= 0) {
+                this.toast = null;
+            }
+        }
+
+        // Camera holds still under overlays like pause, same as the stars
+        if (!this.currentState || !this.currentState.freezeBackground) {
+            const stopped = this.camera.isHitStopped();
+            this.camera.update(dt);
+
+            // Hit-stop - the world skips this tick, and the state draws it still
+            if (stopped) {
+                if (this.currentState && this.currentState.holdStill) {
+                    this.currentState.holdStill();
+                }
+                return;
+            }
+        }
+
         // Update stars
         this.updateStars(dt);
 
@@ -127,19 +257,23 @@ export class Game {
      * @param {number} dt - Delta time in seconds
      */
     updateStars(dt) {
+        // Overlays like pause hold the starfield still
+        if (this.currentState && this.currentState.freezeBackground) return;
+
         for (const star of this.stars) {
             star.y += star.speed * dt;
             if (star.y > this.height) {
                 star.y = 0;
-                star.x = Math.random() * this.width;
+                star.x = randomRange(0, this.width, this.starRng);
             }
         }
     }
 
     /**
      * Renders the game
+     * @param {number} alpha - Interpolation factor between the last two ticks (0-1)
      */
-    render() {
+    render(alpha = 1) {
         // Clear canvas
         this.ctx.fillStyle = CONFIG.COLORS.background;
         this.ctx.fillRect(0, 0, this.width, this.height);
@@ -147,15 +281,69 @@ export class Game {
         // Draw gradient background
         this.renderBackground();
 
-        // Draw stars
+        // Draw stars and the stacked states bottom to top, so overlays draw over the state they cover.
+        // The world goes through the camera; overlay states and each state's HUD pass don't.
+        this.ctx.save();
+        this.camera.apply(this.ctx, this.width, this.height);
         this.renderStars();
+        let cameraOn = true;
+
+        for (const state of this.stateStack) {
+            if (state.freezeBackground && cameraOn) {
+                this.ctx.restore();
+                this.ctx.save();
+                cameraOn = false;
+            }
+            if (state.render) {
+                state.render(this.ctx, alpha);
+            }
+
+            // Screen-space pass (HUD) - never shakes or zooms
+            if (state.renderOverlay) {
+                this.ctx.restore();
+                this.ctx.save();
+                state.renderOverlay(this.ctx, alpha);
+
+                if (cameraOn) {
+                    this.ctx.restore();
+                    this.ctx.save();
+                    this.camera.apply(this.ctx, this.width, this.height);
+                }
+            }
+        }
 
-        // Render current state
-        if (this.currentState && this.currentState.render) {
-            this.currentState.render(this.ctx);
+        this.ctx.restore();
+
+        // Toast on top of everything
+        if (this.toast) {
+            this.renderToast();
         }
     }
 
+    /**
+     * Renders the toast message at the top of the screen
+     */
+    renderToast() {
+        const ctx = this.ctx;
+        const alpha = Math.min(1, this.toast.timer / 500); // Fade over the last 500ms
+
+        ctx.save();
+        ctx.globalAlpha = alpha;
+        ctx.font = '10px "Press Start 2P", monospace';
+        ctx.textAlign = 'center';
+
+        const width = ctx.measureText(this.toast.message).width + 30;
+        ctx.fillStyle = 'rgba(10, 10, 30, 0.9)';
+        ctx.fillRect((this.width - width) / 2, 50, width, 30);
+        ctx.strokeStyle = CONFIG.COLORS.textHighlight;
+        ctx.lineWidth = 2;
+        ctx.strokeRect((this.width - width) / 2, 50, width, 30);
+
+        ctx.fillStyle = CONFIG.COLORS.text;
+        ctx.fillText(this.toast.message, this.width / 2, 70);
+        ctx.restore();
+    }
+
     /**
      * Renders gradient background
      */
@@ -181,12 +369,10 @@ export class Game {
     }
 
     /**
-     * Triggers screen shake effect
+     * Triggers screen shake
+     * @param {number} trauma - Shake to add (0-1)
      */
-    shake() {
-        this.canvas.parentElement.classList.add('shake');
-        setTimeout(() => {
-            this.canvas.parentElement.classList.remove('shake');
-        }, 100);
+    shake(trauma = CONFIG.CAMERA.defaultTrauma) {
+        this.camera.addTrauma(trauma);
     }
 }
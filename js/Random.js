@@ -0,0 +1,66 @@
+/**
+ * TURIA INVADERS - Seedable Random
+ * Deterministic PRNG so a run can be reproduced from its seed
+ */
+
+/**
+ * Creates a fresh 32-bit seed for a new run
+ * @returns {number} Unsigned 32-bit seed
+ */
+export function createSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Parses a seed from user input (e.g. a ?seed= URL parameter)
+ * @param {string|null} value - Seed text
+ * @returns {number|null} Unsigned 32-bit seed, or null if not a valid number
+ */
+export function parseSeed(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    const seed = Number(value);
+    if (!Number.isInteger(seed) || seed < 0) return null;
+
+    return seed >>> 0;
+}
+
+export class Random {
+    /**
+     * Creates a new seeded random source
+     * Exposes random() like Math, so it can stand in wherever Math is used as a source
+     * @param {number} seed - Initial seed (default fresh seed)
+     */
+    constructor(seed = createSeed()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Restarts the sequence from a seed
+     * @param {number} seed - Seed value
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Gets the seed the current sequence started from
+     * @returns {number} Seed
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Next value in the sequence (mulberry32)
+     * @returns {number} Float in [0, 1)
+     */
+    random() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+}
@@ -0,0 +1,80 @@
+/**
+ * TURIA INVADERS - Headless Simulation
+ * Runs PlayState through Game.update without a browser or rendering
+ */
+
+import { Game } from './Game.js';
+import { PlayState } from './states/PlayState.js';
+import { BotInput } from './systems/BotInput.js';
+
+export class Simulation {
+    /**
+     * Creates a headless game
+     * @param {Object} options - {seed, bot, replay}
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.game = new Game(null);
+        this.playState = new PlayState();
+        this.ticks = 0;
+        this.result = null; // Game over data, once the run ends
+
+        this.game.registerState('play', this.playState);
+        this.game.registerState('gameover', {
+            enter: (data) => {
+                this.result = data;
+            }
+        });
+    }
+
+    /**
+     * Starts the run
+     */
+    start() {
+        const { seed, bot, replay } = this.options;
+
+        this.game.changeState('play', {
+            playerName: bot ? 'BOT' : 'SIM',
+            seed,
+            replay,
+            inputSource: bot ? new BotInput(this.playState) : null,
+            saveScore: false
+        });
+    }
+
+    /**
+     * Runs fixed simulation ticks until the frame budget is used or the game ends
+     * @param {number} frames - Maximum ticks to run
+     * @returns {Object} Run summary
+     */
+    run(frames) {
+        this.start();
+
+        while (this.ticks < frames && !this.result) {
+            this.game.update(this.game.fixedStep);
+            this.ticks++;
+        }
+
+        return this.getSummary();
+    }
+
+    /**
+     * Builds a JSON-friendly summary of the run
+     * @returns {Object} Summary {seed, ticks, seconds, gameOver, wave, score, lives, kills, bossKills}
+     */
+    getSummary() {
+        const { score, spawner } = this.playState;
+
+        return {
+            seed: this.playState.seed,
+            ticks: this.ticks,
+            seconds: Number((this.ticks * this.game.fixedStep).toFixed(2)),
+            gameOver: this.result !== null,
+            wave: spawner.getWaveNumber(),
+            score: score.getScore(),
+            lives: score.getLives(),
+            kills: score.getKills(),
+            bossKills: score.getBossKills()
+        };
+    }
+}
@@ -0,0 +1,62 @@
+/**
+ * TURIA INVADERS - Sprite Sheet
+ * Texture atlas - one image plus a JSON map of named frames
+ *
+ * Frame map format (TexturePacker "hash" export):
+ *   frames - frame name → {frame: {x, y, w, h}} in image pixels
+ *   meta   - {image} path of the atlas image, relative to the JSON file
+ */
+
+export class SpriteSheet {
+    /**
+     * Creates a sprite sheet
+     * @param {HTMLImageElement} image - Atlas image
+     * @param {Object} data - Frame map
+     */
+    constructor(image, data) {
+        this.image = image;
+        this.frames = {};
+
+        for (const [name, entry] of Object.entries(data.frames)) {
+            this.frames[name] = entry.frame;
+        }
+
+        // Unknown frames draw this one, so an entity can borrow a sheet that lacks
+        // some of its frames (a boss wearing the enemy barrel has no hurt frame)
+        this.defaultFrame = Object.values(this.frames)[0] || null;
+    }
+
+    /**
+     * Checks if the sheet has a frame
+     * @param {string} name - Frame name
+     * @returns {boolean} True if present
+     */
+    has(name) {
+        return name in this.frames;
+    }
+
+    /**
+     * Gets a frame's rectangle in the atlas
+     * @param {string} name - Frame name
+     * @returns {Object|null} Rectangle {x, y, w, h}, or the default frame if unknown
+     */
+    getFrame(name) {
+        return this.frames[name] || this.defaultFrame;
+    }
+
+    /**
+     * Draws a frame, stretched to the destination like drawImage
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {string} name - Frame name
+     * @param {number} x - Destination left
+     * @param {number} y - Destination top
+     * @param {number} width - Destination width
+     * @param {number} height - Destination height
+     */
+    draw(ctx, name, x, y, width, height) {
+        const frame = this.getFrame(name);
+        if (!frame) return;
+
+        ctx.drawImage(this.image, frame.x, frame.y, frame.w, frame.h, x, y, width, height);
+    }
+}
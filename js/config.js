@@ -8,11 +8,24 @@ export const CONFIG = {
     GAME_TITLE: 'TURIA INVADERS',
 
     // Canvas dimensions
+    // Logical resolution - all gameplay and drawing happens in these units,
+    // whatever the window size (the canvas is scaled to fit and letterboxed)
     CANVAS: {
         width: 800,
         height: 600
     },
 
+    // Display scaling
+    DISPLAY: {
+        integerScaling: false // Only whole-number upscales, for even pixels (more letterbox)
+    },
+
+    // Simulation timing - gameplay ticks at a fixed rate, rendering interpolates between ticks
+    TIMING: {
+        tickRate: 120, // Simulation steps per second
+        maxFrameTime: 0.25 // Longest frame (s) fed to the simulation, avoids spiral of death
+    },
+
     // Color palette - night-life dark theme
     COLORS: {
         background: '#0a0a12',
@@ -35,8 +48,14 @@ export const CONFIG = {
         // Projectiles
         bullet: '#ffffff',
         bulletGlow: 'rgba(255, 255, 255, 0.5)',
+        enemyBullet: '#ff3300',
+        enemyBulletGlow: 'rgba(255, 51, 0, 0.6)',
         powerAttack: '#ff00ff',
 
+        // Powerups
+        powerupIce: '#66ddff',
+        powerupFoam: '#fff4cc',
+
         // UI
         text: '#00ff00',
         textHighlight: '#ffff00',
@@ -48,12 +67,23 @@ export const CONFIG = {
         powerBarGlow: 'rgba(255, 0, 255, 0.8)',
         powerBarReady: '#00ffff',
 
+        // Mystery bonus ship
+        mysteryShip: '#ff6600',
+        mysteryShipGlow: 'rgba(255, 102, 0, 0.6)',
+
+        // Bunkers
+        bunker: '#00ff88',
+        bunkerDamaged: '#007744',
+
         // Lives
         lifeIcon: '#ff0066',
 
         // Stars
         star: '#ffffff',
-        starDim: '#666666'
+        starDim: '#666666',
+
+        // On-screen touch controls
+        touchButton: '#00ff88'
     },
 
     // Entity sizes
@@ -62,7 +92,11 @@ export const CONFIG = {
         enemy: { width: 48, height: 48 },
         boss: { width: 96, height: 96 },
         bullet: { width: 4, height: 12 },
-        powerProjectile: { width: 8, height: 8 }
+        enemyBullet: { width: 6, height: 14 },
+        powerProjectile: { width: 8, height: 8 },
+        powerup: { width: 28, height: 28 },
+        mysteryShip: { width: 64, height: 24 },
+        bunkerCell: 6
     },
 
     // Gameplay settings
@@ -83,7 +117,13 @@ export const CONFIG = {
         enemySpacingX: 50,
         enemySpacingY: 40,
         enemyStartX: 100,
-        enemyStartY: 80,
+        enemyStartY: 104, // Top row clears the mystery ship lane
+
+        // Enemy shooting
+        enemyBulletSpeed: 250,
+        enemyFireInterval: 1000, // ms between volleys at base speed
+        enemyFireChance: 0.15, // Chance per column shooter per volley
+        enemyMaxBullets: 6,
 
         // Boss
         bossHP: 20,
@@ -91,6 +131,11 @@ export const CONFIG = {
         bossSpawnWave: 3, // Spawn boss every N waves
         bossRewardScore: 500,
         bossRewardPower: 50,
+        bossHPPerCycle: 0.5, // Extra HP each time the boss roster repeats
+        bossBulletSpeed: 220,
+        bossDashSpeed: 420,
+        bossDashPause: 700, // ms between dashes
+        bossPhaseFlash: 800, // ms phase transition announcement
 
         // TURIA POWER
         turiaPowerMax: 100,
@@ -98,8 +143,30 @@ export const CONFIG = {
         powerAttackSpeed: 400,
         powerAttackDirections: 8,
 
+        // Powerups
+        powerupDropChance: 0.1,
+        powerupFallSpeed: 120,
+        powerupDuration: 6000, // ms
+        iceSlowFactor: 0.6,
+        foamSpreadSpeed: 120, // Horizontal speed of side bullets
+
+        // Mystery bonus ship
+        mysteryShipSpeed: 140,
+        mysteryShipY: 68, // Lane between the HUD text and the formation
+        mysteryMinInterval: 15000, // ms
+        mysteryMaxInterval: 30000, // ms
+        mysteryScoreStep: 50, // Points awarded are a random multiple of this
+        mysteryScoreMax: 300,
+
+        // Bunkers
+        bunkerCount: 4,
+        bunkerOffsetY: 90, // Distance above playerStartY
+        bunkerCellHP: 2,
+        bunkerRegenWaves: 3, // Rebuild bunkers every N waves (0 = never)
+
         // Lives & Score
         livesMax: 3,
+        playerInvulnerability: 1500, // ms after being hit
         scorePerKill: 10,
 
         // Difficulty scaling
@@ -109,18 +176,123 @@ export const CONFIG = {
         bottomLine: 470
     },
 
+    // Control scheme: 'keyboard' (keys, gamepad and touch) or 'pointer' (ship follows the mouse)
+    CONTROL_MODE: 'keyboard',
+
     // Keyboard controls
     KEYS: {
         left: ['ArrowLeft', 'KeyA'],
         right: ['ArrowRight', 'KeyD'],
         shoot: ['Space'],
-        power: ['KeyE', 'ShiftLeft', 'ShiftRight']
+        power: ['KeyE', 'ShiftLeft', 'ShiftRight'],
+
+        // Beer ammo switching
+        lager: ['Digit1', 'Numpad1'],
+        ipa: ['Digit2', 'Numpad2'],
+        stout: ['Digit3', 'Numpad3'],
+        cycleAmmo: ['KeyQ', 'KeyR'], // E, the other key by Q, is taken by power
+
+        // Opens the pause menu
+        pause: ['Escape', 'KeyP']
+    },
+
+    // Gamepad controls (standard mapping button indices)
+    GAMEPAD: {
+        deadzone: 0.3, // Stick travel (0-1) ignored before it counts as movement
+        moveAxis: 0, // Left stick horizontal
+        buttons: {
+            left: [14], // D-pad left
+            right: [15], // D-pad right
+            shoot: [0], // A / Cross
+            power: [1, 2], // B / Circle, X / Square
+            cycleAmmo: [3, 5], // Y / Triangle, right bumper
+            pause: [9] // Start / Options
+        },
+        menuUp: 12, // D-pad up
+        menuDown: 13, // D-pad down
+        menuSelect: 0 // A / Cross
     },
 
-    // Asset paths - easy to change
+    // On-screen touch controls (canvas pixels)
+    TOUCH: {
+        stickRadius: 50, // Max drag distance shown for the movement stick
+        stickDeadzone: 12, // Drag ignored before it counts as movement
+        fireRadius: 45,
+        buttonRadius: 35,
+        smallButtonRadius: 22,
+        opacity: 0.35
+    },
+
+    // Collision broadphase
+    COLLISION: {
+        cellSize: 64, // Spatial hash cell, px - about one enemy plus its spacing
+        // Enemies × bullets at which the grid starts beating a full scan (measured with bun bench.js).
+        // The game's formations (up to 32 enemies) stay below it; bigger, bullet-heavy scenes use the grid
+        gridMinPairs: 8000
+    },
+
+    // Camera effects
+    CAMERA: {
+        traumaDecay: 1.5, // Trauma lost per second
+        maxShakeOffset: 14, // px at full trauma
+        maxShakeAngle: 0.04, // radians at full trauma
+        shakeFrequency: 35, // Shake noise speed
+        defaultTrauma: 0.35,
+        bossIntroZoom: 1.15,
+        bossIntroDuration: 1200, // ms
+        bossHitStop: 35 // ms the world freezes on a boss hit
+    },
+
+    // Cosmetic particles
+    PARTICLES: {
+        maxParticles: 800 // Pool size - emits past this are dropped
+    },
+
+    // Audio mix (0-1), adjustable in settings
+    AUDIO: {
+        masterVolume: 0.8,
+        sfxVolume: 0.8,
+        musicVolume: 0.6,
+        muted: false
+    },
+
+    // Chiptune music - one song per track
+    MUSIC: {
+        tracks: {
+            menu: 'assets/music/menu.json',
+            wave: 'assets/music/wave.json',
+            boss: 'assets/music/boss.json',
+            gameover: 'assets/music/gameover.json'
+        },
+        maxTempoBoost: 0.5 // Tempo rises by up to this share at full intensity
+    },
+
+    // Asset manifest by type - key → source path
     ASSETS: {
-        player: 'assets/spaceship.png',
-        enemy: 'assets/small_barrel.png',
-        boss: 'assets/big_barrel.png'
-    }
+        images: {}, // Single images (every sprite is in an atlas so far)
+        atlases: { // Sprite sheets - frame maps, each naming its atlas image
+            player: 'assets/sprites/player.json',
+            enemy: 'assets/sprites/enemy.json',
+            boss: 'assets/sprites/boss.json'
+        },
+        audio: {}, // Sound files by SOUNDS name - a loaded file replaces the synthesized sound
+        json: {}, // Extra data files
+        fonts: {} // Font faces by family → CSS source, e.g. "url('assets/fonts/x.woff2')"
+    },
+
+    // Asset loading
+    LOADING: {
+        retries: 2, // Extra attempts per file before it's reported as failed
+        retryDelay: 500 // ms before the first retry, growing with each attempt
+    },
+
+    // Authored wave definitions, played in order before procedural waves take over
+    WAVES: [
+        'assets/waves/wave01.json',
+        'assets/waves/wave02.json',
+        'assets/waves/wave03.json',
+        'assets/waves/wave04.json',
+        'assets/waves/wave05.json',
+        'assets/waves/wave06.json'
+    ]
 };
@@ -0,0 +1,64 @@
+/**
+ * TURIA INVADERS - Beer Types
+ * Ammo and enemy types that must match for a kill
+ */
+
+import { CONFIG } from '../config.js';
+
+// Beer types - values line up with EnemyType so bullets and enemies compare directly
+export const BeerType = {
+    LAGER: 1,
+    IPA: 2,
+    STOUT: 3
+};
+
+// Cycling order for ammo switching
+export const BEER_TYPE_ORDER = [BeerType.LAGER, BeerType.IPA, BeerType.STOUT];
+
+/**
+ * Gets display name for a beer type
+ * @param {number} type - Beer type
+ * @returns {string} Display name
+ */
+export function getBeerTypeName(type) {
+    switch (type) {
+        case BeerType.LAGER:
+            return 'LAGER';
+        case BeerType.IPA:
+            return 'IPA';
+        case BeerType.STOUT:
+            return 'STOUT';
+        default:
+            return '???';
+    }
+}
+
+/**
+ * Gets color for a beer type (shared by bullets, enemies and HUD)
+ * @param {number} type - Beer type
+ * @returns {string} Color hex string
+ */
+export function getBeerTypeColor(type) {
+    switch (type) {
+        case BeerType.LAGER:
+            return CONFIG.COLORS.enemy1;
+        case BeerType.IPA:
+            return CONFIG.COLORS.enemy2;
+        case BeerType.STOUT:
+            return CONFIG.COLORS.enemy3;
+        default:
+            return CONFIG.COLORS.bullet;
+    }
+}
+
+/**
+ * Gets the next beer type in cycling order
+ * @param {number} type - Current beer type
+ * @param {number} step - Steps to move (1 = next, -1 = previous)
+ * @returns {number} Next beer type
+ */
+export function getNextBeerType(type, step = 1) {
+    const index = BEER_TYPE_ORDER.indexOf(type);
+    const count = BEER_TYPE_ORDER.length;
+    return BEER_TYPE_ORDER[((index + step) % count + count) % count];
+}
@@ -5,6 +5,32 @@
 
 import { CONFIG } from '../config.js';
 import { AssetLoader } from '../AssetLoader.js';
+import { Animation } from '../Animation.js';
+import { EnemyBullet } from './Bullet.js';
+import { clamp } from '../utils.js';
+
+// Attack phases - a phase starts once HP percentage drops to its threshold
+export const BOSS_PHASES = [
+    { threshold: 1, movement: 'sweep', pattern: 'aimed', fireInterval: 1200 },
+    { threshold: 0.66, movement: 'hover', pattern: 'radial', fireInterval: 1600 },
+    { threshold: 0.33, movement: 'dash', pattern: 'spiral', fireInterval: 140 }
+];
+
+// Hover phase bob, px either side of the spawn height
+const HOVER_BOB = 20;
+
+// HP bar sits this far above the body, with the 10px name label 5px over the bar
+const HP_BAR_GAP = 25;
+const HP_LABEL_HEIGHT = 15;
+
+/**
+ * Gets the spawn height that keeps a boss's HP bar and label on screen, even at the top of its bob
+ * @param {number} height - Boss height
+ * @returns {number} Center y
+ */
+export function getBossSpawnY(height) {
+    return height / 2 + HP_BAR_GAP + HP_LABEL_HEIGHT + HOVER_BOB;
+}
 
 export class Boss {
     /**
@@ -12,20 +38,40 @@ export class Boss {
      * @param {number} x - Initial x position
      * @param {number} y - Initial y position
      * @param {number} hp - Hit points (default from config)
+     * @param {Object} options - Roster definition overrides (see SpawnSystem.createBossData)
      */
-    constructor(x, y, hp = CONFIG.GAMEPLAY.bossHP) {
+    constructor(x, y, hp = CONFIG.GAMEPLAY.bossHP, options = {}) {
         this.x = x;
         this.y = y;
         this.hp = hp;
         this.maxHP = hp;
-        this.width = CONFIG.SIZES.boss.width;
-        this.height = CONFIG.SIZES.boss.height;
-        this.speed = CONFIG.GAMEPLAY.bossSpeed;
+        this.name = options.name || 'BOSS';
+        this.width = options.width || CONFIG.SIZES.boss.width;
+        this.height = options.height || CONFIG.SIZES.boss.height;
+        this.speed = options.speed || CONFIG.GAMEPLAY.bossSpeed;
+
+        // Rewards
+        this.rewardScore = options.rewardScore || CONFIG.GAMEPLAY.bossRewardScore;
+        this.rewardPower = options.rewardPower || CONFIG.GAMEPLAY.bossRewardPower;
 
         // Movement
         this.direction = 1; // 1 = right, -1 = left
         this.minX = 100;
         this.maxX = CONFIG.CANVAS.width - 100;
+        this.baseY = y;
+
+        // Attack phases
+        this.phases = options.phases || BOSS_PHASES;
+        this.phaseIndex = 0;
+        this.phaseChanged = false;
+        this.phaseFlash = 0;
+        this.phaseFlashDuration = CONFIG.GAMEPLAY.bossPhaseFlash; // ms
+        this.fireTimer = this.getPhase().fireInterval;
+        this.spiralAngle = 0;
+
+        // Dash movement
+        this.dashTargetX = null;
+        this.dashPause = 0;
 
         // State
         this.active = true;
@@ -34,8 +80,8 @@ export class Boss {
         this.deathDuration = 500; // ms
 
         // Visual effects
-        this.color = CONFIG.COLORS.boss;
-        this.glowColor = CONFIG.COLORS.bossGlow;
+        this.color = options.color || CONFIG.COLORS.boss;
+        this.glowColor = options.glowColor || CONFIG.COLORS.bossGlow;
         this.hitFlash = 0;
         this.hitFlashDuration = 100; // ms
 
@@ -44,17 +90,18 @@ export class Boss {
         this.pulseAmount = 0.05;
 
         // Sprite
-        this.sprite = AssetLoader.get('boss');
+        this.spriteKey = options.spriteKey || 'boss';
+        this.spriteFilter = options.spriteFilter || 'none';
+        this.sheet = AssetLoader.getAtlas(this.spriteKey);
+        this.animation = new Animation(['idle']);
     }
 
     /**
      * Updates boss position and state
      * @param {number} dt - Delta time in seconds
+     * @param {number} targetX - Player x position (used by hover and dash)
      */
-    update(dt) {
-        // Update bounds dynamically for fullscreen support
-        this.maxX = CONFIG.CANVAS.width - 100;
-
+    update(dt, targetX = CONFIG.CANVAS.width / 2) {
         this.animationTime += dt;
 
         // Update hit flash
@@ -62,6 +109,16 @@ export class Boss {
             this.hitFlash -= dt * 1000;
         }
 
+        if (this.phaseFlash > 0) {
+            this.phaseFlash -= dt * 1000;
+        }
+
+        // Back to idle once the hurt frame has shown
+        this.animation.update(dt);
+        if (this.animation.isFinished()) {
+            this.animation.play(['idle']);
+        }
+
         // Death animation
         if (this.dying) {
             this.deathTimer -= dt * 1000;
@@ -72,7 +129,74 @@ export class Boss {
             return;
         }
 
-        // Move side to side
+        this.updatePhase();
+
+        switch (this.getPhase().movement) {
+            case 'hover':
+                this.updateHover(dt, targetX);
+                break;
+            case 'dash':
+                this.updateDash(dt, targetX);
+                break;
+            default:
+                this.updateSweep(dt);
+        }
+    }
+
+    /**
+     * Gets the current attack phase
+     * @returns {Object} Phase definition
+     */
+    getPhase() {
+        return this.phases[this.phaseIndex];
+    }
+
+    /**
+     * Finds the phase matching current HP
+     * @returns {number} Phase index
+     */
+    getPhaseIndexForHP() {
+        const hpPercentage = this.getHPPercentage();
+        let index = 0;
+
+        for (let i = 0; i < this.phases.length; i++) {
+            if (hpPercentage <= this.phases[i].threshold) {
+                index = i;
+            }
+        }
+
+        return index;
+    }
+
+    /**
+     * Advances the phase state machine when HP crosses a threshold
+     */
+    updatePhase() {
+        const index = this.getPhaseIndexForHP();
+        if (index <= this.phaseIndex) return;
+
+        this.phaseIndex = index;
+        this.phaseChanged = true;
+        this.phaseFlash = this.phaseFlashDuration;
+        this.fireTimer = this.phaseFlashDuration;
+        this.dashTargetX = null;
+        this.dashPause = 0;
+    }
+
+    /**
+     * Returns and clears the phase change flag (for announcements)
+     * @returns {boolean} True if a new phase started since last call
+     */
+    consumePhaseChange() {
+        const changed = this.phaseChanged;
+        this.phaseChanged = false;
+        return changed;
+    }
+
+    /**
+     * Sweep movement - slides side to side between bounds
+     */
+    updateSweep(dt) {
         this.x += this.speed * this.direction * dt;
 
         // Reverse at boundaries
@@ -85,6 +209,116 @@ export class Boss {
         }
     }
 
+    /**
+     * Hover movement - drifts over the player while bobbing
+     */
+    updateHover(dt, targetX) {
+        const dx = targetX - this.x;
+        const step = this.speed * 2 * dt;
+        this.x = clamp(this.x + clamp(dx, -step, step), this.minX, this.maxX);
+        this.y = this.baseY + Math.sin(this.animationTime * 2) * HOVER_BOB;
+    }
+
+    /**
+     * Dash movement - pauses, then charges to where the player was
+     */
+    updateDash(dt, targetX) {
+        if (this.dashTargetX === null) {
+            this.dashPause -= dt * 1000;
+            if (this.dashPause <= 0) {
+                this.dashTargetX = clamp(targetX, this.minX, this.maxX);
+            }
+            return;
+        }
+
+        const dx = this.dashTargetX - this.x;
+        const step = CONFIG.GAMEPLAY.bossDashSpeed * dt;
+
+        if (Math.abs(dx) <= step) {
+            this.x = this.dashTargetX;
+            this.dashTargetX = null;
+            this.dashPause = CONFIG.GAMEPLAY.bossDashPause;
+        } else {
+            this.x += Math.sign(dx) * step;
+        }
+    }
+
+    /**
+     * Fires the current phase's bullet pattern when ready
+     * @param {number} dt - Delta time in seconds
+     * @param {number} targetX - Player x position
+     * @param {number} targetY - Player y position
+     * @returns {Array<EnemyBullet>} Bullets fired this frame
+     */
+    updateAttack(dt, targetX, targetY) {
+        if (!this.active || this.dying) return [];
+
+        this.fireTimer -= dt * 1000;
+        if (this.fireTimer > 0) return [];
+
+        const phase = this.getPhase();
+        this.fireTimer = phase.fireInterval;
+
+        switch (phase.pattern) {
+            case 'radial':
+                return this.fireRadial(12);
+            case 'spiral':
+                return this.fireSpiral();
+            default:
+                return this.fireAimed(targetX, targetY);
+        }
+    }
+
+    /**
+     * Aimed shot - three bullets toward the player
+     */
+    fireAimed(targetX, targetY) {
+        const angle = Math.atan2(targetY - this.y, targetX - this.x);
+        const spread = 0.15;
+        return [-spread, 0, spread].map(offset => this.createBullet(angle + offset));
+    }
+
+    /**
+     * Radial burst - bullets evenly spaced in a full circle
+     */
+    fireRadial(count) {
+        const bullets = [];
+        const phaseOffset = this.animationTime; // Rotate burst between volleys
+        for (let i = 0; i < count; i++) {
+            bullets.push(this.createBullet(phaseOffset + (i / count) * Math.PI * 2));
+        }
+        return bullets;
+    }
+
+    /**
+     * Spiral - two opposing bullets per shot on a rotating angle
+     */
+    fireSpiral() {
+        this.spiralAngle += 0.35;
+        return [
+            this.createBullet(this.spiralAngle),
+            this.createBullet(this.spiralAngle + Math.PI)
+        ];
+    }
+
+    /**
+     * Creates a boss bullet moving at an angle
+     * @param {number} angle - Angle in radians (0 = right, PI/2 = down)
+     * @returns {EnemyBullet} New bullet
+     */
+    createBullet(angle) {
+        const speed = CONFIG.GAMEPLAY.bossBulletSpeed;
+        const bullet = new EnemyBullet(
+            this.x,
+            this.y,
+            Math.sin(angle) * speed,
+            Math.cos(angle) * speed
+        );
+        bullet.color = this.color;
+        bullet.glowColor = this.glowColor;
+        return bullet;
+    }
+
     /**
      * Takes damage from a hit
      * @param {number} amount - Damage amount
@@ -95,6 +329,7 @@ export class Boss {
 
         this.hp -= amount;
         this.hitFlash = this.hitFlashDuration;
+        this.animation.play(['hurt'], { frameDuration: this.hitFlashDuration, loop: false });
 
         if (this.hp <= 0) {
             this.hp = 0;
@@ -147,28 +382,25 @@ export class Boss {
         const x = this.x;
         const y = this.y;
 
-        // Death animation
+        // Death animation - fade out (the explosion itself is particles, spawned by PlayState)
         if (this.dying) {
             const progress = 1 - (this.deathTimer / this.deathDuration);
             ctx.globalAlpha = 1 - progress;
+        }
 
-            // Explosion effect
-            const explosionSize = progress * 100;
-            ctx.fillStyle = `rgba(255, 255, 255, ${0.5 - progress * 0.5})`;
-            ctx.beginPath();
-            ctx.arc(x, y, explosionSize, 0, Math.PI * 2);
-            ctx.fill();
-
-            // Multiple explosion rings
-            ctx.strokeStyle = `rgba(255, 0, 255, ${0.5 - progress * 0.5})`;
-            ctx.lineWidth = 3;
+        // Phase transition flash - expanding ring
+        if (this.phaseFlash > 0 && !this.dying) {
+            const progress = 1 - this.phaseFlash / this.phaseFlashDuration;
+            ctx.strokeStyle = `rgba(255, 255, 255, ${1 - progress})`;
+            ctx.lineWidth = 4;
             ctx.beginPath();
-            ctx.arc(x, y, explosionSize * 0.7, 0, Math.PI * 2);
+            ctx.arc(x, y, this.width / 2 + progress * 80, 0, Math.PI * 2);
             ctx.stroke();
         }
 
         // Glow effect
-        ctx.shadowColor = this.hitFlash > 0 ? '#ffffff' : this.glowColor;
+        const flashing = this.hitFlash > 0 || this.phaseFlash > 0;
+        ctx.shadowColor = flashing ? '#ffffff' : this.glowColor;
         ctx.shadowBlur = 25;
 
         // Pulse animation
@@ -176,20 +408,20 @@ export class Boss {
         const drawWidth = this.width * pulse;
         const drawHeight = this.height * pulse;
 
-        // Try to get sprite
-        if (!this.sprite) {
-            this.sprite = AssetLoader.get('boss');
+        // Try to get sprite sheet
+        if (!this.sheet) {
+            this.sheet = AssetLoader.getAtlas(this.spriteKey);
         }
 
-        if (this.sprite && !this.dying) {
-            // Hit flash - draw white overlay
-            if (this.hitFlash > 0) {
-                ctx.filter = 'brightness(3)';
-            }
+        if (this.sheet && !this.dying) {
+            // Roster tint; sheets without a hurt frame flash white on hit instead
+            const flash = this.hitFlash > 0 && !this.sheet.has('hurt');
+            ctx.filter = flash ? 'brightness(3)' : this.spriteFilter;
 
             // Draw sprite
-            ctx.drawImage(
-                this.sprite,
+            this.sheet.draw(
+                ctx,
+                this.animation.getFrame(),
                 x - drawWidth / 2,
                 y - drawHeight / 2,
                 drawWidth,
@@ -271,6 +503,14 @@ export class Boss {
         }
     }
 
+    /**
+     * Gets the top of the HP bar
+     * @returns {number} Canvas y
+     */
+    getHPBarY() {
+        return this.y - this.height / 2 - HP_BAR_GAP;
+    }
+
     /**
      * Renders HP bar above boss
      * @param {CanvasRenderingContext2D} ctx - Canvas context
@@ -279,7 +519,7 @@ export class Boss {
         const barWidth = this.width + 20;
         const barHeight = 10;
         const barX = this.x - barWidth / 2;
-        const barY = this.y - this.height / 2 - 25;
+        const barY = this.getHPBarY();
 
         ctx.save();
 
@@ -306,7 +546,7 @@ export class Boss {
         ctx.font = '10px "Press Start 2P", monospace';
         ctx.fillStyle = '#ffffff';
         ctx.textAlign = 'center';
-        ctx.fillText('BOSS', this.x, barY - 5);
+        ctx.fillText(`${this.name} - PHASE ${this.phaseIndex + 1}`, this.x, barY - 5);
 
         ctx.restore();
     }
@@ -320,6 +560,7 @@ export class Boss {
     reset(x, y, hp = CONFIG.GAMEPLAY.bossHP) {
         this.x = x;
         this.y = y;
+        this.baseY = y;
         this.hp = hp;
         this.maxHP = hp;
         this.direction = 1;
@@ -327,5 +568,12 @@ export class Boss {
         this.dying = false;
         this.deathTimer = 0;
         this.hitFlash = 0;
+        this.phaseIndex = 0;
+        this.phaseChanged = false;
+        this.phaseFlash = 0;
+        this.fireTimer = this.getPhase().fireInterval;
+        this.spiralAngle = 0;
+        this.dashTargetX = null;
+        this.dashPause = 0;
     }
 }
@@ -4,6 +4,7 @@
  */
 
 import { CONFIG } from '../config.js';
+import { BeerType, getBeerTypeColor } from './BeerType.js';
 
 export class Bullet {
     /**
@@ -11,18 +12,22 @@ export class Bullet {
      * @param {number} x - Initial x position
      * @param {number} y - Initial y position
      * @param {number} velocityY - Vertical velocity (negative = up, positive = down)
+     * @param {number} type - Beer type (must match enemy type to kill)
+     * @param {number} velocityX - Horizontal velocity (used by spread shots)
      */
-    constructor(x, y, velocityY) {
+    constructor(x, y, velocityY, type = BeerType.LAGER, velocityX = 0) {
         this.x = x;
         this.y = y;
         this.velocityY = velocityY;
+        this.velocityX = velocityX;
+        this.type = type;
         this.width = CONFIG.SIZES.bullet.width;
         this.height = CONFIG.SIZES.bullet.height;
         this.active = true;
 
-        // Visual
-        this.color = CONFIG.COLORS.bullet;
-        this.glowColor = CONFIG.COLORS.bulletGlow;
+        // Visual - tinted by beer type
+        this.color = getBeerTypeColor(type);
+        this.glowColor = this.color;
     }
 
     /**
@@ -30,6 +35,7 @@ export class Bullet {
      * @param {number} dt - Delta time in seconds
      */
     update(dt) {
+        this.x += this.velocityX * dt;
         this.y += this.velocityY * dt;
     }
 
@@ -110,3 +116,63 @@ export class Bullet {
         ctx.restore();
     }
 }
+
+/**
+ * Enemy Bullet - projectile fired downward by enemies
+ */
+export class EnemyBullet extends Bullet {
+    /**
+     * Creates a new EnemyBullet
+     * @param {number} x - Initial x position
+     * @param {number} y - Initial y position
+     * @param {number} velocityY - Vertical velocity (positive = down)
+     * @param {number} velocityX - Horizontal velocity
+     */
+    constructor(x, y, velocityY = CONFIG.GAMEPLAY.enemyBulletSpeed, velocityX = 0) {
+        super(x, y, velocityY, null, velocityX);
+        this.width = CONFIG.SIZES.enemyBullet.width;
+        this.height = CONFIG.SIZES.enemyBullet.height;
+
+        // Visual
+        this.color = CONFIG.COLORS.enemyBullet;
+        this.glowColor = CONFIG.COLORS.enemyBulletGlow;
+    }
+
+    /**
+     * Checks if bullet left the screen on any side (boss patterns fly sideways)
+     * @param {number} canvasHeight - Canvas height
+     * @param {number} canvasWidth - Canvas width
+     * @returns {boolean} True if bullet is off screen
+     */
+    isOffScreen(canvasHeight, canvasWidth = CONFIG.CANVAS.width) {
+        return super.isOffScreen(canvasHeight) ||
+            this.x < -this.width ||
+            this.x > canvasWidth + this.width;
+    }
+
+    /**
+     * Renders the enemy bullet as a glowing drop
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    render(ctx) {
+        if (!this.active) return;
+
+        ctx.save();
+
+        ctx.shadowColor = this.glowColor;
+        ctx.shadowBlur = 10;
+
+        ctx.fillStyle = this.color;
+        ctx.beginPath();
+        ctx.ellipse(this.x, this.y, this.width / 2, this.height / 2, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Bright core
+        ctx.fillStyle = 'rgba(255, 255, 200, 0.8)';
+        ctx.beginPath();
+        ctx.ellipse(this.x, this.y + this.height / 6, this.width / 4, this.height / 4, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.restore();
+    }
+}
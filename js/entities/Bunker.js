@@ -0,0 +1,172 @@
+/**
+ * TURIA INVADERS - Bunker Entity
+ * Destructible shield made of erodible cells
+ */
+
+import { CONFIG } from '../config.js';
+import { rectIntersect } from '../utils.js';
+
+// Bunker shape - '#' is a solid cell
+const BUNKER_SHAPE = [
+    '   ######   ',
+    '  ########  ',
+    ' ########## ',
+    '############',
+    '############',
+    '############',
+    '####    ####',
+    '###      ###'
+];
+
+export class Bunker {
+    /**
+     * Creates a new Bunker
+     * @param {number} x - Center x position
+     * @param {number} y - Center y position
+     */
+    constructor(x, y) {
+        this.x = x;
+        this.y = y;
+        this.cellSize = CONFIG.SIZES.bunkerCell;
+        this.rows = BUNKER_SHAPE.length;
+        this.cols = BUNKER_SHAPE[0].length;
+        this.width = this.cols * this.cellSize;
+        this.height = this.rows * this.cellSize;
+        this.maxCellHP = CONFIG.GAMEPLAY.bunkerCellHP;
+
+        // Cell hit points, row-major (0 = destroyed)
+        this.cells = new Array(this.rows * this.cols).fill(0);
+        this.rebuild();
+    }
+
+    /**
+     * Restores all cells to full health
+     */
+    rebuild() {
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                this.cells[row * this.cols + col] =
+                    BUNKER_SHAPE[row][col] === '#' ? this.maxCellHP : 0;
+            }
+        }
+    }
+
+    /**
+     * Gets hit points of a cell
+     * @param {number} col - Cell column
+     * @param {number} row - Cell row
+     * @returns {number} Cell HP (0 if destroyed or out of range)
+     */
+    getCell(col, row) {
+        if (col < 0 || col >= this.cols || row < 0 || row >= this.rows) return 0;
+        return this.cells[row * this.cols + col];
+    }
+
+    /**
+     * Finds the first solid cell a projectile touches
+     * Scans from the side the projectile enters (bottom for upward shots)
+     * @param {Object} bounds - Projectile bounds {x, y, width, height}
+     * @param {number} velocityY - Projectile vertical velocity
+     * @returns {Object|null} Cell {col, row} or null if no solid cell overlaps
+     */
+    findHitCell(bounds, velocityY) {
+        if (!rectIntersect(bounds, this.getBounds())) return null;
+
+        const left = this.x - this.width / 2;
+        const top = this.y - this.height / 2;
+        const minCol = Math.max(0, Math.floor((bounds.x - left) / this.cellSize));
+        const maxCol = Math.min(this.cols - 1, Math.floor((bounds.x + bounds.width - left) / this.cellSize));
+        const minRow = Math.max(0, Math.floor((bounds.y - top) / this.cellSize));
+        const maxRow = Math.min(this.rows - 1, Math.floor((bounds.y + bounds.height - top) / this.cellSize));
+
+        const upward = velocityY < 0;
+        for (let i = 0; i <= maxRow - minRow; i++) {
+            const row = upward ? maxRow - i : minRow + i;
+            for (let col = minCol; col <= maxCol; col++) {
+                if (this.getCell(col, row) > 0) {
+                    return { col, row };
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Erodes the bunker around a hit cell
+     * The hit cell is destroyed and its direct neighbours are damaged
+     * @param {number} col - Hit cell column
+     * @param {number} row - Hit cell row
+     */
+    erode(col, row) {
+        this.damageCell(col, row, this.maxCellHP);
+        this.damageCell(col - 1, row, 1);
+        this.damageCell(col + 1, row, 1);
+        this.damageCell(col, row - 1, 1);
+        this.damageCell(col, row + 1, 1);
+    }
+
+    /**
+     * Damages a single cell
+     * @param {number} col - Cell column
+     * @param {number} row - Cell row
+     * @param {number} amount - Damage amount
+     */
+    damageCell(col, row, amount) {
+        if (this.getCell(col, row) <= 0) return;
+        const index = row * this.cols + col;
+        this.cells[index] = Math.max(0, this.cells[index] - amount);
+    }
+
+    /**
+     * Checks if every cell is gone
+     * @returns {boolean} True if destroyed
+     */
+    isDestroyed() {
+        return this.cells.every(hp => hp <= 0);
+    }
+
+    /**
+     * Gets bounding box for collision detection
+     * @returns {Object} Bounding box {x, y, width, height}
+     */
+    getBounds() {
+        return {
+            x: this.x - this.width / 2,
+            y: this.y - this.height / 2,
+            width: this.width,
+            height: this.height
+        };
+    }
+
+    /**
+     * Renders the bunker cell by cell
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    render(ctx) {
+        const left = this.x - this.width / 2;
+        const top = this.y - this.height / 2;
+
+        ctx.save();
+        ctx.shadowColor = CONFIG.COLORS.bunker;
+        ctx.shadowBlur = 4;
+
+        for (let row = 0; row < this.rows; row++) {
+            for (let col = 0; col < this.cols; col++) {
+                const hp = this.getCell(col, row);
+                if (hp <= 0) continue;
+
+                ctx.fillStyle = hp >= this.maxCellHP ?
+                    CONFIG.COLORS.bunker : CONFIG.COLORS.bunkerDamaged;
+                ctx.fillRect(
+                    left + col * this.cellSize,
+                    top + row * this.cellSize,
+                    this.cellSize,
+                    this.cellSize
+                );
+            }
+        }
+
+        ctx.restore();
+    }
+}
@@ -5,12 +5,16 @@
 
 import { CONFIG } from '../config.js';
 import { AssetLoader } from '../AssetLoader.js';
+import { Animation } from '../Animation.js';
+import { EnemyBullet } from './Bullet.js';
+import { BeerType, getBeerTypeName } from './BeerType.js';
+import { randomRange, lerp } from '../utils.js';
 
-// Enemy types for variety
+// Enemy types for variety - each one is a beer type
 export const EnemyType = {
-    TYPE1: 1,
-    TYPE2: 2,
-    TYPE3: 3
+    TYPE1: BeerType.LAGER,
+    TYPE2: BeerType.IPA,
+    TYPE3: BeerType.STOUT
 };
 
 export class Enemy {
@@ -19,8 +23,9 @@ export class Enemy {
      * @param {number} localX - Local x position within formation
      * @param {number} localY - Local y position within formation
      * @param {number} type - Enemy type (1, 2, or 3)
+     * @param {{random: function(): number}} rng - Random source for animation phase (default Math)
      */
-    constructor(localX, localY, type = EnemyType.TYPE1) {
+    constructor(localX, localY, type = EnemyType.TYPE1, rng = Math) {
         this.localX = localX;
         this.localY = localY;
         this.type = type;
@@ -33,14 +38,19 @@ export class Enemy {
         this.deathTimer = 0;
         this.deathDuration = 200; // ms
 
+        // Deflect flash (hit by wrong beer type)
+        this.deflectTimer = 0;
+        this.deflectDuration = 150; // ms
+
         // Set color based on type
         this.color = this.getColorForType(type);
 
         // Sprite
-        this.sprite = AssetLoader.get('enemy');
+        this.sheet = AssetLoader.getAtlas('enemy');
 
-        // Animation
-        this.bobOffset = Math.random() * Math.PI * 2; // Random start phase
+        // Animation - two-frame march, in step across the formation
+        this.animation = new Animation(['march0', 'march1'], { frameDuration: 400 });
+        this.bobOffset = rng.random() * Math.PI * 2; // Random start phase
         this.bobSpeed = 3;
         this.bobAmount = 2;
     }
@@ -63,6 +73,15 @@ export class Enemy {
         }
     }
 
+    /**
+     * Checks if a beer type can kill this enemy
+     * @param {number} type - Beer type of the projectile
+     * @returns {boolean} True if types match
+     */
+    matchesType(type) {
+        return this.type === type;
+    }
+
     /**
      * Gets world position based on formation offset
      * @param {Object} formationOffset - Formation offset {x, y}
@@ -90,6 +109,23 @@ export class Enemy {
         };
     }
 
+    /**
+     * Fires a bullet downward from the bottom of the enemy
+     * @param {Object} formationOffset - Formation offset {x, y}
+     * @returns {EnemyBullet} New enemy bullet
+     */
+    shoot(formationOffset) {
+        const worldPos = this.getWorldPosition(formationOffset);
+        return new EnemyBullet(worldPos.x, worldPos.y + this.height / 2);
+    }
+
+    /**
+     * Flashes the enemy when hit by the wrong beer type
+     */
+    deflect() {
+        this.deflectTimer = this.deflectDuration;
+    }
+
     /**
      * Starts death animation
      */
@@ -104,9 +140,14 @@ export class Enemy {
      * @param {number} dt - Delta time in seconds
      */
     update(dt) {
-        // Update bob animation
+        // Update animations
+        this.animation.update(dt);
         this.bobOffset += this.bobSpeed * dt;
 
+        if (this.deflectTimer > 0) {
+            this.deflectTimer -= dt * 1000;
+        }
+
         if (this.dying) {
             this.deathTimer -= dt * 1000;
             if (this.deathTimer <= 0) {
@@ -142,15 +183,16 @@ export class Enemy {
             ctx.translate(-x, -y);
         }
 
-        // Try to get sprite
-        if (!this.sprite) {
-            this.sprite = AssetLoader.get('enemy');
+        // Try to get sprite sheet
+        if (!this.sheet) {
+            this.sheet = AssetLoader.getAtlas('enemy');
         }
 
-        if (this.sprite && !this.dying) {
+        if (this.sheet && !this.dying) {
             // Draw sprite directly without effects for clean visibility
-            ctx.drawImage(
-                this.sprite,
+            this.sheet.draw(
+                ctx,
+                this.animation.getFrame(),
                 x - this.width / 2,
                 y - this.height / 2,
                 this.width,
@@ -162,9 +204,34 @@ export class Enemy {
             this.renderFallback(ctx, x, y);
         }
 
+        if (!this.dying) {
+            this.renderTypeBadge(ctx, x, y);
+        }
+
         ctx.restore();
     }
 
+    /**
+     * Renders beer type badge so matching ammo is readable over the sprite
+     */
+    renderTypeBadge(ctx, x, y) {
+        const badgeY = y + this.height / 2 - 6;
+        const deflecting = this.deflectTimer > 0;
+
+        ctx.fillStyle = deflecting ? '#ffffff' : this.color;
+        ctx.shadowColor = this.color;
+        ctx.shadowBlur = deflecting ? 15 : 6;
+        ctx.beginPath();
+        ctx.arc(x, badgeY, 7, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.shadowBlur = 0;
+        ctx.font = '8px "Press Start 2P", monospace';
+        ctx.fillStyle = '#000000';
+        ctx.textAlign = 'center';
+        ctx.fillText(getBeerTypeName(this.type)[0], x, badgeY + 4);
+    }
+
     /**
      * Renders fallback shape
      */
@@ -194,13 +261,28 @@ export class Enemy {
  * Formation Controller - manages enemy group movement
  */
 export class FormationController {
-    constructor() {
+    /**
+     * Creates a formation controller
+     * @param {{random: function(): number}} rng - Random source for firing (default Math)
+     */
+    constructor(rng = Math) {
+        this.rng = rng;
         this.offsetX = 0;
         this.offsetY = 0;
+        this.prevOffsetX = 0; // Offset at start of tick, for render interpolation
+        this.prevOffsetY = 0;
         this.direction = 1; // 1 = right, -1 = left
         this.speed = CONFIG.GAMEPLAY.enemySpeed;
         this.stepDownAmount = CONFIG.GAMEPLAY.enemyStepDown;
 
+        // Shooting
+        this.fireInterval = CONFIG.GAMEPLAY.enemyFireInterval; // ms
+        this.fireTimer = this.fireInterval;
+        this.fireChance = CONFIG.GAMEPLAY.enemyFireChance;
+
+        // Slowdown from ICE powerup (1 = normal speed)
+        this.speedMultiplier = 1;
+
         // Formation bounds
         this.minX = CONFIG.GAMEPLAY.enemyStartX;
         this.maxX = CONFIG.CANVAS.width - CONFIG.GAMEPLAY.enemyStartX;
@@ -212,11 +294,8 @@ export class FormationController {
      * @param {Array<Enemy>} enemies - Array of enemies
      */
     update(dt, enemies) {
-        // Update bounds dynamically for fullscreen support
-        this.maxX = CONFIG.CANVAS.width - CONFIG.GAMEPLAY.enemyStartX;
-
         // Move horizontally
-        this.offsetX += this.speed * this.direction * dt;
+        this.offsetX += this.speed * this.speedMultiplier * this.direction * dt;
 
         // Check if we need to reverse and step down
         const aliveEnemies = enemies.filter(e => e.alive || e.dying);
@@ -242,6 +321,69 @@ export class FormationController {
         }
     }
 
+    /**
+     * Gets the bottom-most living enemy of each column
+     * @param {Array<Enemy>} enemies - Array of enemies
+     * @returns {Array<Enemy>} One shooter per column
+     */
+    getShooters(enemies) {
+        const columns = new Map();
+
+        for (const enemy of enemies) {
+            if (!enemy.alive || enemy.dying) continue;
+
+            const current = columns.get(enemy.localX);
+            if (!current || enemy.localY > current.localY) {
+                columns.set(enemy.localX, enemy);
+            }
+        }
+
+        return [...columns.values()];
+    }
+
+    /**
+     * Advances the fire timer and lets each column shooter roll to fire
+     * @param {number} dt - Delta time in seconds
+     * @param {Array<Enemy>} enemies - Array of enemies
+     * @returns {Array<EnemyBullet>} Bullets fired this frame
+     */
+    updateFiring(dt, enemies) {
+        this.fireTimer -= dt * 1000 * this.speedMultiplier;
+        if (this.fireTimer > 0) return [];
+
+        this.fireTimer = this.fireInterval;
+
+        const offset = this.getOffset();
+        const bullets = [];
+
+        for (const shooter of this.getShooters(enemies)) {
+            if (randomRange(0, 1, this.rng) < this.fireChance) {
+                bullets.push(shooter.shoot(offset));
+            }
+        }
+
+        return bullets;
+    }
+
+    /**
+     * Gets how far the formation has descended toward the bottom line
+     * @param {Array<Enemy>} enemies - Array of enemies
+     * @param {number} bottomLine - Y the enemies must not reach (default from config)
+     * @returns {number} 0 at the start position, 1 when the lowest enemy touches the line
+     */
+    getDescent(enemies, bottomLine = CONFIG.GAMEPLAY.bottomLine) {
+        let lowest = -Infinity;
+        for (const enemy of enemies) {
+            if (enemy.alive) {
+                lowest = Math.max(lowest, enemy.localY + enemy.height / 2);
+            }
+        }
+        if (lowest === -Infinity) return 0;
+
+        const travel = bottomLine - lowest;
+        return travel > 0 ? Math.min(1, this.offsetY / travel) : 1;
+    }
+
     /**
      * Gets current formation offset
      * @returns {Object} Offset {x, y}
@@ -253,6 +395,26 @@ export class FormationController {
         };
     }
 
+    /**
+     * Remembers the offset at the start of a simulation tick
+     */
+    storePreviousOffset() {
+        this.prevOffsetX = this.offsetX;
+        this.prevOffsetY = this.offsetY;
+    }
+
+    /**
+     * Gets formation offset interpolated between the last two ticks
+     * @param {number} alpha - Interpolation factor (0-1)
+     * @returns {Object} Offset {x, y}
+     */
+    getInterpolatedOffset(alpha) {
+        return {
+            x: lerp(this.prevOffsetX, this.offsetX, alpha),
+            y: lerp(this.prevOffsetY, this.offsetY, alpha)
+        };
+    }
+
     /**
      * Increases formation speed for difficulty scaling
      * @param {number} amount - Amount to increase
@@ -267,6 +429,9 @@ export class FormationController {
     reset() {
         this.offsetX = 0;
         this.offsetY = 0;
+        this.prevOffsetX = 0;
+        this.prevOffsetY = 0;
         this.direction = 1;
+        this.fireTimer = this.fireInterval;
     }
 }
@@ -0,0 +1,58 @@
+/**
+ * TURIA INVADERS - Floating Text Entity
+ * Short-lived label that rises and fades (score popups)
+ */
+
+export class FloatingText {
+    /**
+     * Creates a new FloatingText
+     * @param {number} x - Initial x position
+     * @param {number} y - Initial y position
+     * @param {string} text - Text to show
+     * @param {string} color - Text color
+     */
+    constructor(x, y, text, color) {
+        this.x = x;
+        this.y = y;
+        this.text = text;
+        this.color = color;
+        this.riseSpeed = 30;
+        this.lifetime = 1000; // ms
+        this.timer = this.lifetime;
+    }
+
+    /**
+     * Updates position and lifetime
+     * @param {number} dt - Delta time in seconds
+     */
+    update(dt) {
+        this.y -= this.riseSpeed * dt;
+        this.timer -= dt * 1000;
+    }
+
+    /**
+     * Checks if the text has faded out
+     * @returns {boolean} True if expired
+     */
+    isExpired() {
+        return this.timer <= 0;
+    }
+
+    /**
+     * Renders the text
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    render(ctx) {
+        if (this.isExpired()) return;
+
+        ctx.save();
+        ctx.globalAlpha = this.timer / this.lifetime;
+        ctx.font = '12px "Press Start 2P", monospace';
+        ctx.fillStyle = this.color;
+        ctx.shadowColor = this.color;
+        ctx.shadowBlur = 10;
+        ctx.textAlign = 'center';
+        ctx.fillText(this.text, this.x, this.y);
+        ctx.restore();
+    }
+}
@@ -0,0 +1,107 @@
+/**
+ * TURIA INVADERS - Mystery Ship Entity
+ * Bonus saucer that crosses the top of the screen
+ */
+
+import { CONFIG } from '../config.js';
+
+export class MysteryShip {
+    /**
+     * Creates a new MysteryShip just off screen
+     * @param {number} direction - 1 = flies left to right, -1 = right to left
+     */
+    constructor(direction = 1) {
+        this.width = CONFIG.SIZES.mysteryShip.width;
+        this.height = CONFIG.SIZES.mysteryShip.height;
+        this.direction = direction;
+        this.speed = CONFIG.GAMEPLAY.mysteryShipSpeed;
+        this.x = direction > 0 ? -this.width : CONFIG.CANVAS.width + this.width;
+        this.y = CONFIG.GAMEPLAY.mysteryShipY;
+        this.active = true;
+
+        // Visual
+        this.color = CONFIG.COLORS.mysteryShip;
+        this.glowColor = CONFIG.COLORS.mysteryShipGlow;
+        this.animationTime = 0;
+    }
+
+    /**
+     * Updates ship position
+     * @param {number} dt - Delta time in seconds
+     */
+    update(dt) {
+        this.x += this.speed * this.direction * dt;
+        this.animationTime += dt;
+    }
+
+    /**
+     * Checks if ship has left the screen on its exit side
+     * @param {number} canvasWidth - Canvas width
+     * @returns {boolean} True if off screen
+     */
+    isOffScreen(canvasWidth) {
+        return this.direction > 0 ?
+            this.x > canvasWidth + this.width :
+            this.x < -this.width;
+    }
+
+    /**
+     * Gets bounding box for collision detection
+     * @returns {Object} Bounding box {x, y, width, height}
+     */
+    getBounds() {
+        return {
+            x: this.x - this.width / 2,
+            y: this.y - this.height / 2,
+            width: this.width,
+            height: this.height
+        };
+    }
+
+    /**
+     * Marks ship as destroyed
+     */
+    destroy() {
+        this.active = false;
+    }
+
+    /**
+     * Renders the saucer
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    render(ctx) {
+        if (!this.active) return;
+
+        const halfW = this.width / 2;
+        const halfH = this.height / 2;
+
+        ctx.save();
+        ctx.shadowColor = this.glowColor;
+        ctx.shadowBlur = 15;
+
+        // Dome
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
+        ctx.beginPath();
+        ctx.ellipse(this.x, this.y - halfH * 0.3, halfW * 0.4, halfH * 0.7, 0, Math.PI, 0);
+        ctx.fill();
+
+        // Hull
+        ctx.fillStyle = this.color;
+        ctx.beginPath();
+        ctx.ellipse(this.x, this.y, halfW, halfH * 0.5, 0, 0, Math.PI * 2);
+        ctx.fill();
+
+        // Running lights
+        ctx.shadowBlur = 0;
+        const lights = 5;
+        for (let i = 0; i < lights; i++) {
+            const on = Math.floor(this.animationTime * 8 + i) % 2 === 0;
+            ctx.fillStyle = on ? '#ffff00' : '#663300';
+            ctx.beginPath();
+            ctx.arc(this.x - halfW * 0.6 + i * (halfW * 1.2 / (lights - 1)), this.y, 2, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.restore();
+    }
+}
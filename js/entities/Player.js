@@ -6,7 +6,13 @@
 import { CONFIG } from '../config.js';
 import { clamp } from '../utils.js';
 import { Bullet } from './Bullet.js';
+import { BeerType, getNextBeerType } from './BeerType.js';
 import { AssetLoader } from '../AssetLoader.js';
+import { Animation } from '../Animation.js';
+
+// Banking frames from hard left to hard right; the ship eases through them when turning
+const BANK_FRAMES = ['bankLeft2', 'bankLeft1', 'idle', 'bankRight1', 'bankRight2'];
+const BANK_FRAME_DURATION = 60; // ms
 
 export class Player {
     /**
@@ -25,12 +31,26 @@ export class Player {
         this.fireCooldown = 0;
         this.fireCooldownMax = CONFIG.GAMEPLAY.fireCooldown;
 
+        // Beer ammo type
+        this.currentType = BeerType.LAGER;
+
+        // FOAM powerup - three-way spread
+        this.spreadShot = false;
+
+        // Damage
+        this.invulnerableTimer = 0;
+        this.invulnerableDuration = CONFIG.GAMEPLAY.playerInvulnerability; // ms
+
         // Visual
         this.color = CONFIG.COLORS.player;
         this.glowColor = CONFIG.COLORS.playerGlow;
 
         // Sprite
-        this.sprite = AssetLoader.get('player');
+        this.sheet = AssetLoader.getAtlas('player');
+
+        // Banking animation - direction is -1 (left), 0 or 1 (right)
+        this.bankDirection = 0;
+        this.animation = new Animation(['idle'], { loop: false });
     }
 
     /**
@@ -51,10 +71,59 @@ export class Player {
         // Clamp to screen bounds
         this.x = clamp(this.x, this.width / 2, canvasWidth - this.width / 2);
 
+        // Bank into turns
+        const direction = (input.isPressed('right') ? 1 : 0) - (input.isPressed('left') ? 1 : 0);
+        if (direction !== this.bankDirection) {
+            this.bankDirection = direction;
+            this.bankTo(direction);
+        }
+        this.animation.update(dt);
+
         // Update fire cooldown
         if (this.fireCooldown > 0) {
             this.fireCooldown -= dt * 1000; // Convert to ms
         }
+
+        // Update invulnerability
+        if (this.invulnerableTimer > 0) {
+            this.invulnerableTimer -= dt * 1000;
+        }
+    }
+
+    /**
+     * Plays the frames from the current bank to a new one, one step at a time
+     * Starting from the frame on screen keeps a turn smooth even if the last one hadn't finished
+     * @param {number} direction - Target bank (-1 left, 0 level, 1 right)
+     */
+    bankTo(direction) {
+        const from = BANK_FRAMES.indexOf(this.animation.getFrame());
+        const to = (BANK_FRAMES.length - 1) / 2 * (direction + 1);
+        const step = Math.sign(to - from);
+
+        const frames = [];
+        for (let i = from + step; step !== 0 && i !== to + step; i += step) {
+            frames.push(BANK_FRAMES[i]);
+        }
+
+        this.animation.play(frames.length > 0 ? frames : [BANK_FRAMES[to]], {
+            frameDuration: BANK_FRAME_DURATION,
+            loop: false
+        });
+    }
+
+    /**
+     * Registers a hit and starts the invulnerability window
+     */
+    hit() {
+        this.invulnerableTimer = this.invulnerableDuration;
+    }
+
+    /**
+     * Checks if player is temporarily invulnerable after a hit
+     * @returns {boolean} True if invulnerable
+     */
+    isInvulnerable() {
+        return this.invulnerableTimer > 0;
     }
 
     /**
@@ -67,12 +136,46 @@ export class Player {
             return new Bullet(
                 this.x,
                 this.y - this.height / 2,
-                -CONFIG.GAMEPLAY.bulletSpeed // Negative = upward
+                -CONFIG.GAMEPLAY.bulletSpeed, // Negative = upward
+                this.currentType
             );
         }
         return null;
     }
 
+    /**
+     * Fires a volley - a single bullet, or a three-way spread with FOAM
+     * @returns {Array<Bullet>} Bullets fired (empty if on cooldown)
+     */
+    fire() {
+        const bullet = this.shoot();
+        if (!bullet) return [];
+        if (!this.spreadShot) return [bullet];
+
+        const spread = CONFIG.GAMEPLAY.foamSpreadSpeed;
+        return [
+            bullet,
+            new Bullet(bullet.x, bullet.y, bullet.velocityY, this.currentType, -spread),
+            new Bullet(bullet.x, bullet.y, bullet.velocityY, this.currentType, spread)
+        ];
+    }
+
+    /**
+     * Sets the current beer ammo type
+     * @param {number} type - Beer type
+     */
+    setType(type) {
+        this.currentType = type;
+    }
+
+    /**
+     * Cycles to the next beer ammo type
+     * @param {number} step - Steps to move (1 = next, -1 = previous)
+     */
+    cycleType(step = 1) {
+        this.currentType = getNextBeerType(this.currentType, step);
+    }
+
     /**
      * Checks if player can shoot
      * @returns {boolean} True if cooldown is ready
@@ -99,17 +202,23 @@ export class Player {
      * @param {CanvasRenderingContext2D} ctx - Canvas context
      */
     render(ctx) {
+        // Blink while invulnerable
+        if (this.isInvulnerable() && Math.floor(this.invulnerableTimer / 100) % 2 === 0) {
+            return;
+        }
+
         ctx.save();
 
-        // Try to get sprite (might have loaded after construction)
-        if (!this.sprite) {
-            this.sprite = AssetLoader.get('player');
+        // Try to get sprite sheet (might have loaded after construction)
+        if (!this.sheet) {
+            this.sheet = AssetLoader.getAtlas('player');
         }
 
-        if (this.sprite) {
+        if (this.sheet) {
             // Draw sprite directly without effects
-            ctx.drawImage(
-                this.sprite,
+            this.sheet.draw(
+                ctx,
+                this.animation.getFrame(),
                 this.x - this.width / 2,
                 this.y - this.height / 2,
                 this.width,
@@ -157,5 +266,10 @@ export class Player {
         this.x = canvasWidth / 2;
         this.y = CONFIG.GAMEPLAY.playerStartY;
         this.fireCooldown = 0;
+        this.invulnerableTimer = 0;
+        this.currentType = BeerType.LAGER;
+        this.spreadShot = false;
+        this.bankDirection = 0;
+        this.animation.play(['idle'], { loop: false });
     }
 }
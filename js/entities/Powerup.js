@@ -0,0 +1,101 @@
+/**
+ * TURIA INVADERS - Powerup Entity
+ * Dropped by enemies, falls toward the player
+ */
+
+import { CONFIG } from '../config.js';
+
+// Powerup kinds
+export const PowerupKind = {
+    ICE: 'ice',   // Slows the enemy formation
+    FOAM: 'foam'  // Three-way spread shot
+};
+
+export class Powerup {
+    /**
+     * Creates a new Powerup
+     * @param {number} x - Initial x position
+     * @param {number} y - Initial y position
+     * @param {string} kind - Powerup kind (PowerupKind)
+     */
+    constructor(x, y, kind) {
+        this.x = x;
+        this.y = y;
+        this.kind = kind;
+        this.velocityY = CONFIG.GAMEPLAY.powerupFallSpeed;
+        this.width = CONFIG.SIZES.powerup.width;
+        this.height = CONFIG.SIZES.powerup.height;
+        this.active = true;
+
+        // Visual
+        this.color = kind === PowerupKind.ICE ? CONFIG.COLORS.powerupIce : CONFIG.COLORS.powerupFoam;
+        this.animationTime = 0;
+    }
+
+    /**
+     * Updates powerup position
+     * @param {number} dt - Delta time in seconds
+     */
+    update(dt) {
+        this.y += this.velocityY * dt;
+        this.animationTime += dt;
+    }
+
+    /**
+     * Checks if powerup fell off screen
+     * @param {number} canvasHeight - Canvas height
+     * @returns {boolean} True if off screen
+     */
+    isOffScreen(canvasHeight) {
+        return this.y > canvasHeight + this.height;
+    }
+
+    /**
+     * Gets bounding box for collision detection
+     * @returns {Object} Bounding box {x, y, width, height}
+     */
+    getBounds() {
+        return {
+            x: this.x - this.width / 2,
+            y: this.y - this.height / 2,
+            width: this.width,
+            height: this.height
+        };
+    }
+
+    /**
+     * Renders the powerup as a glowing capsule with its initial
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    render(ctx) {
+        if (!this.active) return;
+
+        ctx.save();
+
+        // Gentle spin/pulse
+        const pulse = 1 + Math.sin(this.animationTime * 6) * 0.1;
+        const halfW = this.width / 2 * pulse;
+        const halfH = this.height / 2 * pulse;
+
+        ctx.shadowColor = this.color;
+        ctx.shadowBlur = 15;
+
+        // Capsule
+        ctx.fillStyle = CONFIG.COLORS.powerBarBg;
+        ctx.strokeStyle = this.color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.roundRect(this.x - halfW, this.y - halfH, halfW * 2, halfH * 2, 6);
+        ctx.fill();
+        ctx.stroke();
+
+        // Kind letter
+        ctx.shadowBlur = 5;
+        ctx.font = '12px "Press Start 2P", monospace';
+        ctx.fillStyle = this.color;
+        ctx.textAlign = 'center';
+        ctx.fillText(this.kind === PowerupKind.ICE ? 'I' : 'F', this.x, this.y + 6);
+
+        ctx.restore();
+    }
+}
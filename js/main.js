@@ -5,17 +5,29 @@
 
 import { Game } from './Game.js';
 import { CONFIG } from './config.js';
+import { fitCanvas } from './Display.js';
 import { AssetLoader } from './AssetLoader.js';
 import { MenuState } from './states/MenuState.js';
 import { PlayState } from './states/PlayState.js';
 import { GameOverState } from './states/GameOverState.js';
+import { PauseState } from './states/PauseState.js';
+import { SettingsState } from './states/SettingsState.js';
+import { SettingsSystem } from './systems/SettingsSystem.js';
+import { TouchControls } from './systems/TouchControls.js';
+import { AudioSystem } from './systems/AudioSystem.js';
+import { MusicSystem } from './systems/MusicSystem.js';
+
+// Failed assets listed on the loading screen before the rest are summed up
+const MAX_LISTED_ERRORS = 8;
 
 /**
  * Renders loading screen
  * @param {CanvasRenderingContext2D} ctx - Canvas context
  * @param {number} progress - Loading progress (0-1)
+ * @param {Array<Object>} errors - Assets that failed to load {type, src}
+ * @param {boolean} waiting - True once loading is done and the player must acknowledge the failures
  */
-function renderLoadingScreen(ctx, progress) {
+function renderLoadingScreen(ctx, progress, errors = [], waiting = false) {
     const width = CONFIG.CANVAS.width;
     const height = CONFIG.CANVAS.height;
 
@@ -58,25 +70,65 @@ function renderLoadingScreen(ctx, progress) {
     ctx.fillStyle = CONFIG.COLORS.text;
     ctx.font = '10px "Press Start 2P", monospace';
     ctx.fillText(`${Math.floor(progress * 100)}%`, width / 2, barY + barHeight + 25);
+
+    if (errors.length > 0) {
+        renderLoadErrors(ctx, errors, barY + barHeight + 60, waiting);
+    }
 }
 
 /**
- * Main initialization function
+ * Renders the list of assets that failed to load
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Array<Object>} errors - Failed assets {type, src}
+ * @param {number} top - Y of the heading
+ * @param {boolean} waiting - True to prompt for a key press
  */
+function renderLoadErrors(ctx, errors, top, waiting) {
+    const width = CONFIG.CANVAS.width;
+
+    ctx.shadowBlur = 0;
+    ctx.fillStyle = CONFIG.COLORS.enemyBullet;
+    ctx.font = '10px "Press Start 2P", monospace';
+    ctx.fillText(`FAILED TO LOAD ${errors.length} ASSET${errors.length === 1 ? '' : 'S'}:`, width / 2, top);
+
+    ctx.font = '8px "Press Start 2P", monospace';
+    ctx.fillStyle = CONFIG.COLORS.textDim;
+    errors.slice(0, MAX_LISTED_ERRORS).forEach((error, i) => {
+        ctx.fillText(`${error.type.toUpperCase()} ${error.src}`, width / 2, top + 22 + i * 16);
+    });
+
+    let y = top + 22 + Math.min(errors.length, MAX_LISTED_ERRORS) * 16;
+    if (errors.length > MAX_LISTED_ERRORS) {
+        ctx.fillText(`+ ${errors.length - MAX_LISTED_ERRORS} MORE`, width / 2, y);
+        y += 16;
+    }
+
+    if (waiting) {
+        ctx.fillStyle = CONFIG.COLORS.text;
+        ctx.font = '10px "Press Start 2P", monospace';
+        ctx.fillText('PRESS ANY KEY TO CONTINUE', width / 2, y + 20);
+    }
+}
+
 /**
- * Sets canvas to fullscreen and updates CONFIG
+ * Waits for a key press, click or touch
+ * @returns {Promise<void>}
  */
-function setFullscreen(canvas) {
-    canvas.width = window.innerWidth;
-    canvas.height = window.innerHeight;
-    CONFIG.CANVAS.width = canvas.width;
-    CONFIG.CANVAS.height = canvas.height;
-
-    // Update gameplay positions based on new size
-    CONFIG.GAMEPLAY.playerStartY = canvas.height - 100;
-    CONFIG.GAMEPLAY.bottomLine = canvas.height - 130;
+function waitForAnyInput() {
+    return new Promise(resolve => {
+        const handler = () => {
+            window.removeEventListener('keydown', handler);
+            window.removeEventListener('pointerdown', handler);
+            resolve();
+        };
+        window.addEventListener('keydown', handler);
+        window.addEventListener('pointerdown', handler);
+    });
 }
 
+/**
+ * Main initialization function
+ */
 async function init() {
     // Get canvas element
     const canvas = document.getElementById('game-canvas');
@@ -86,8 +138,14 @@ async function init() {
         return;
     }
 
-    // Set canvas to fullscreen
-    setFullscreen(canvas);
+    // Apply saved key bindings and audio mix before any input is handled
+    new SettingsSystem().load();
+
+    // Sound starts with the first key press, click or touch
+    AudioSystem.attach();
+
+    // Fit the logical resolution to the window
+    fitCanvas(canvas);
 
     const ctx = canvas.getContext('2d');
 
@@ -101,7 +159,7 @@ async function init() {
     let loadingComplete = false;
     const loadingAnimation = () => {
         if (!loadingComplete) {
-            renderLoadingScreen(ctx, AssetLoader.getProgress());
+            renderLoadingScreen(ctx, AssetLoader.getProgress(), AssetLoader.getErrors());
             requestAnimationFrame(loadingAnimation);
         }
     };
@@ -111,19 +169,35 @@ async function init() {
     await AssetLoader.loadAll();
     loadingComplete = true;
 
+    // The game still runs on fallbacks, but say what's missing before it starts
+    const errors = AssetLoader.getErrors();
+    if (errors.length > 0) {
+        renderLoadingScreen(ctx, 1, errors, true);
+        await waitForAnyInput();
+    }
+
     console.log('Assets loaded!');
 
+    MusicSystem.setSongs(AssetLoader.getSongs());
+
     // Create game instance
     const game = new Game(canvas);
 
+    // On-screen controls for phones and tablets
+    TouchControls.attach(canvas);
+
     // Create and register game states
     const menuState = new MenuState();
     const playState = new PlayState();
     const gameOverState = new GameOverState();
+    const pauseState = new PauseState();
+    const settingsState = new SettingsState();
 
     game.registerState('menu', menuState);
     game.registerState('play', playState);
     game.registerState('gameover', gameOverState);
+    game.registerState('pause', pauseState);
+    game.registerState('settings', settingsState);
 
     // Start with menu state
     game.changeState('menu');
@@ -131,9 +205,9 @@ async function init() {
     // Start the game loop
     game.start();
 
-    // Handle window resize
+    // Handle window resize - only the on-screen scale changes, never the game's coordinates
     window.addEventListener('resize', () => {
-        setFullscreen(canvas);
+        fitCanvas(canvas);
     });
 
     // Store game instance globally for debugging
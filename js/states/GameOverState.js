@@ -5,6 +5,9 @@
 
 import { CONFIG } from '../config.js';
 import { ScoreSystem } from '../systems/ScoreSystem.js';
+import { getReplayFileName } from '../systems/ReplaySystem.js';
+import { TouchControls } from '../systems/TouchControls.js';
+import { MusicSystem } from '../systems/MusicSystem.js';
 
 export class GameOverState {
     constructor() {
@@ -12,6 +15,9 @@ export class GameOverState {
         this.finalScore = 0;
         this.wave = 0;
         this.playerName = '';
+        this.seed = null;
+        this.replay = null;
+        this.isReplay = false;
         this.scoreboard = [];
         this.playerRank = 0;
 
@@ -22,6 +28,7 @@ export class GameOverState {
 
         // Bind handlers
         this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleTap = this.handleTap.bind(this);
     }
 
     /**
@@ -32,8 +39,12 @@ export class GameOverState {
         this.finalScore = data.score || 0;
         this.wave = data.wave || 1;
         this.playerName = data.playerName || 'PLAYER';
+        this.seed = data.seed ?? null;
+        this.replay = data.replay || null;
+        this.isReplay = Boolean(data.isReplay);
         this.animTime = 0;
         this.canRestart = false;
+        MusicSystem.play('gameover');
 
         // Get scoreboard
         const scoreSystem = new ScoreSystem();
@@ -42,8 +53,9 @@ export class GameOverState {
         // Find player rank
         this.playerRank = this.findPlayerRank();
 
-        // Add keyboard listener
+        // Add keyboard and touch listeners
         window.addEventListener('keydown', this.handleKeyDown);
+        TouchControls.addTapListener(this.handleTap);
 
         // Enable restart after delay
         setTimeout(() => {
@@ -56,6 +68,7 @@ export class GameOverState {
      */
     exit() {
         window.removeEventListener('keydown', this.handleKeyDown);
+        TouchControls.removeTapListener(this.handleTap);
     }
 
     /**
@@ -79,11 +92,40 @@ export class GameOverState {
     handleKeyDown(e) {
         if (!this.canRestart) return;
 
+        if (e.code === 'KeyD' && this.replay) {
+            this.downloadReplay();
+            return;
+        }
+
         if (e.key === 'Enter') {
             this.restartGame();
         }
     }
 
+    /**
+     * Handles taps - anywhere continues
+     */
+    handleTap() {
+        if (this.canRestart) {
+            this.restartGame();
+        }
+    }
+
+    /**
+     * Saves the run's replay as a JSON file
+     */
+    downloadReplay() {
+        const blob = new Blob([JSON.stringify(this.replay)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = getReplayFileName(this.replay);
+        link.click();
+
+        URL.revokeObjectURL(url);
+    }
+
     /**
      * Restarts the game
      */
@@ -121,6 +163,23 @@ export class GameOverState {
         if (this.canRestart) {
             this.renderRestartPrompt(ctx, centerX, 550);
         }
+
+        // Run seed, for reproducing bug reports
+        if (this.seed !== null) {
+            this.renderSeed(ctx, centerX, CONFIG.CANVAS.height - 15);
+        }
+    }
+
+    /**
+     * Renders the run seed
+     */
+    renderSeed(ctx, x, y) {
+        ctx.save();
+        ctx.font = '8px "Press Start 2P", monospace';
+        ctx.fillStyle = CONFIG.COLORS.textDim;
+        ctx.textAlign = 'center';
+        ctx.fillText(this.isReplay ? `REPLAY - SEED: ${this.seed}` : `SEED: ${this.seed}`, x, y);
+        ctx.restore();
     }
 
     /**
@@ -266,7 +325,15 @@ export class GameOverState {
             ctx.font = '12px "Press Start 2P", monospace';
             ctx.fillStyle = CONFIG.COLORS.text;
             ctx.textAlign = 'center';
-            ctx.fillText('PRESS ENTER TO CONTINUE', x, y);
+            ctx.fillText(TouchControls.enabled ? 'TAP TO CONTINUE' : 'PRESS ENTER TO CONTINUE', x, y);
+        }
+
+        if (this.replay && !TouchControls.enabled) {
+            ctx.shadowBlur = 0;
+            ctx.font = '10px "Press Start 2P", monospace';
+            ctx.fillStyle = CONFIG.COLORS.textDim;
+            ctx.textAlign = 'center';
+            ctx.fillText('PRESS D TO DOWNLOAD REPLAY', x, y + 22);
         }
 
         ctx.restore();
@@ -4,6 +4,22 @@
  */
 
 import { CONFIG } from '../config.js';
+import { parseSeed } from '../Random.js';
+import { parseReplay } from '../systems/ReplaySystem.js';
+import { formatKeyCode } from '../systems/SettingsSystem.js';
+import { TouchControls } from '../systems/TouchControls.js';
+import { MusicSystem } from '../systems/MusicSystem.js';
+
+// On-screen keyboard for touch name entry - DEL and GO span two columns
+const TOUCH_KEYBOARD = [
+    [...'ABCDEFGHIJ'],
+    [...'KLMNOPQRST'],
+    [...'UVWXYZ0123'],
+    [...'456789', 'DEL', 'GO']
+];
+const KEY_WIDTH = 40;
+const KEY_HEIGHT = 30;
+const KEY_GAP = 4;
 
 export class MenuState {
     constructor() {
@@ -21,8 +37,14 @@ export class MenuState {
         // Input state
         this.inputActive = true;
 
-        // Bind keyboard handler
+        // Replay loading
+        this.replayError = '';
+        this.replayErrorTimer = 0;
+        this.replayErrorDuration = 3000; // ms
+
+        // Bind input handlers
         this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleTap = this.handleTap.bind(this);
     }
 
     /**
@@ -32,9 +54,11 @@ export class MenuState {
     enter(data = {}) {
         this.playerName = data.playerName || '';
         this.inputActive = true;
+        MusicSystem.play('menu');
 
-        // Add keyboard listener for name input
+        // Add keyboard and touch listeners for name input
         window.addEventListener('keydown', this.handleKeyDown);
+        TouchControls.addTapListener(this.handleTap);
     }
 
     /**
@@ -42,6 +66,23 @@ export class MenuState {
      */
     exit() {
         window.removeEventListener('keydown', this.handleKeyDown);
+        TouchControls.removeTapListener(this.handleTap);
+    }
+
+    /**
+     * Called when the settings overlay opens on top
+     */
+    suspend() {
+        window.removeEventListener('keydown', this.handleKeyDown);
+        TouchControls.removeTapListener(this.handleTap);
+    }
+
+    /**
+     * Called when the settings overlay closes
+     */
+    resume() {
+        window.addEventListener('keydown', this.handleKeyDown);
+        TouchControls.addTapListener(this.handleTap);
     }
 
     /**
@@ -59,6 +100,19 @@ export class MenuState {
             return;
         }
 
+        // Handle Escape to open settings
+        if (e.key === 'Escape') {
+            this.game.pushState('settings');
+            return;
+        }
+
+        // Handle Tab to load a replay file
+        if (e.key === 'Tab') {
+            e.preventDefault();
+            this.openReplayPicker();
+            return;
+        }
+
         // Handle Backspace
         if (e.key === 'Backspace') {
             this.playerName = this.playerName.slice(0, -1);
@@ -66,25 +120,117 @@ export class MenuState {
         }
 
         // Handle letter/number input
-        if (e.key.length === 1 && this.playerName.length < this.maxNameLength) {
-            const char = e.key.toUpperCase();
-            // Only allow alphanumeric
-            if (/[A-Z0-9]/.test(char)) {
-                this.playerName += char;
+        if (e.key.length === 1) {
+            this.addCharacter(e.key);
+        }
+    }
+
+    /**
+     * Appends a character to the name, if it's alphanumeric and there's room
+     * @param {string} key - Single character
+     */
+    addCharacter(key) {
+        if (this.playerName.length >= this.maxNameLength) return;
+
+        const char = key.toUpperCase();
+        // Only allow alphanumeric
+        if (/[A-Z0-9]/.test(char)) {
+            this.playerName += char;
+        }
+    }
+
+    /**
+     * Handles taps on the on-screen keyboard
+     * @param {number} x - Canvas x
+     * @param {number} y - Canvas y
+     */
+    handleTap(x, y) {
+        if (!this.inputActive) return;
+
+        const key = this.getKeyboardKeys(CONFIG.CANVAS.width / 2, 385).find(k =>
+            x >= k.x && x <= k.x + k.width && y >= k.y && y <= k.y + k.height
+        );
+        if (!key) return;
+
+        if (key.label === 'DEL') {
+            this.playerName = this.playerName.slice(0, -1);
+        } else if (key.label === 'GO') {
+            if (this.playerName.length >= this.minNameLength) {
+                this.startGame();
             }
+        } else {
+            this.addCharacter(key.label);
         }
     }
 
+    /**
+     * Lays out the on-screen keyboard
+     * @param {number} centerX - Horizontal center
+     * @param {number} top - Top of the first row
+     * @returns {Array<Object>} Keys {label, x, y, width, height}
+     */
+    getKeyboardKeys(centerX, top) {
+        const rowWidth = 10 * KEY_WIDTH + 9 * KEY_GAP;
+        const keys = [];
+
+        TOUCH_KEYBOARD.forEach((row, r) => {
+            let x = centerX - rowWidth / 2;
+
+            for (const label of row) {
+                const width = label.length > 1 ? KEY_WIDTH * 2 + KEY_GAP : KEY_WIDTH;
+                keys.push({ label, x, y: top + r * (KEY_HEIGHT + KEY_GAP), width, height: KEY_HEIGHT });
+                x += width + KEY_GAP;
+            }
+        });
+
+        return keys;
+    }
+
     /**
      * Starts the game with current player name
      */
     startGame() {
         this.inputActive = false;
         this.game.changeState('play', {
-            playerName: this.playerName
+            playerName: this.playerName,
+            seed: parseSeed(new URLSearchParams(window.location.search).get('seed')) // ?seed= replays a run
         });
     }
 
+    /**
+     * Opens a file picker and plays the chosen replay
+     */
+    openReplayPicker() {
+        const picker = document.createElement('input');
+        picker.type = 'file';
+        picker.accept = '.json,application/json';
+
+        picker.addEventListener('change', async () => {
+            const file = picker.files[0];
+            if (!file) return;
+
+            try {
+                const replay = parseReplay(await file.text());
+                this.inputActive = false;
+                this.game.changeState('play', { replay });
+            } catch (e) {
+                this.showReplayError(e.message);
+            }
+        });
+
+        picker.click();
+    }
+
+    /**
+     * Shows a replay loading error for a few seconds
+     * @param {string} message - Error message
+     */
+    showReplayError(message) {
+        console.warn('Replay not loaded:', message);
+        this.replayError = message.toUpperCase();
+        this.replayErrorTimer = this.replayErrorDuration;
+    }
+
     /**
      * Updates menu animations
      * @param {number} dt - Delta time in seconds
@@ -102,6 +248,11 @@ export class MenuState {
 
         // Press Start blink
         this.pressStartBlink += dt * 1000;
+
+        // Replay error fade
+        if (this.replayErrorTimer > 0) {
+            this.replayErrorTimer -= dt * 1000;
+        }
     }
 
     /**
@@ -124,14 +275,18 @@ export class MenuState {
         // Name input section
         this.renderNameInput(ctx, centerX, 280);
 
-        // Controls info
-        this.renderControls(ctx, centerX, 420);
+        // Controls info, or the name keyboard on touch devices
+        if (TouchControls.enabled) {
+            this.renderKeyboard(ctx, centerX, 385);
+        } else {
+            this.renderControls(ctx, centerX, 400);
+        }
 
         // Press Start prompt
-        this.renderStartPrompt(ctx, centerX, 520);
+        this.renderStartPrompt(ctx, centerX, 540);
 
         // High scores preview
-        this.renderHighScores(ctx, centerX, 560);
+        this.renderHighScores(ctx, centerX, 570);
     }
 
     /**
@@ -216,10 +371,20 @@ export class MenuState {
         ctx.font = '10px "Press Start 2P", monospace';
         ctx.textAlign = 'center';
 
-        const controls = [
-            ['ARROW KEYS / A,D', 'MOVE'],
-            ['SPACE', 'SHOOT'],
-            ['E / SHIFT', 'TURIA POWER']
+        // Primary binding of each action, so remapped keys show up here
+        const key = (action) => formatKeyCode(CONFIG.KEYS[action][0]);
+        const controls = CONFIG.CONTROL_MODE === 'pointer' ? [
+            ['MOUSE', 'MOVE'],
+            ['LEFT CLICK', 'SHOOT'],
+            ['WHEEL', 'SWITCH BEER'],
+            ['RIGHT CLICK', 'TURIA POWER'],
+            [key('pause'), 'PAUSE']
+        ] : [
+            [`${key('left')} / ${key('right')}`, 'MOVE'],
+            [key('shoot'), 'SHOOT'],
+            [`${key('lager')} / ${key('ipa')} / ${key('stout')} / ${key('cycleAmmo')}`, 'SWITCH BEER'],
+            [key('power'), 'TURIA POWER'],
+            [key('pause'), 'PAUSE']
         ];
 
         ctx.fillStyle = CONFIG.COLORS.text;
@@ -232,6 +397,37 @@ export class MenuState {
             ctx.fillText(control[1], x + 80, y + 25 + i * 20);
         });
 
+        // Matching rule
+        ctx.fillStyle = CONFIG.COLORS.enemy3;
+        ctx.fillText('MATCH THE BEER TO THE BARREL TO DESTROY IT!', x, y + 25 + controls.length * 20);
+
+        ctx.restore();
+    }
+
+    /**
+     * Renders the on-screen keyboard
+     */
+    renderKeyboard(ctx, x, y) {
+        ctx.save();
+        ctx.font = '12px "Press Start 2P", monospace';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.lineWidth = 2;
+
+        const canStart = this.playerName.length >= this.minNameLength;
+
+        for (const key of this.getKeyboardKeys(x, y)) {
+            const enabled = key.label !== 'GO' || canStart;
+
+            ctx.fillStyle = '#1a1a2e';
+            ctx.strokeStyle = enabled ? CONFIG.COLORS.text : CONFIG.COLORS.textDim;
+            ctx.fillRect(key.x, key.y, key.width, key.height);
+            ctx.strokeRect(key.x, key.y, key.width, key.height);
+
+            ctx.fillStyle = key.label === 'GO' && canStart ? CONFIG.COLORS.textHighlight : ctx.strokeStyle;
+            ctx.fillText(key.label, key.x + key.width / 2, key.y + key.height / 2);
+        }
+
         ctx.restore();
     }
 
@@ -251,7 +447,7 @@ export class MenuState {
             ctx.font = '14px "Press Start 2P", monospace';
             ctx.fillStyle = CONFIG.COLORS.textHighlight;
             ctx.textAlign = 'center';
-            ctx.fillText('PRESS ENTER TO START', x, y);
+            ctx.fillText(TouchControls.enabled ? 'TAP GO TO START' : 'PRESS ENTER TO START', x, y);
         }
 
         ctx.restore();
@@ -266,6 +462,14 @@ export class MenuState {
         ctx.fillStyle = CONFIG.COLORS.textDim;
         ctx.textAlign = 'center';
         ctx.fillText('TOP SCORES SAVED LOCALLY', x, y);
+
+        // Replay loading hint, or the last loading error
+        if (this.replayErrorTimer > 0) {
+            ctx.fillStyle = CONFIG.COLORS.enemy1;
+            ctx.fillText(this.replayError, x, y + 15);
+        } else {
+            ctx.fillText('TAB - LOAD REPLAY   ESC - SETTINGS', x, y + 15);
+        }
         ctx.restore();
     }
 }
@@ -0,0 +1,277 @@
+/**
+ * TURIA INVADERS - Pause State
+ * Overlay menu pushed on top of the play state
+ */
+
+import { CONFIG } from '../config.js';
+import { formatKeyCode } from '../systems/SettingsSystem.js';
+import { InputSystem } from '../systems/InputSystem.js';
+import { TouchControls } from '../systems/TouchControls.js';
+
+// Menu entries in display order
+export const PAUSE_OPTIONS = [
+    { id: 'resume', label: 'RESUME' },
+    { id: 'restart', label: 'RESTART RUN' },
+    { id: 'settings', label: 'SETTINGS' },
+    { id: 'quit', label: 'QUIT TO MENU' }
+];
+
+export class PauseState {
+    constructor() {
+        this.game = null;
+        this.selectedIndex = 0;
+        this.freezeBackground = true; // Game holds the starfield still
+
+        // Animation
+        this.animTime = 0;
+
+        // Gamepad navigation (the keyboard is handled by keydown events)
+        this.input = new InputSystem();
+
+        // Bind input handlers
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleTap = this.handleTap.bind(this);
+    }
+
+    /**
+     * Called when the pause menu opens
+     */
+    enter() {
+        this.selectedIndex = 0;
+        this.animTime = 0;
+        this.addListeners();
+
+        // Take a baseline so the Start press that opened the menu doesn't close it
+        this.input.poll();
+        this.input.update();
+    }
+
+    /**
+     * Called when the pause menu closes
+     */
+    exit() {
+        this.removeListeners();
+    }
+
+    /**
+     * Called when another overlay (settings) opens on top
+     */
+    suspend() {
+        this.removeListeners();
+    }
+
+    /**
+     * Called when the overlay on top closes
+     */
+    resume() {
+        this.addListeners();
+        this.input.poll();
+        this.input.update();
+    }
+
+    /**
+     * Adds the keyboard and touch listeners
+     */
+    addListeners() {
+        TouchControls.addTapListener(this.handleTap);
+        if (typeof window === 'undefined') return;
+        window.addEventListener('keydown', this.handleKeyDown);
+    }
+
+    /**
+     * Removes the keyboard and touch listeners
+     */
+    removeListeners() {
+        TouchControls.removeTapListener(this.handleTap);
+        if (typeof window === 'undefined') return;
+        window.removeEventListener('keydown', this.handleKeyDown);
+    }
+
+    /**
+     * Handles taps - tapping an entry selects and runs it
+     * @param {number} x - Canvas x
+     * @param {number} y - Canvas y
+     */
+    handleTap(x, y) {
+        const index = this.getOptionAt(y);
+        if (index === -1 || !this.isAvailable(PAUSE_OPTIONS[index])) return;
+
+        this.selectedIndex = index;
+        this.select();
+    }
+
+    /**
+     * Finds the entry drawn at a height
+     * @param {number} y - Canvas y
+     * @returns {number} Index into PAUSE_OPTIONS, or -1
+     */
+    getOptionAt(y) {
+        return PAUSE_OPTIONS.findIndex((option, i) => Math.abs(y - (this.getOptionY(i) - 7)) <= 17);
+    }
+
+    /**
+     * Gets the text baseline of an entry
+     * @param {number} index - Index into PAUSE_OPTIONS
+     * @returns {number} Canvas y
+     */
+    getOptionY(index) {
+        return CONFIG.CANVAS.height / 2 - 20 + index * 35;
+    }
+
+    /**
+     * Handles keyboard input
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKeyDown(e) {
+        if (CONFIG.KEYS.pause.includes(e.code)) {
+            e.preventDefault();
+            this.game.popState();
+            return;
+        }
+
+        switch (e.code) {
+            case 'ArrowUp':
+            case 'KeyW':
+                e.preventDefault();
+                this.moveSelection(-1);
+                break;
+            case 'ArrowDown':
+            case 'KeyS':
+                e.preventDefault();
+                this.moveSelection(1);
+                break;
+            case 'Enter':
+            case 'Space':
+                e.preventDefault();
+                this.select();
+                break;
+        }
+    }
+
+    /**
+     * Moves the selection, wrapping around and skipping unavailable entries
+     * @param {number} step - 1 for down, -1 for up
+     */
+    moveSelection(step) {
+        const count = PAUSE_OPTIONS.length;
+        do {
+            this.selectedIndex = (this.selectedIndex + step + count) % count;
+        } while (!this.isAvailable(PAUSE_OPTIONS[this.selectedIndex]));
+    }
+
+    /**
+     * Checks if a menu entry can be chosen
+     * @param {Object} option - Entry from PAUSE_OPTIONS
+     * @returns {boolean} True if available
+     */
+    isAvailable(option) {
+        return option.id !== 'settings' || Boolean(this.game && this.game.states.settings);
+    }
+
+    /**
+     * Runs the selected entry
+     */
+    select() {
+        const play = this.game.states.play;
+
+        switch (PAUSE_OPTIONS[this.selectedIndex].id) {
+            case 'resume':
+                this.game.popState();
+                break;
+            case 'restart':
+                this.game.changeState('play', play.getRestartData());
+                break;
+            case 'settings':
+                this.game.pushState('settings');
+                break;
+            case 'quit':
+                this.game.changeState('menu', { playerName: play.score.getPlayerName() });
+                break;
+        }
+    }
+
+    /**
+     * Updates animations
+     * @param {number} dt - Delta time in seconds
+     */
+    update(dt) {
+        this.animTime += dt;
+        this.updateGamepad();
+    }
+
+    /**
+     * Navigates the menu with a gamepad - d-pad to move, A to select, Start to resume
+     */
+    updateGamepad() {
+        const pad = CONFIG.GAMEPAD;
+        this.input.poll();
+
+        if (this.input.justPressed('pause')) {
+            this.game.popState();
+        } else if (this.input.padButtonJustPressed(pad.menuUp)) {
+            this.moveSelection(-1);
+        } else if (this.input.padButtonJustPressed(pad.menuDown)) {
+            this.moveSelection(1);
+        } else if (this.input.padButtonJustPressed(pad.menuSelect)) {
+            this.select();
+        }
+
+        this.input.update();
+    }
+
+    /**
+     * Renders the pause overlay
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    render(ctx) {
+        const centerX = CONFIG.CANVAS.width / 2;
+        const centerY = CONFIG.CANVAS.height / 2;
+
+        ctx.save();
+
+        // Dim the frozen run
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(0, 0, CONFIG.CANVAS.width, CONFIG.CANVAS.height);
+
+        // Title
+        ctx.font = '28px "Press Start 2P", monospace';
+        ctx.fillStyle = CONFIG.COLORS.textHighlight;
+        ctx.shadowColor = CONFIG.COLORS.textHighlight;
+        ctx.shadowBlur = 15;
+        ctx.textAlign = 'center';
+        ctx.fillText('PAUSED', centerX, centerY - 90);
+
+        // Entries
+        ctx.font = '14px "Press Start 2P", monospace';
+        ctx.shadowBlur = 0;
+
+        PAUSE_OPTIONS.forEach((option, i) => {
+            const y = this.getOptionY(i);
+            const selected = i === this.selectedIndex;
+
+            if (!this.isAvailable(option)) {
+                ctx.fillStyle = CONFIG.COLORS.textDim;
+            } else if (selected) {
+                ctx.fillStyle = CONFIG.COLORS.textHighlight;
+            } else {
+                ctx.fillStyle = CONFIG.COLORS.text;
+            }
+
+            ctx.fillText(option.label, centerX, y);
+
+            // Blinking selection arrows
+            if (selected && Math.floor(this.animTime * 3) % 2 === 0) {
+                ctx.fillText('>', centerX - 150, y);
+                ctx.fillText('<', centerX + 150, y);
+            }
+        });
+
+        // Hint
+        ctx.font = '10px "Press Start 2P", monospace';
+        ctx.fillStyle = CONFIG.COLORS.textDim;
+        const resumeKeys = CONFIG.KEYS.pause.map(formatKeyCode).join(' / ');
+        ctx.fillText(TouchControls.enabled ? 'TAP AN OPTION' : `${resumeKeys} TO RESUME`, centerX, centerY + 150);
+
+        ctx.restore();
+    }
+}
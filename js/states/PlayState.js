@@ -8,27 +8,60 @@ import { Player } from '../entities/Player.js';
 import { Enemy, FormationController } from '../entities/Enemy.js';
 import { Boss } from '../entities/Boss.js';
 import { PowerAttack } from '../entities/PowerAttack.js';
+import { PowerupKind } from '../entities/Powerup.js';
+import { FloatingText } from '../entities/FloatingText.js';
+import { BeerType, BEER_TYPE_ORDER, getBeerTypeName, getBeerTypeColor } from '../entities/BeerType.js';
 import { InputSystem } from '../systems/InputSystem.js';
 import { CollisionSystem } from '../systems/CollisionSystem.js';
 import { ScoreSystem } from '../systems/ScoreSystem.js';
 import { SpawnSystem } from '../systems/SpawnSystem.js';
+import { PowerupSystem } from '../systems/PowerupSystem.js';
+import { TouchControls } from '../systems/TouchControls.js';
+import { PointerInput } from '../systems/PointerInput.js';
+import { AudioSystem } from '../systems/AudioSystem.js';
+import { formatKeyCode } from '../systems/SettingsSystem.js';
+import { MusicSystem } from '../systems/MusicSystem.js';
+import { ParticleSystem } from '../systems/ParticleSystem.js';
+import { ReplayRecorder, ReplayPlayer, applyConfigSnapshot, restoreConfig } from '../systems/ReplaySystem.js';
+import { AssetLoader } from '../AssetLoader.js';
+import { storePreviousPosition, drawInterpolated } from '../utils.js';
+import { Random, createSeed } from '../Random.js';
 
 export class PlayState {
     constructor() {
         this.game = null;
 
+        // Seeded random source shared by every gameplay system, reseeded per run
+        this.rng = new Random();
+        this.seed = this.rng.getSeed();
+
         // Systems
         this.input = new InputSystem();
+        this.pointer = null; // Mouse source while the pointer control mode is on
         this.collision = new CollisionSystem();
         this.score = new ScoreSystem();
-        this.spawner = new SpawnSystem();
+        this.spawner = new SpawnSystem(this.rng);
+        this.powerupEffects = new PowerupSystem(this.rng);
+        this.particles = new ParticleSystem();
+        this.exhaust = this.particles.createTrail('exhaust', 60, Math.PI / 2, 0.4);
+
+        // Replays - live runs are recorded, loaded replays drive the input
+        this.recorder = null;
+        this.replayPlayer = null;
+        this.configBackup = null;
+        this.saveScores = true;
 
         // Entities
         this.player = null;
         this.bullets = [];
+        this.enemyBullets = [];
         this.enemies = [];
+        this.powerups = [];
+        this.bunkers = [];
+        this.floatingTexts = [];
         this.formation = null;
         this.boss = null;
+        this.mysteryShip = null;
         this.powerAttack = null;
 
         // Game state
@@ -36,23 +69,65 @@ export class PlayState {
         this.waveTransition = false;
         this.waveTransitionTimer = 0;
         this.bossActive = false;
+        this.dropChance = CONFIG.GAMEPLAY.powerupDropChance;
+        this.waveEnemyCount = 0; // Enemies the wave started with, for music intensity
+
+        // Bind pause handlers - pausing listens to the window directly so it works during replays too
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+        this.handleBlur = this.handleBlur.bind(this);
     }
 
     /**
      * Called when entering play state
-     * @param {Object} data - Data from previous state (playerName)
+     * @param {Object} data - Data from previous state (playerName, optional seed or replay,
+     *                        inputSource to drive input from a script, saveScore false to skip the scoreboard)
      */
     enter(data = {}) {
+        const replay = data.replay || null;
+
+        // Play back under the config the replay was recorded with
+        if (replay) {
+            this.configBackup = applyConfigSnapshot(replay.config);
+        }
+
         // Set player name
-        this.score.setPlayerName(data.playerName || 'PLAYER');
+        this.score.setPlayerName(replay ? replay.playerName : data.playerName || 'PLAYER');
+
+        // Seed the run before anything rolls - same seed, same run
+        this.seed = replay ? replay.seed : data.seed ?? createSeed();
+        this.rng.setSeed(this.seed);
+        this.game.seedStars(this.seed);
 
         // Initialize systems
         this.score.reset();
         this.spawner.reset();
+        this.spawner.setWaveDefinitions(replay ? replay.waves : AssetLoader.getWaves());
+        this.powerupEffects.reset();
         this.collision.clear();
-
-        // Start input listening
-        this.input.start();
+        this.particles.clear();
+
+        // Input - from the recording during playback; live runs (keyboard or scripted source) are recorded
+        this.saveScores = !replay && data.saveScore !== false;
+        if (replay) {
+            this.replayPlayer = new ReplayPlayer(replay);
+            this.input.setSource(this.replayPlayer);
+            TouchControls.setPlayControls(false);
+            this.recorder = null;
+        } else {
+            this.replayPlayer = null;
+            const source = data.inputSource || null;
+            this.input.setSource(source);
+            if (!source) {
+                this.input.setPointer(this.createPointerInput());
+                this.input.start();
+            }
+            TouchControls.setPlayControls(!source);
+            this.recorder = new ReplayRecorder(this.seed, {
+                playerName: this.score.getPlayerName(),
+                waves: this.spawner.waveDefinitions
+            });
+        }
 
         // Create player
         this.player = new Player(
@@ -62,23 +137,152 @@ export class PlayState {
 
         // Reset arrays
         this.bullets = [];
+        this.enemyBullets = [];
         this.enemies = [];
+        this.powerups = [];
+        this.bunkers = [];
+        this.floatingTexts = [];
         this.powerAttack = null;
         this.boss = null;
+        this.mysteryShip = null;
         this.bossActive = false;
+        this.dropChance = CONFIG.GAMEPLAY.powerupDropChance;
 
         // Create formation controller
-        this.formation = new FormationController();
+        this.formation = new FormationController(this.rng);
 
         // Spawn first wave
         this.spawnWave();
+
+        // Pause key and auto-pause when the tab is hidden or loses focus
+        this.paused = false;
+        this.addPauseListeners();
+    }
+
+    /**
+     * Creates the mouse input when the pointer control mode is selected
+     * @returns {PointerInput|null} Started pointer, or null when the mode is off
+     */
+    createPointerInput() {
+        if (CONFIG.CONTROL_MODE !== 'pointer' || !this.game.canvas) return null;
+
+        this.pointer = new PointerInput(this);
+        this.pointer.start(this.game.canvas);
+        return this.pointer;
+    }
+
+    /**
+     * Adds window listeners that open the pause menu
+     */
+    addPauseListeners() {
+        if (typeof window === 'undefined') return; // Headless - nothing to pause
+
+        window.addEventListener('keydown', this.handleKeyDown);
+        window.addEventListener('blur', this.handleBlur);
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+
+    /**
+     * Removes the pause listeners
+     */
+    removePauseListeners() {
+        if (typeof window === 'undefined') return;
+
+        window.removeEventListener('keydown', this.handleKeyDown);
+        window.removeEventListener('blur', this.handleBlur);
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+    }
+
+    /**
+     * Handles the pause key
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKeyDown(e) {
+        if (CONFIG.KEYS.pause.includes(e.code)) {
+            e.preventDefault();
+            this.pause();
+        }
+    }
+
+    /**
+     * Pauses when the tab is hidden
+     */
+    handleVisibilityChange() {
+        if (document.hidden) {
+            this.pause();
+        }
+    }
+
+    /**
+     * Pauses when the window loses focus
+     */
+    handleBlur() {
+        this.pause();
+    }
+
+    /**
+     * Opens the pause menu over the run
+     * Ignored when already paused or when another overlay is on top
+     */
+    pause() {
+        if (this.paused || this.game.currentState !== this) return;
+
+        this.game.pushState('pause');
+    }
+
+    /**
+     * Called when an overlay is pushed on top of this state
+     */
+    suspend() {
+        this.paused = true;
+        this.holdStill();
+
+        // Hand touches to the overlay
+        TouchControls.setPlayControls(false);
+    }
+
+    /**
+     * Called when the overlay on top closes
+     */
+    resume() {
+        this.paused = false;
+        TouchControls.setPlayControls(!this.input.source);
+
+        // Drop presses made while paused (e.g. the resume key) so they don't leak into the run
+        this.input.update();
+    }
+
+    /**
+     * Gets the data needed to start this run over
+     * @returns {Object} Data for enter - same replay, or same player with a fresh seed
+     */
+    getRestartData() {
+        if (this.replayPlayer) {
+            return { replay: this.replayPlayer.replay };
+        }
+        return { playerName: this.score.getPlayerName() };
     }
 
     /**
      * Called when exiting play state
      */
     exit() {
+        this.removePauseListeners();
+        TouchControls.setPlayControls(false);
         this.input.stop();
+        this.input.setSource(null);
+        this.input.setPointer(null);
+
+        if (this.pointer) {
+            this.pointer.stop();
+            this.pointer = null;
+        }
+        this.input.reset();
+
+        if (this.configBackup) {
+            restoreConfig(this.configBackup);
+            this.configBackup = null;
+        }
     }
 
     /**
@@ -87,14 +291,26 @@ export class PlayState {
     spawnWave() {
         const waveNum = this.spawner.nextWave();
 
+        // Rebuild shields on the configured interval
+        if (this.spawner.shouldRegenerateBunkers(waveNum)) {
+            this.bunkers = this.spawner.createBunkers();
+        }
+
         // Check if boss wave
         if (this.spawner.shouldSpawnBoss(waveNum)) {
             this.spawnBoss();
         } else {
-            // Spawn regular enemies
-            this.enemies = this.spawner.createWave();
+            // Spawn regular enemies - authored layout first, then procedural
+            const settings = this.spawner.getWaveSettings(waveNum);
+            this.enemies = this.spawner.createWaveForNumber(waveNum);
+            this.formation.speed = settings.speed;
+            this.formation.stepDownAmount = settings.stepDown;
+            this.formation.fireInterval = settings.fireInterval;
+            this.formation.fireChance = settings.fireChance;
             this.formation.reset();
-            this.formation.speed = this.spawner.getSpeedForWave(waveNum);
+            this.dropChance = settings.dropChance;
+            this.waveEnemyCount = this.enemies.length;
+            MusicSystem.play('wave');
         }
 
         this.waveTransition = false;
@@ -105,8 +321,11 @@ export class PlayState {
      */
     spawnBoss() {
         const bossData = this.spawner.createBossData();
-        this.boss = new Boss(bossData.x, bossData.y, bossData.hp);
+        this.boss = new Boss(bossData.x, bossData.y, bossData.hp, bossData);
         this.bossActive = true;
+        MusicSystem.play('boss');
+        this.game.camera.zoomPulse(CONFIG.CAMERA.bossIntroZoom, this.boss.x, this.boss.y, CONFIG.CAMERA.bossIntroDuration);
+        this.mysteryShip = null; // Bonus ship never flies during boss waves
         this.enemies = []; // Clear regular enemies for boss fight
     }
 
@@ -117,6 +336,26 @@ export class PlayState {
     update(dt) {
         if (this.paused) return;
 
+        // Remember where everything was, for render interpolation - first, so a tick
+        // where nothing moves (wave transition, pause) draws everything still
+        this.storePreviousPositions();
+
+        // Sample this tick's input - every tick is recorded so playback lines up exactly
+        this.input.poll();
+
+        // Gamepad Start pauses here (keys pause straight from keydown); the tick is skipped, not recorded
+        if (!this.replayPlayer && this.input.justPressed('pause')) {
+            this.pause();
+            return;
+        }
+
+        if (this.recorder) {
+            this.recorder.record(this.input);
+        }
+
+        // Particles keep settling through wave transitions
+        this.particles.update(dt);
+
         // Handle wave transition
         if (this.waveTransition) {
             this.waveTransitionTimer -= dt * 1000;
@@ -126,31 +365,75 @@ export class PlayState {
             return;
         }
 
-        // Update input at end of frame
+        this.updatePowerupEffects(dt);
         this.updatePlayer(dt);
         this.updateBullets(dt);
+        this.updateEnemyBullets(dt);
         this.updateEnemies(dt);
         this.updateBoss(dt);
+        this.updateMysteryShip(dt);
         this.updatePowerAttack(dt);
+        this.updatePowerups(dt);
+        this.updateFloatingTexts(dt);
         this.checkCollisions();
         this.checkWaveComplete();
         this.checkGameOver();
 
+        MusicSystem.setIntensity(this.getMusicIntensity());
+
         // Clear input just-pressed states
         this.input.update();
     }
 
+    /**
+     * Gets how tense the run is, for the music tempo
+     * @returns {number} 0-1 - boss damage dealt, or the formation's descent or losses, whichever is higher
+     */
+    getMusicIntensity() {
+        if (this.bossActive && this.boss) {
+            return 1 - this.boss.getHPPercentage();
+        }
+
+        const alive = this.enemies.filter(e => e.alive).length;
+        const thinned = this.waveEnemyCount > 0 ? 1 - alive / this.waveEnemyCount : 0;
+        return Math.max(this.formation.getDescent(this.enemies), thinned);
+    }
+
+    /**
+     * Counts down powerup effects and applies them to player and formation
+     */
+    updatePowerupEffects(dt) {
+        this.powerupEffects.update(dt);
+
+        this.formation.speedMultiplier = this.powerupEffects.isActive(PowerupKind.ICE) ?
+            CONFIG.GAMEPLAY.iceSlowFactor : 1;
+        this.player.spreadShot = this.powerupEffects.isActive(PowerupKind.FOAM);
+    }
+
     /**
      * Updates player
      */
     updatePlayer(dt) {
         this.player.update(dt, this.input, CONFIG.CANVAS.width);
+        this.exhaust.update(this.player.x, this.player.y + this.player.height / 2, dt);
+
+        // Beer ammo switching
+        if (this.input.justPressed('lager')) {
+            this.player.setType(BeerType.LAGER);
+        } else if (this.input.justPressed('ipa')) {
+            this.player.setType(BeerType.IPA);
+        } else if (this.input.justPressed('stout')) {
+            this.player.setType(BeerType.STOUT);
+        } else if (this.input.justPressed('cycleAmmo')) {
+            this.player.cycleType();
+        }
 
         // Shooting
         if (this.input.isPressed('shoot')) {
-            const bullet = this.player.shoot();
-            if (bullet) {
-                this.bullets.push(bullet);
+            const shots = this.player.fire();
+            if (shots.length > 0) {
+                this.bullets.push(...shots);
+                AudioSystem.play('shoot');
             }
         }
 
@@ -166,7 +449,8 @@ export class PlayState {
     activatePowerAttack() {
         if (this.score.consumePower()) {
             this.powerAttack = new PowerAttack(this.player.x, this.player.y);
-            this.game.shake();
+            this.game.shake(0.5);
+            AudioSystem.play('power');
         }
     }
 
@@ -184,6 +468,20 @@ export class PlayState {
         );
     }
 
+    /**
+     * Updates all enemy bullets
+     */
+    updateEnemyBullets(dt) {
+        for (const bullet of this.enemyBullets) {
+            bullet.update(dt);
+        }
+
+        // Remove off-screen and inactive bullets
+        this.enemyBullets = this.enemyBullets.filter(b =>
+            b.active && !b.isOffScreen(CONFIG.CANVAS.height)
+        );
+    }
+
     /**
      * Updates all enemies
      */
@@ -191,6 +489,13 @@ export class PlayState {
         // Update formation
         this.formation.update(dt, this.enemies);
 
+        // Enemy shooting
+        const fired = this.formation.updateFiring(dt, this.enemies);
+        for (const bullet of fired) {
+            if (this.enemyBullets.length >= CONFIG.GAMEPLAY.enemyMaxBullets) break;
+            this.enemyBullets.push(bullet);
+        }
+
         // Update individual enemies
         for (const enemy of this.enemies) {
             enemy.update(dt);
@@ -205,7 +510,83 @@ export class PlayState {
      */
     updateBoss(dt) {
         if (!this.boss || !this.boss.active) return;
-        this.boss.update(dt);
+        this.boss.update(dt, this.player.x);
+
+        // Boss bullet patterns
+        this.enemyBullets.push(...this.boss.updateAttack(dt, this.player.x, this.player.y));
+
+        // Announce phase transitions
+        if (this.boss.consumePhaseChange()) {
+            this.game.shake(0.6);
+        }
+    }
+
+    /**
+     * Updates falling powerups
+     */
+    updatePowerups(dt) {
+        for (const powerup of this.powerups) {
+            powerup.update(dt);
+        }
+
+        this.powerups = this.powerups.filter(p =>
+            p.active && !p.isOffScreen(CONFIG.CANVAS.height)
+        );
+    }
+
+    /**
+     * Rolls for a powerup drop where an enemy died
+     * @param {Enemy} enemy - Killed enemy
+     * @param {Object} offset - Formation offset {x, y}
+     */
+    dropPowerup(enemy, offset) {
+        const pos = enemy.getWorldPosition(offset);
+        const powerup = this.powerupEffects.rollDrop(pos.x, pos.y, this.dropChance);
+        if (powerup) {
+            this.powerups.push(powerup);
+        }
+    }
+
+    /**
+     * Handles boss defeat - reward and guaranteed powerup
+     */
+    handleBossDefeated() {
+        this.score.addBossKill(this.boss.rewardScore, this.boss.rewardPower);
+        this.bossActive = false;
+        this.game.shake(1);
+        AudioSystem.play('bossDeath');
+        this.particles.burst(this.boss.x, this.boss.y, 'bossExplosion');
+        this.particles.burst(this.boss.x, this.boss.y, 'bossDebris');
+        this.powerups.push(this.powerupEffects.createDrop(this.boss.x, this.boss.y));
+    }
+
+    /**
+     * Spawns and moves the mystery bonus ship
+     */
+    updateMysteryShip(dt) {
+        if (this.mysteryShip) {
+            this.mysteryShip.update(dt);
+
+            if (!this.mysteryShip.active || this.mysteryShip.isOffScreen(CONFIG.CANVAS.width)) {
+                this.mysteryShip = null;
+            }
+            return;
+        }
+
+        if (!this.bossActive && this.spawner.updateMysteryTimer(dt, this.spawner.getWaveNumber())) {
+            this.mysteryShip = this.spawner.createMysteryShip();
+        }
+    }
+
+    /**
+     * Updates floating score labels
+     */
+    updateFloatingTexts(dt) {
+        for (const text of this.floatingTexts) {
+            text.update(dt);
+        }
+
+        this.floatingTexts = this.floatingTexts.filter(t => !t.isExpired());
     }
 
     /**
@@ -228,6 +609,14 @@ export class PlayState {
         this.collision.clear();
         const offset = this.formation.getOffset();
 
+        // Enemy bounds (and the grid, for big scenes) once for every enemy check below
+        const projectiles = this.powerAttack && this.powerAttack.active ? this.powerAttack.getProjectiles() : [];
+        this.collision.prepareEnemies(this.enemies, offset, this.bullets.length + projectiles.length);
+
+        // Bullets vs bunkers (both sides erode the shields)
+        this.collision.checkBulletBunkerCollisions(this.bullets, this.bunkers);
+        this.collision.checkBulletBunkerCollisions(this.enemyBullets, this.bunkers);
+
         // Bullets vs enemies
         const bulletEnemyHits = this.collision.checkBulletEnemyCollisions(
             this.bullets,
@@ -238,6 +627,25 @@ export class PlayState {
         // Add score for kills
         for (const hit of bulletEnemyHits) {
             this.score.addKill();
+            this.dropPowerup(hit.enemy, offset);
+            AudioSystem.play('enemyKill');
+        }
+
+        // Bullets vs mystery ship
+        const mysteryHits = this.collision.checkBulletMysteryShipCollisions(
+            this.bullets,
+            this.mysteryShip
+        );
+
+        for (const hit of mysteryHits) {
+            const points = this.spawner.rollMysteryScore();
+            this.score.addBonus(points);
+            this.floatingTexts.push(new FloatingText(
+                hit.ship.x,
+                hit.ship.y,
+                `+${points}`,
+                CONFIG.COLORS.mysteryShip
+            ));
         }
 
         // Bullets vs boss
@@ -250,9 +658,10 @@ export class PlayState {
             for (const hit of bossHits) {
                 const died = this.boss.takeDamage(hit.damage);
                 if (died) {
-                    this.score.addBossKill();
-                    this.bossActive = false;
-                    this.game.shake();
+                    this.handleBossDefeated();
+                } else {
+                    AudioSystem.play('bossHit');
+                    this.game.camera.hitStop(CONFIG.CAMERA.bossHitStop);
                 }
             }
         }
@@ -267,6 +676,8 @@ export class PlayState {
 
             for (const hit of powerEnemyHits) {
                 this.score.addKill();
+                this.dropPowerup(hit.enemy, offset);
+                AudioSystem.play('enemyKill');
             }
 
             // Power attack vs boss
@@ -279,18 +690,80 @@ export class PlayState {
                 for (const hit of powerBossHits) {
                     const died = this.boss.takeDamage(hit.damage);
                     if (died) {
-                        this.score.addBossKill();
-                        this.bossActive = false;
-                        this.game.shake();
+                        this.handleBossDefeated();
+                    } else {
+                        AudioSystem.play('bossHit');
+                        this.game.camera.hitStop(CONFIG.CAMERA.bossHitStop);
                     }
                 }
             }
         }
 
+        // Player vs powerups
+        const pickups = this.collision.checkPlayerPowerupCollisions(this.player, this.powerups);
+        for (const pickup of pickups) {
+            this.powerupEffects.activate(pickup.powerup.kind);
+            AudioSystem.play('powerup');
+        }
+
+        // Enemy bullets vs player
+        if (!this.player.isInvulnerable()) {
+            const playerHits = this.collision.checkEnemyBulletPlayerCollisions(
+                this.enemyBullets,
+                this.player
+            );
+
+            if (playerHits.length > 0) {
+                this.handlePlayerHit();
+            }
+        }
+
         // Enemies reaching bottom
         if (this.collision.checkEnemyReachBottom(this.enemies, offset)) {
             this.handleEnemyReachBottom();
         }
+
+        this.emitCollisionParticles(offset);
+    }
+
+    /**
+     * Spawns particles for this tick's collisions - kills explode, everything else sparks
+     * @param {Object} offset - Formation offset {x, y}
+     */
+    emitCollisionParticles(offset) {
+        for (const event of this.collision.getEvents()) {
+            switch (event.type) {
+                case 'bullet_enemy':
+                case 'power_enemy': {
+                    const pos = event.enemy.getWorldPosition(offset);
+                    this.particles.burst(pos.x, pos.y, 'enemyDeath', { colors: ['#ffffff', event.enemy.color] });
+                    this.particles.cone(pos.x, pos.y, -Math.PI / 2, Math.PI, 'barrelDebris');
+                    break;
+                }
+                case 'bullet_mystery':
+                    this.particles.burst(event.ship.x, event.ship.y, 'enemyDeath', { colors: ['#ffffff', CONFIG.COLORS.mysteryShip] });
+                    break;
+                case 'bullet_enemy_mismatch':
+                case 'bullet_bunker':
+                case 'bullet_boss':
+                case 'enemy_bullet_player':
+                    this.particles.burst(event.bullet.x, event.bullet.y, 'bulletImpact');
+                    break;
+                case 'power_boss':
+                    this.particles.burst(event.projectile.x, event.projectile.y, 'bulletImpact');
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Handles the player being hit by an enemy bullet
+     */
+    handlePlayerHit() {
+        this.score.loseLife();
+        this.player.hit();
+        this.game.shake(0.6);
+        AudioSystem.play('loseLife');
     }
 
     /**
@@ -298,7 +771,8 @@ export class PlayState {
      */
     handleEnemyReachBottom() {
         const remaining = this.score.loseLife();
-        this.game.shake();
+        this.game.shake(0.8);
+        AudioSystem.play('loseLife');
 
         if (remaining <= 0) {
             // Game over handled in checkGameOver
@@ -330,6 +804,37 @@ export class PlayState {
         }
     }
 
+    /**
+     * Called on ticks the world skips (hit-stop, pause) - snaps interpolation to where everything is
+     */
+    holdStill() {
+        this.storePreviousPositions();
+    }
+
+    /**
+     * Stores start-of-tick positions of all moving entities for render interpolation
+     */
+    storePreviousPositions() {
+        this.formation.storePreviousOffset();
+        storePreviousPosition(this.player);
+
+        for (const bullet of this.bullets) {
+            storePreviousPosition(bullet);
+        }
+        for (const bullet of this.enemyBullets) {
+            storePreviousPosition(bullet);
+        }
+        for (const powerup of this.powerups) {
+            storePreviousPosition(powerup);
+        }
+        if (this.boss) {
+            storePreviousPosition(this.boss);
+        }
+        if (this.mysteryShip) {
+            storePreviousPosition(this.mysteryShip);
+        }
+    }
+
     /**
      * Starts wave transition
      */
@@ -343,36 +848,61 @@ export class PlayState {
      */
     checkGameOver() {
         if (this.score.isGameOver()) {
-            // Save score before transitioning
-            this.score.saveScore();
+            // Save score before transitioning - replays and headless runs never touch the scoreboard
+            if (this.saveScores) {
+                this.score.saveScore();
+            }
 
             this.game.changeState('gameover', {
                 score: this.score.getScore(),
                 wave: this.spawner.getWaveNumber(),
-                playerName: this.score.getPlayerName()
+                playerName: this.score.getPlayerName(),
+                seed: this.seed,
+                replay: this.replayPlayer ? this.replayPlayer.replay : this.recorder.toJSON(),
+                isReplay: Boolean(this.replayPlayer)
             });
         }
     }
 
     /**
-     * Renders the game
+     * Renders the world - the camera shakes and zooms it
      * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} alpha - Interpolation factor between the last two ticks (0-1)
      */
-    render(ctx) {
+    render(ctx, alpha = 1) {
         // Render enemies
-        const offset = this.formation.getOffset();
+        const offset = this.formation.getInterpolatedOffset(alpha);
         for (const enemy of this.enemies) {
             enemy.render(ctx, offset);
         }
 
         // Render boss
         if (this.boss && (this.boss.active || this.boss.dying)) {
-            this.boss.render(ctx);
+            drawInterpolated(this.boss, alpha, () => this.boss.render(ctx));
+        }
+
+        // Render mystery ship
+        if (this.mysteryShip) {
+            drawInterpolated(this.mysteryShip, alpha, () => this.mysteryShip.render(ctx));
+        }
+
+        // Render bunkers
+        for (const bunker of this.bunkers) {
+            bunker.render(ctx);
+        }
+
+        // Render powerups
+        for (const powerup of this.powerups) {
+            drawInterpolated(powerup, alpha, () => powerup.render(ctx));
         }
 
         // Render bullets
         for (const bullet of this.bullets) {
-            bullet.render(ctx);
+            drawInterpolated(bullet, alpha, () => bullet.render(ctx));
+        }
+
+        for (const bullet of this.enemyBullets) {
+            drawInterpolated(bullet, alpha, () => bullet.render(ctx));
         }
 
         // Render power attack
@@ -380,8 +910,27 @@ export class PlayState {
             this.powerAttack.render(ctx, CONFIG.CANVAS.width, CONFIG.CANVAS.height);
         }
 
+        // Render particles (under the ship, so the exhaust trails from behind it)
+        this.particles.render(ctx);
+
         // Render player
-        this.player.render(ctx);
+        drawInterpolated(this.player, alpha, () => this.player.render(ctx));
+
+        // Render score popups
+        for (const text of this.floatingTexts) {
+            text.render(ctx);
+        }
+    }
+
+    /**
+     * Renders the HUD and announcements - drawn by Game outside the camera, so they hold still
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    renderOverlay(ctx) {
+        // Render boss phase announcement
+        if (this.boss && this.boss.phaseFlash > 0 && !this.boss.dying) {
+            this.renderBossPhaseFlash(ctx);
+        }
 
         // Render UI
         this.renderUI(ctx);
@@ -390,6 +939,9 @@ export class PlayState {
         if (this.waveTransition) {
             this.renderWaveTransition(ctx);
         }
+
+        // On-screen controls (only drawn on touch devices)
+        TouchControls.render(ctx);
     }
 
     /**
@@ -407,6 +959,9 @@ export class PlayState {
         // Wave
         ctx.fillText(`WAVE: ${this.spawner.getWaveNumber()}`, 20, 50);
 
+        // Active powerup timers - bottom right, clear of the mystery ship's lane
+        this.renderPowerupTimers(ctx, CONFIG.CANVAS.width - 120, CONFIG.CANVAS.height - 55);
+
         // Lives
         ctx.textAlign = 'right';
         ctx.fillText('LIVES:', CONFIG.CANVAS.width - 100, 30);
@@ -415,12 +970,21 @@ export class PlayState {
         // TURIA POWER bar
         this.renderPowerBar(ctx);
 
+        // Current beer ammo
+        this.renderAmmoIndicator(ctx);
+
         // Player name
         ctx.font = '10px "Press Start 2P", monospace';
         ctx.fillStyle = CONFIG.COLORS.textDim;
         ctx.textAlign = 'center';
         ctx.fillText(this.score.getPlayerName(), CONFIG.CANVAS.width / 2, 20);
 
+        // Playback indicator
+        if (this.replayPlayer) {
+            ctx.fillStyle = CONFIG.COLORS.textHighlight;
+            ctx.fillText(`REPLAY - SEED ${this.seed}`, CONFIG.CANVAS.width / 2, 36);
+        }
+
         ctx.restore();
     }
 
@@ -449,6 +1013,14 @@ export class PlayState {
         }
     }
 
+    /**
+     * Gets the power bar's ready text, naming the current power key
+     * @returns {string} Label
+     */
+    getPowerReadyLabel() {
+        return `READY! [${formatKeyCode(CONFIG.KEYS.power[0])}]`;
+    }
+
     /**
      * Renders TURIA POWER bar
      */
@@ -496,12 +1068,122 @@ export class PlayState {
         if (isReady) {
             ctx.font = '8px "Press Start 2P", monospace';
             ctx.fillStyle = '#000000';
-            ctx.fillText('READY! [E]', CONFIG.CANVAS.width / 2, barY + 14);
+            ctx.fillText(this.getPowerReadyLabel(), CONFIG.CANVAS.width / 2, barY + 14);
         }
 
         ctx.restore();
     }
 
+    /**
+     * Renders active powerup timers
+     */
+    renderPowerupTimers(ctx, x, y) {
+        const barWidth = 100;
+        const barHeight = 8;
+        const spacing = 22;
+
+        ctx.save();
+        ctx.font = '8px "Press Start 2P", monospace';
+        ctx.textAlign = 'left';
+
+        this.powerupEffects.getActiveEffects().forEach((effect, i) => {
+            const rowY = y + i * spacing;
+            const color = effect.kind === PowerupKind.ICE ?
+                CONFIG.COLORS.powerupIce : CONFIG.COLORS.powerupFoam;
+            const label = effect.kind === PowerupKind.ICE ? 'ICE' : 'FOAM';
+
+            // Label with seconds left
+            ctx.fillStyle = color;
+            ctx.fillText(`${label} ${(effect.remaining / 1000).toFixed(1)}s`, x, rowY + 8);
+
+            // Timer bar
+            ctx.fillStyle = CONFIG.COLORS.powerBarBg;
+            ctx.fillRect(x, rowY + 11, barWidth, barHeight);
+            ctx.fillStyle = color;
+            ctx.fillRect(x, rowY + 11, barWidth * effect.percentage, barHeight);
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * Gets the ammo indicator's label - the first key of each beer, then every cycle key
+     * @returns {string} Label
+     */
+    getAmmoLabel() {
+        const { lager, ipa, stout, cycleAmmo } = CONFIG.KEYS;
+        const keys = [lager[0], ipa[0], stout[0], ...cycleAmmo].map(formatKeyCode);
+        return `AMMO [${keys.join('/')}]`;
+    }
+
+    /**
+     * Renders current beer ammo indicator
+     */
+    renderAmmoIndicator(ctx) {
+        const slotWidth = 56;
+        const slotHeight = 20;
+        const spacing = 6;
+        const startX = 20;
+        const slotY = CONFIG.CANVAS.height - 40;
+
+        ctx.save();
+
+        // Label
+        ctx.font = '10px "Press Start 2P", monospace';
+        ctx.fillStyle = CONFIG.COLORS.text;
+        ctx.textAlign = 'left';
+        ctx.fillText(this.getAmmoLabel(), startX, slotY - 5);
+
+        BEER_TYPE_ORDER.forEach((type, i) => {
+            const slotX = startX + i * (slotWidth + spacing);
+            const color = getBeerTypeColor(type);
+            const selected = type === this.player.currentType;
+
+            // Slot background
+            ctx.fillStyle = selected ? color : CONFIG.COLORS.powerBarBg;
+            ctx.shadowColor = color;
+            ctx.shadowBlur = selected ? 12 : 0;
+            ctx.fillRect(slotX, slotY, slotWidth, slotHeight);
+
+            // Border
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 2;
+            ctx.strokeRect(slotX, slotY, slotWidth, slotHeight);
+
+            // Name
+            ctx.shadowBlur = 0;
+            ctx.font = '8px "Press Start 2P", monospace';
+            ctx.fillStyle = selected ? '#000000' : color;
+            ctx.textAlign = 'center';
+            ctx.fillText(getBeerTypeName(type), slotX + slotWidth / 2, slotY + 14);
+        });
+
+        ctx.restore();
+    }
+
+    /**
+     * Renders boss phase transition flash and banner
+     */
+    renderBossPhaseFlash(ctx) {
+        const progress = this.boss.phaseFlash / this.boss.phaseFlashDuration;
+
+        ctx.save();
+
+        // Screen flash
+        ctx.fillStyle = `rgba(255, 255, 255, ${progress * 0.3})`;
+        ctx.fillRect(0, 0, CONFIG.CANVAS.width, CONFIG.CANVAS.height);
+
+        // Banner
+        ctx.font = '20px "Press Start 2P", monospace';
+        ctx.fillStyle = CONFIG.COLORS.boss;
+        ctx.shadowColor = CONFIG.COLORS.boss;
+        ctx.shadowBlur = 20;
+        ctx.textAlign = 'center';
+        ctx.fillText(`PHASE ${this.boss.phaseIndex + 1}!`, CONFIG.CANVAS.width / 2, CONFIG.CANVAS.height / 2);
+
+        ctx.restore();
+    }
+
     /**
      * Renders wave transition screen
      */
@@ -527,11 +1209,15 @@ export class PlayState {
             ctx.shadowColor = CONFIG.COLORS.boss;
             ctx.fillText('WARNING!', CONFIG.CANVAS.width / 2, CONFIG.CANVAS.height / 2 - 30);
             ctx.fillText('BOSS INCOMING!', CONFIG.CANVAS.width / 2, CONFIG.CANVAS.height / 2 + 10);
+            ctx.font = '14px "Press Start 2P", monospace';
+            ctx.fillText(this.spawner.getNextBossDefinition().name, CONFIG.CANVAS.width / 2, CONFIG.CANVAS.height / 2 + 45);
         } else {
             ctx.fillText(`WAVE ${nextWave}`, CONFIG.CANVAS.width / 2, CONFIG.CANVAS.height / 2 - 10);
             ctx.font = '12px "Press Start 2P", monospace';
             ctx.fillStyle = CONFIG.COLORS.text;
-            ctx.fillText('GET READY!', CONFIG.CANVAS.width / 2, CONFIG.CANVAS.height / 2 + 20);
+            const definition = this.spawner.getWaveDefinition(nextWave);
+            const subtitle = definition && definition.name ? definition.name.toUpperCase() : 'GET READY!';
+            ctx.fillText(subtitle, CONFIG.CANVAS.width / 2, CONFIG.CANVAS.height / 2 + 20);
         }
 
         ctx.restore();
@@ -0,0 +1,378 @@
+/**
+ * TURIA INVADERS - Settings State
+ * Overlay for remapping key bindings, choosing the control scheme and mixing audio
+ */
+
+import { CONFIG } from '../config.js';
+import { SettingsSystem, CONTROL_MODES, DEFAULT_KEYS, formatKeyCode, getActionLabel } from '../systems/SettingsSystem.js';
+import { TouchControls } from '../systems/TouchControls.js';
+import { AudioSystem } from '../systems/AudioSystem.js';
+
+// Binding slots shown per action - enough for the longest default list, so no default key is hidden
+export const SLOT_COUNT = Math.max(2, ...Object.values(DEFAULT_KEYS).map(codes => codes.length));
+
+// Slot column headers
+const SLOT_HEADERS = ['PRIMARY', 'ALT', 'ALT 2', 'ALT 3'];
+
+// Horizontal spacing between slot columns
+const SLOT_WIDTH = 110;
+
+// Rows after the action bindings, in display order
+const EXTRA_ROWS = ['controlMode', 'masterVolume', 'sfxVolume', 'musicVolume', 'muted', 'reset', 'back'];
+
+// Rows adjusted with left/right
+const VOLUME_ROWS = ['masterVolume', 'sfxVolume', 'musicVolume'];
+
+// Vertical spacing between rows
+const ROW_HEIGHT = 24;
+
+export class SettingsState {
+    constructor() {
+        this.game = null;
+        this.settings = new SettingsSystem();
+        this.freezeBackground = true;
+
+        // Cursor
+        this.selectedRow = 0;
+        this.selectedSlot = 0;
+        this.capturing = false; // Waiting for the new key
+
+        // Feedback line (conflicts, confirmations)
+        this.message = '';
+        this.messageTimer = 0;
+        this.messageDuration = 2500; // ms
+
+        // Animation
+        this.animTime = 0;
+
+        // Bind input handlers
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleTap = this.handleTap.bind(this);
+    }
+
+    /**
+     * Called when the settings screen opens
+     */
+    enter() {
+        this.selectedRow = 0;
+        this.selectedSlot = 0;
+        this.capturing = false;
+        this.messageTimer = 0;
+        this.addListeners();
+    }
+
+    /**
+     * Called when the settings screen closes
+     */
+    exit() {
+        this.removeListeners();
+    }
+
+    /**
+     * Adds the keyboard and touch listeners
+     */
+    addListeners() {
+        TouchControls.addTapListener(this.handleTap);
+        if (typeof window === 'undefined') return;
+        window.addEventListener('keydown', this.handleKeyDown);
+    }
+
+    /**
+     * Removes the keyboard and touch listeners
+     */
+    removeListeners() {
+        TouchControls.removeTapListener(this.handleTap);
+        if (typeof window === 'undefined') return;
+        window.removeEventListener('keydown', this.handleKeyDown);
+    }
+
+    /**
+     * Handles taps - key bindings need a keyboard, so only the other rows respond
+     * @param {number} x - Canvas x
+     * @param {number} y - Canvas y
+     */
+    handleTap(x, y) {
+        const rows = this.getRows();
+        const index = rows.findIndex((row, i) => !this.isActionRow(row) && Math.abs(y - (this.getRowY(row, i) - 6)) <= ROW_HEIGHT / 2);
+        if (index === -1) return;
+
+        this.selectedRow = index;
+
+        // Volume rows: left half quieter, right half louder
+        if (VOLUME_ROWS.includes(rows[index])) {
+            this.adjustVolume(rows[index], x < CONFIG.CANVAS.width / 2 ? -1 : 1);
+        } else {
+            this.select();
+        }
+    }
+
+    /**
+     * Gets the text baseline of a row - the non-action rows sit below a gap
+     * @param {string} row - Row id
+     * @param {number} index - Row index
+     * @returns {number} Canvas y
+     */
+    getRowY(row, index) {
+        return this.isActionRow(row) ? 130 + index * ROW_HEIGHT : 150 + index * ROW_HEIGHT;
+    }
+
+    /**
+     * Gets the menu rows - one per action, then EXTRA_ROWS
+     * @returns {Array<string>} Action names plus EXTRA_ROWS
+     */
+    getRows() {
+        return [...this.settings.getActions(), ...EXTRA_ROWS];
+    }
+
+    /**
+     * Checks if a row is an action binding
+     * @param {string} row - Row id
+     * @returns {boolean} True for action rows
+     */
+    isActionRow(row) {
+        return !EXTRA_ROWS.includes(row);
+    }
+
+    /**
+     * Gets the label of a non-action row
+     * @param {string} row - Row id
+     * @returns {string} Label
+     */
+    getRowLabel(row) {
+        switch (row) {
+            case 'controlMode':
+                return `CONTROLS: ${CONTROL_MODES[this.settings.getControlMode()]}`;
+            case 'masterVolume':
+                return `< MASTER VOLUME: ${Math.round(this.settings.getVolume(row) * 100)}% >`;
+            case 'sfxVolume':
+                return `< SFX VOLUME: ${Math.round(this.settings.getVolume(row) * 100)}% >`;
+            case 'musicVolume':
+                return `< MUSIC VOLUME: ${Math.round(this.settings.getVolume(row) * 100)}% >`;
+            case 'muted':
+                return `SOUND: ${this.settings.isMuted() ? 'OFF' : 'ON'}`;
+            case 'reset':
+                return 'RESET TO DEFAULTS';
+            default:
+                return 'BACK';
+        }
+    }
+
+    /**
+     * Handles keyboard input
+     * @param {KeyboardEvent} e - Keyboard event
+     */
+    handleKeyDown(e) {
+        e.preventDefault();
+
+        if (this.capturing) {
+            this.captureKey(e.code);
+            return;
+        }
+
+        const rows = this.getRows();
+
+        switch (e.code) {
+            case 'ArrowUp':
+                this.selectedRow = (this.selectedRow - 1 + rows.length) % rows.length;
+                break;
+            case 'ArrowDown':
+                this.selectedRow = (this.selectedRow + 1) % rows.length;
+                break;
+            case 'ArrowLeft':
+            case 'ArrowRight': {
+                const step = e.code === 'ArrowLeft' ? -1 : 1;
+                if (VOLUME_ROWS.includes(rows[this.selectedRow])) {
+                    this.adjustVolume(rows[this.selectedRow], step);
+                } else {
+                    this.selectedSlot = (this.selectedSlot + step + SLOT_COUNT) % SLOT_COUNT;
+                }
+                break;
+            }
+            case 'Backspace':
+            case 'Delete':
+                this.clearSelected();
+                break;
+            case 'Enter':
+            case 'Space':
+                this.select();
+                break;
+            case 'Escape':
+                this.game.popState();
+                break;
+        }
+    }
+
+    /**
+     * Activates the selected row
+     */
+    select() {
+        const row = this.getRows()[this.selectedRow];
+
+        if (row === 'controlMode') {
+            this.settings.cycleControlMode();
+        } else if (VOLUME_ROWS.includes(row)) {
+            this.adjustVolume(row, 1);
+        } else if (row === 'muted') {
+            this.settings.toggleMute();
+            AudioSystem.updateVolumes();
+        } else if (row === 'reset') {
+            this.settings.resetToDefaults();
+            AudioSystem.updateVolumes();
+            this.showMessage('CONTROLS RESET TO DEFAULTS');
+        } else if (row === 'back') {
+            this.game.popState();
+        } else {
+            this.capturing = true;
+        }
+    }
+
+    /**
+     * Steps a volume and plays a sample at the new level
+     * @param {string} channel - 'masterVolume', 'sfxVolume' or 'musicVolume'
+     * @param {number} direction - 1 for louder, -1 for quieter
+     */
+    adjustVolume(channel, direction) {
+        this.settings.adjustVolume(channel, direction);
+        AudioSystem.updateVolumes();
+        AudioSystem.play('shoot');
+    }
+
+    /**
+     * Binds the captured key to the selected action slot
+     * @param {string} code - Key code pressed
+     */
+    captureKey(code) {
+        this.capturing = false;
+
+        // Escape always cancels, so it can never be captured by accident
+        if (code === 'Escape') return;
+
+        const action = this.getRows()[this.selectedRow];
+        const conflict = this.settings.setBinding(action, this.selectedSlot, code);
+
+        if (conflict) {
+            this.showMessage(`${formatKeyCode(code)} IS USED BY ${getActionLabel(conflict)}`);
+        } else {
+            this.showMessage(`${getActionLabel(action)}: ${formatKeyCode(code)}`);
+        }
+    }
+
+    /**
+     * Clears the selected alternate binding
+     */
+    clearSelected() {
+        const action = this.getRows()[this.selectedRow];
+        if (!this.isActionRow(action)) return;
+
+        if (!this.settings.clearBinding(action, this.selectedSlot)) {
+            this.showMessage('EVERY ACTION NEEDS A KEY');
+        }
+    }
+
+    /**
+     * Shows a feedback message for a few seconds
+     * @param {string} message - Message text
+     */
+    showMessage(message) {
+        this.message = message;
+        this.messageTimer = this.messageDuration;
+    }
+
+    /**
+     * Updates animations
+     * @param {number} dt - Delta time in seconds
+     */
+    update(dt) {
+        this.animTime += dt;
+
+        if (this.messageTimer > 0) {
+            this.messageTimer -= dt * 1000;
+        }
+    }
+
+    /**
+     * Renders the settings overlay
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    render(ctx) {
+        const centerX = CONFIG.CANVAS.width / 2;
+        const labelX = centerX - 220;
+        const slotX = Array.from({ length: SLOT_COUNT }, (_, slot) => centerX + 10 + slot * SLOT_WIDTH);
+        const rows = this.getRows();
+
+        ctx.save();
+
+        // Cover whatever is underneath
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.85)';
+        ctx.fillRect(0, 0, CONFIG.CANVAS.width, CONFIG.CANVAS.height);
+
+        // Title
+        ctx.font = '24px "Press Start 2P", monospace';
+        ctx.fillStyle = CONFIG.COLORS.textHighlight;
+        ctx.textAlign = 'center';
+        ctx.fillText('SETTINGS', centerX, 60);
+
+        // Column headers
+        ctx.font = '10px "Press Start 2P", monospace';
+        ctx.fillStyle = CONFIG.COLORS.textDim;
+        ctx.textAlign = 'left';
+        ctx.fillText('ACTION', labelX, 105);
+        ctx.textAlign = 'center';
+        slotX.forEach((x, slot) => ctx.fillText(SLOT_HEADERS[slot] || `ALT ${slot}`, x, 105));
+
+        // Rows
+        const blinkOn = Math.floor(this.animTime * 3) % 2 === 0;
+
+        rows.forEach((row, i) => {
+            const selected = i === this.selectedRow;
+            const y = this.getRowY(row, i);
+
+            ctx.font = '12px "Press Start 2P", monospace';
+
+            if (!this.isActionRow(row)) {
+                ctx.textAlign = 'center';
+                ctx.fillStyle = selected ? CONFIG.COLORS.textHighlight : CONFIG.COLORS.text;
+                ctx.fillText(this.getRowLabel(row), centerX, y);
+                return;
+            }
+
+            ctx.textAlign = 'left';
+            ctx.fillStyle = selected ? CONFIG.COLORS.textHighlight : CONFIG.COLORS.text;
+            ctx.fillText(getActionLabel(row), labelX, y);
+
+            const codes = this.settings.getBindings(row);
+            ctx.font = '10px "Press Start 2P", monospace';
+            ctx.textAlign = 'center';
+
+            for (let slot = 0; slot < SLOT_COUNT; slot++) {
+                const active = selected && slot === this.selectedSlot;
+                let text = formatKeyCode(codes[slot]);
+
+                if (active && this.capturing) {
+                    text = blinkOn ? 'PRESS KEY' : '';
+                } else if (active) {
+                    text = `[${text}]`;
+                }
+
+                ctx.fillStyle = active ? CONFIG.COLORS.textHighlight : CONFIG.COLORS.textDim;
+                ctx.fillText(text, slotX[slot], y);
+            }
+        });
+
+        // Feedback
+        if (this.messageTimer > 0) {
+            ctx.font = '10px "Press Start 2P", monospace';
+            ctx.fillStyle = CONFIG.COLORS.enemy3;
+            ctx.textAlign = 'center';
+            ctx.fillText(this.message, centerX, 530);
+        }
+
+        // Hints
+        ctx.font = '8px "Press Start 2P", monospace';
+        ctx.fillStyle = CONFIG.COLORS.textDim;
+        ctx.textAlign = 'center';
+        ctx.fillText('ARROWS SELECT - ENTER REBIND - BKSP CLEAR - ESC BACK', centerX, 570);
+
+        ctx.restore();
+    }
+}
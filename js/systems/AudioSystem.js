@@ -0,0 +1,235 @@
+/**
+ * TURIA INVADERS - Audio System
+ * Retro sound effects synthesized with WebAudio - no sample files
+ */
+
+import { CONFIG } from '../config.js';
+import { AssetLoader } from '../AssetLoader.js';
+
+// Sound definitions - each sound is one or more layers played together.
+// Tone layers sweep an oscillator from `from` to `to` Hz (or step through `notes`);
+// noise layers sweep a lowpass filter over white noise.
+export const SOUNDS = {
+    shoot: [
+        { wave: 'square', from: 880, to: 220, duration: 0.08, volume: 0.15 }
+    ],
+    enemyKill: [
+        { noise: true, from: 4000, to: 400, duration: 0.18, volume: 0.35 },
+        { wave: 'square', from: 320, to: 80, duration: 0.12, volume: 0.15 }
+    ],
+    bossHit: [
+        { wave: 'square', from: 180, to: 120, duration: 0.06, volume: 0.2 }
+    ],
+    bossDeath: [
+        { noise: true, from: 3000, to: 100, duration: 1.2, volume: 0.5 },
+        { wave: 'sawtooth', from: 220, to: 30, duration: 1.0, volume: 0.3 }
+    ],
+    loseLife: [
+        { wave: 'triangle', from: 440, to: 55, duration: 0.6, volume: 0.4 },
+        { noise: true, from: 1200, to: 200, duration: 0.3, volume: 0.3 }
+    ],
+    power: [
+        { wave: 'sawtooth', from: 110, to: 880, duration: 0.5, volume: 0.3 },
+        { noise: true, from: 500, to: 6000, duration: 0.5, volume: 0.2 }
+    ],
+    powerup: [
+        { wave: 'square', notes: [523, 659, 784, 1047], duration: 0.24, volume: 0.2 }
+    ]
+};
+
+// Minimum gap between two plays of the same sound (seconds), so mass kills don't clip
+const MIN_REPLAY_GAP = 0.03;
+
+class AudioSystemClass {
+    constructor() {
+        this.context = null;
+        this.masterGain = null;
+        this.sfxGain = null;
+        this.musicGain = null;
+        this.noiseBuffer = null;
+
+        // Last start time per sound, for MIN_REPLAY_GAP
+        this.lastPlayed = {};
+
+        // Bind unlock handler
+        this.unlock = this.unlock.bind(this);
+    }
+
+    /**
+     * Waits for the first user gesture before creating the AudioContext
+     * (browsers block audio that starts without one)
+     */
+    attach() {
+        for (const type of ['pointerdown', 'keydown', 'touchstart']) {
+            window.addEventListener(type, this.unlock);
+        }
+    }
+
+    /**
+     * Creates (or resumes) the AudioContext - call from a user gesture
+     */
+    unlock() {
+        for (const type of ['pointerdown', 'keydown', 'touchstart']) {
+            window.removeEventListener(type, this.unlock);
+        }
+
+        if (this.context) {
+            this.context.resume();
+            return;
+        }
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) return;
+
+        this.context = new AudioContextClass();
+
+        this.masterGain = this.context.createGain();
+        this.masterGain.connect(this.context.destination);
+
+        this.sfxGain = this.context.createGain();
+        this.sfxGain.connect(this.masterGain);
+
+        this.musicGain = this.context.createGain();
+        this.musicGain.connect(this.masterGain);
+
+        this.noiseBuffer = this.createNoiseBuffer();
+        this.updateVolumes();
+    }
+
+    /**
+     * Checks if sound can be played
+     * @returns {boolean} True once the AudioContext exists
+     */
+    isReady() {
+        return this.context !== null;
+    }
+
+    /**
+     * Applies CONFIG.AUDIO volumes and mute to the mix
+     */
+    updateVolumes() {
+        if (!this.context) return;
+
+        const { masterVolume, sfxVolume, musicVolume, muted } = CONFIG.AUDIO;
+        this.masterGain.gain.value = muted ? 0 : masterVolume;
+        this.sfxGain.gain.value = sfxVolume;
+        this.musicGain.gain.value = musicVolume;
+    }
+
+    /**
+     * Builds one second of white noise, shared by every noise layer and drum
+     * @returns {AudioBuffer} Noise buffer
+     */
+    createNoiseBuffer() {
+        const buffer = this.context.createBuffer(1, this.context.sampleRate, this.context.sampleRate);
+        const data = buffer.getChannelData(0);
+
+        for (let i = 0; i < data.length; i++) {
+            data[i] = Math.random() * 2 - 1;
+        }
+
+        return buffer;
+    }
+
+    /**
+     * Plays a sound effect - a sound file from the asset manifest if one loaded, else synthesized
+     * Silently does nothing before the first gesture, when muted, or headless
+     * @param {string} name - Key of SOUNDS (or of CONFIG.ASSETS.audio)
+     */
+    play(name) {
+        const layers = SOUNDS[name];
+        const sample = AssetLoader.getAudio(name);
+        if (!this.context || (!layers && !sample) || CONFIG.AUDIO.muted) return;
+
+        const now = this.context.currentTime;
+        if (now - (this.lastPlayed[name] ?? -Infinity) < MIN_REPLAY_GAP) return;
+        this.lastPlayed[name] = now;
+
+        if (sample) {
+            this.playSample(sample, now);
+            return;
+        }
+
+        for (const layer of layers) {
+            if (layer.noise) {
+                this.playNoise(layer, now);
+            } else {
+                this.playTone(layer, now);
+            }
+        }
+    }
+
+    /**
+     * Plays a loaded sound file
+     * @param {AudioBuffer} buffer - Decoded sound
+     * @param {number} start - Start time (AudioContext seconds)
+     */
+    playSample(buffer, start) {
+        const source = this.context.createBufferSource();
+        source.buffer = buffer;
+        source.connect(this.sfxGain);
+        source.start(start);
+    }
+
+    /**
+     * Creates a gain envelope: quick attack, exponential decay to silence
+     * @param {Object} layer - Sound layer
+     * @param {number} start - Start time (AudioContext seconds)
+     * @returns {GainNode} Envelope connected to the SFX bus
+     */
+    createEnvelope(layer, start) {
+        const envelope = this.context.createGain();
+        envelope.gain.setValueAtTime(0.0001, start);
+        envelope.gain.exponentialRampToValueAtTime(layer.volume, start + 0.005);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, start + layer.duration);
+        envelope.connect(this.sfxGain);
+        return envelope;
+    }
+
+    /**
+     * Plays an oscillator layer - a pitch sweep, or a run of equal-length notes
+     * @param {Object} layer - Sound layer
+     * @param {number} start - Start time (AudioContext seconds)
+     */
+    playTone(layer, start) {
+        const osc = this.context.createOscillator();
+        osc.type = layer.wave;
+
+        if (layer.notes) {
+            const step = layer.duration / layer.notes.length;
+            layer.notes.forEach((note, i) => {
+                osc.frequency.setValueAtTime(note, start + i * step);
+            });
+        } else {
+            osc.frequency.setValueAtTime(layer.from, start);
+            osc.frequency.exponentialRampToValueAtTime(layer.to, start + layer.duration);
+        }
+
+        osc.connect(this.createEnvelope(layer, start));
+        osc.start(start);
+        osc.stop(start + layer.duration);
+    }
+
+    /**
+     * Plays a filtered noise layer
+     * @param {Object} layer - Sound layer
+     * @param {number} start - Start time (AudioContext seconds)
+     */
+    playNoise(layer, start) {
+        const source = this.context.createBufferSource();
+        source.buffer = this.noiseBuffer;
+
+        const filter = this.context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(layer.from, start);
+        filter.frequency.exponentialRampToValueAtTime(layer.to, start + layer.duration);
+
+        source.connect(filter);
+        filter.connect(this.createEnvelope(layer, start));
+        source.start(start);
+        source.stop(start + layer.duration);
+    }
+}
+
+// Singleton instance
+export const AudioSystem = new AudioSystemClass();
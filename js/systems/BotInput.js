@@ -0,0 +1,113 @@
+/**
+ * TURIA INVADERS - Bot Input
+ * Scripted input source that plays the game by reading PlayState
+ */
+
+import { BeerType } from '../entities/BeerType.js';
+
+// Ammo action that selects each beer type
+const AMMO_ACTIONS = {
+    [BeerType.LAGER]: 'lager',
+    [BeerType.IPA]: 'ipa',
+    [BeerType.STOUT]: 'stout'
+};
+
+export class BotInput {
+    /**
+     * Creates a bot for a play state
+     * @param {PlayState} playState - State the bot reads to decide its moves
+     * @param {number} tolerance - Horizontal distance (px) treated as lined up
+     */
+    constructor(playState, tolerance = 4) {
+        this.playState = playState;
+        this.tolerance = tolerance;
+        this.pressed = new Set();
+        this.previous = new Set();
+    }
+
+    /**
+     * Decides this tick's actions: line up under the lowest nearby target,
+     * load the matching beer, keep shooting and fire TURIA POWER when ready
+     */
+    advance() {
+        this.previous = this.pressed;
+        this.pressed = new Set();
+
+        const { player, score } = this.playState;
+        if (!player) return;
+
+        const target = this.findTarget();
+        if (target) {
+            const dx = target.x - player.x;
+            if (dx < -this.tolerance) {
+                this.pressed.add('left');
+            } else if (dx > this.tolerance) {
+                this.pressed.add('right');
+            }
+
+            if (target.type && target.type !== player.currentType) {
+                this.pressed.add(AMMO_ACTIONS[target.type]);
+            }
+        }
+
+        this.pressed.add('shoot');
+
+        if (score.isPowerReady()) {
+            this.pressed.add('power');
+        }
+    }
+
+    /**
+     * Finds what to aim at - the boss, or the column shooter closest to the player
+     * @returns {Object|null} Target {x, type} (type null for the boss)
+     */
+    findTarget() {
+        const { player, boss, bossActive, enemies, formation } = this.playState;
+
+        if (bossActive && boss && boss.active) {
+            return { x: boss.x, type: null };
+        }
+
+        const offset = formation.getOffset();
+        let best = null;
+        let bestDistance = Infinity;
+
+        for (const enemy of formation.getShooters(enemies)) {
+            const pos = enemy.getWorldPosition(offset);
+            const distance = Math.abs(pos.x - player.x);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = { x: pos.x, type: enemy.type };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Checks if the bot holds an action this tick
+     * @param {string} action - Action name
+     * @returns {boolean} True if held
+     */
+    isPressed(action) {
+        return this.pressed.has(action);
+    }
+
+    /**
+     * Checks if the bot started holding an action this tick
+     * @param {string} action - Action name
+     * @returns {boolean} True if just pressed
+     */
+    justPressed(action) {
+        return this.pressed.has(action) && !this.previous.has(action);
+    }
+
+    /**
+     * Checks if the bot let go of an action this tick
+     * @param {string} action - Action name
+     * @returns {boolean} True if just released
+     */
+    justReleased(action) {
+        return !this.pressed.has(action) && this.previous.has(action);
+    }
+}
@@ -5,52 +5,146 @@
 
 import { rectIntersect } from '../utils.js';
 import { CONFIG } from '../config.js';
+import { SpatialHash } from './SpatialHash.js';
 
 export class CollisionSystem {
     constructor() {
         // Store collision events for this frame
         this.events = [];
+
+        // Live enemies and their bounds {item, bounds}, gathered for the enemy checks
+        this.enemyEntries = [];
+        this.gatheredEnemies = null; // Enemy array the entries came from
+        this.gatheredOffset = { x: 0, y: 0 }; // Formation offset they were measured at
+        this.prepared = false; // Set by prepareEnemies - the entries stand for the rest of the tick
+
+        // Broadphase for big scenes - small ones are cheaper to scan in full
+        this.enemyGrid = new SpatialHash();
+        this.useGrid = false;
+        this.candidates = []; // Reused query results
+    }
+
+    /**
+     * Gathers the live enemies and their bounds once for all of this tick's enemy checks
+     * The formation holds still between the checks; clear() ends the tick
+     * @param {Array} enemies - Array of Enemy objects
+     * @param {Object} formationOffset - Formation offset {x, y}
+     * @param {number} queryCount - Bullets and projectiles the checks will test
+     */
+    prepareEnemies(enemies, formationOffset, queryCount) {
+        this.gatherEnemies(enemies, formationOffset, queryCount);
+        this.prepared = true;
+    }
+
+    /**
+     * Gets the enemies ready for a check - reuses the prepared ones if they're for the same
+     * formation at the same offset, and gathers afresh otherwise
+     * @param {Array} enemies - Array of Enemy objects
+     * @param {Object} formationOffset - Formation offset {x, y}
+     * @param {number} queryCount - Bullets or projectiles this check tests
+     */
+    useEnemies(enemies, formationOffset, queryCount) {
+        const reusable = this.prepared &&
+            this.gatheredEnemies === enemies &&
+            this.gatheredOffset.x === formationOffset.x &&
+            this.gatheredOffset.y === formationOffset.y;
+
+        if (!reusable) {
+            this.gatherEnemies(enemies, formationOffset, queryCount);
+            this.prepared = false;
+        }
+    }
+
+    /**
+     * Collects the live enemies and their bounds; they also go into the grid once
+     * enemies × queries reaches CONFIG.COLLISION.gridMinPairs
+     * @param {Array} enemies - Array of Enemy objects
+     * @param {Object} formationOffset - Formation offset {x, y}
+     * @param {number} queryCount - Bullets and projectiles to test against them
+     */
+    gatherEnemies(enemies, formationOffset, queryCount) {
+        this.enemyEntries.length = 0;
+        for (const enemy of enemies) {
+            if (!enemy.alive || enemy.dying) continue;
+            this.enemyEntries.push({ item: enemy, bounds: enemy.getBounds(formationOffset) });
+        }
+
+        this.useGrid = this.enemyEntries.length * queryCount >= CONFIG.COLLISION.gridMinPairs;
+        if (this.useGrid) {
+            this.enemyGrid.clear();
+            for (const { item, bounds } of this.enemyEntries) {
+                this.enemyGrid.insert(item, bounds);
+            }
+        }
+
+        this.gatheredEnemies = enemies;
+        this.gatheredOffset.x = formationOffset.x;
+        this.gatheredOffset.y = formationOffset.y;
     }
 
     /**
-     * Clears collision events from previous frame
+     * Gets the gathered enemies that may overlap a box, in formation order
+     * @param {Object} bounds - Query box {x, y, width, height}
+     * @returns {Array<Object>} Entries {item, bounds}
+     */
+    getEnemyCandidates(bounds) {
+        return this.useGrid ? this.enemyGrid.query(bounds, this.candidates) : this.enemyEntries;
+    }
+
+    /**
+     * Clears collision events from previous frame, and the enemies gathered for it
      */
     clear() {
         this.events = [];
+        this.prepared = false;
     }
 
     /**
      * Checks collisions between bullets and enemies
+     * Only a bullet of the enemy's beer type kills it. Mismatched hits
+     * destroy the bullet, deflect off the enemy and are recorded as
+     * 'bullet_enemy_mismatch' events without being returned.
      * @param {Array} bullets - Array of Bullet objects
      * @param {Array} enemies - Array of Enemy objects
      * @param {Object} formationOffset - Formation offset {x, y}
-     * @returns {Array} Array of collision events {bullet, enemy}
+     * @returns {Array} Array of kill events {bullet, enemy}
      */
     checkBulletEnemyCollisions(bullets, enemies, formationOffset) {
         const collisions = [];
+        this.useEnemies(enemies, formationOffset, bullets.length);
 
         for (const bullet of bullets) {
             if (!bullet.active) continue;
 
             const bulletBounds = bullet.getBounds();
 
-            for (const enemy of enemies) {
-                if (!enemy.alive || enemy.dying) continue;
-
-                const enemyBounds = enemy.getBounds(formationOffset);
+            for (const { item: enemy, bounds: enemyBounds } of this.getEnemyCandidates(bulletBounds)) {
+                // Killed by an earlier bullet this check
+                if (enemy.dying) continue;
 
                 if (rectIntersect(bulletBounds, enemyBounds)) {
-                    collisions.push({
-                        type: 'bullet_enemy',
-                        bullet,
-                        enemy
-                    });
-
                     // Mark bullet as hit (will be destroyed)
                     bullet.destroy();
 
-                    // Start enemy death animation
-                    enemy.kill();
+                    if (enemy.matchesType(bullet.type)) {
+                        collisions.push({
+                            type: 'bullet_enemy',
+                            bullet,
+                            enemy
+                        });
+
+                        // Start enemy death animation
+                        enemy.kill();
+                    } else {
+                        // Wrong beer - no damage
+                        this.events.push({
+                            type: 'bullet_enemy_mismatch',
+                            bullet,
+                            enemy
+                        });
+
+                        enemy.deflect();
+                    }
 
                     // Only one collision per bullet
                     break;
@@ -95,6 +189,106 @@ export class CollisionSystem {
         return collisions;
     }
 
+    /**
+     * Checks collisions between enemy bullets and the player
+     * @param {Array} bullets - Array of EnemyBullet objects
+     * @param {Object} player - Player object
+     * @returns {Array} Array of collision events {bullet, player}
+     */
+    checkEnemyBulletPlayerCollisions(bullets, player) {
+        const collisions = [];
+        const playerBounds = player.getBounds();
+
+        for (const bullet of bullets) {
+            if (!bullet.active) continue;
+
+            if (rectIntersect(bullet.getBounds(), playerBounds)) {
+                collisions.push({
+                    type: 'enemy_bullet_player',
+                    bullet,
+                    player
+                });
+
+                bullet.destroy();
+            }
+        }
+
+        this.events.push(...collisions);
+        return collisions;
+    }
+
+    /**
+     * Checks collisions between bullets and the mystery ship
+     * @param {Array} bullets - Array of Bullet objects
+     * @param {Object} ship - MysteryShip object (or null)
+     * @returns {Array} Array of collision events {bullet, ship}
+     */
+    checkBulletMysteryShipCollisions(bullets, ship) {
+        if (!ship || !ship.active) return [];
+
+        const collisions = [];
+        const shipBounds = ship.getBounds();
+
+        for (const bullet of bullets) {
+            if (!bullet.active) continue;
+
+            if (rectIntersect(bullet.getBounds(), shipBounds)) {
+                collisions.push({
+                    type: 'bullet_mystery',
+                    bullet,
+                    ship
+                });
+
+                bullet.destroy();
+                ship.destroy();
+                break;
+            }
+        }
+
+        this.events.push(...collisions);
+        return collisions;
+    }
+
+    /**
+     * Checks collisions between bullets and bunker cells
+     * Works for both player and enemy bullets - each hit erodes the bunker
+     * @param {Array} bullets - Array of Bullet objects
+     * @param {Array} bunkers - Array of Bunker objects
+     * @returns {Array} Array of collision events {bullet, bunker, col, row}
+     */
+    checkBulletBunkerCollisions(bullets, bunkers) {
+        const collisions = [];
+
+        for (const bullet of bullets) {
+            if (!bullet.active) continue;
+
+            const bulletBounds = bullet.getBounds();
+
+            for (const bunker of bunkers) {
+                const cell = bunker.findHitCell(bulletBounds, bullet.velocityY);
+
+                if (cell) {
+                    collisions.push({
+                        type: 'bullet_bunker',
+                        bullet,
+                        bunker,
+                        col: cell.col,
+                        row: cell.row
+                    });
+
+                    bunker.erode(cell.col, cell.row);
+                    bullet.destroy();
+
+                    // Only one collision per bullet
+                    break;
+                }
+            }
+        }
+
+        this.events.push(...collisions);
+        return collisions;
+    }
+
     /**
      * Checks if any enemy has reached the bottom line
      * @param {Array} enemies - Array of Enemy objects
@@ -159,16 +353,16 @@ export class CollisionSystem {
      */
     checkPowerAttackEnemyCollisions(projectiles, enemies, formationOffset) {
         const collisions = [];
+        this.useEnemies(enemies, formationOffset, projectiles.length);
 
         for (const projectile of projectiles) {
             if (!projectile.active) continue;
 
             const projectileBounds = projectile.getBounds();
 
-            for (const enemy of enemies) {
-                if (!enemy.alive || enemy.dying) continue;
-
-                const enemyBounds = enemy.getBounds(formationOffset);
+            for (const { item: enemy, bounds: enemyBounds } of this.getEnemyCandidates(projectileBounds)) {
+                // Killed by an earlier projectile this check
+                if (enemy.dying) continue;
 
                 if (rectIntersect(projectileBounds, enemyBounds)) {
                     collisions.push({
@@ -1,9 +1,10 @@
 /**
  * TURIA INVADERS - Input System
- * Handles keyboard input for game controls
+ * Handles keyboard, gamepad, touch and mouse input for game controls
  */
 
 import { CONFIG } from '../config.js';
+import { TouchControls } from './TouchControls.js';
 
 export class InputSystem {
     constructor() {
@@ -22,6 +23,125 @@ export class InputSystem {
 
         // Track if listeners are attached
         this.listening = false;
+
+        // Scripted input source (e.g. ReplayPlayer) - replaces the keyboard when set
+        this.source = null;
+
+        // Mouse steering (PointerInput), merged with the other devices when set
+        this.pointer = null;
+
+        // Gamepad, touch and mouse state, rebuilt on every poll - actions held, and presses/releases
+        // since the last update() (latched like keyboard presses)
+        this.padActions = new Set();
+        this.padJustPressed = new Set();
+        this.padJustReleased = new Set();
+
+        // Raw gamepad buttons, for menus that navigate with the d-pad
+        this.padButtons = new Set();
+        this.padButtonsJustPressed = new Set();
+    }
+
+    /**
+     * Sets a scripted input source that answers action queries instead of the keyboard
+     * @param {Object|null} source - Object with advance, isPressed, justPressed, justReleased (null for keyboard)
+     */
+    setSource(source) {
+        this.source = source;
+    }
+
+    /**
+     * Sets the mouse source whose actions are merged with the keyboard, gamepads and touch
+     * @param {PointerInput|null} pointer - Pointer source (null for none)
+     */
+    setPointer(pointer) {
+        this.pointer = pointer;
+    }
+
+    /**
+     * Samples input for a new simulation tick
+     * Advances the scripted source, or polls the mouse, gamepads and touch; keyboard state is already current
+     */
+    poll() {
+        if (this.source) {
+            this.source.advance();
+            return;
+        }
+
+        if (this.pointer) {
+            this.pointer.advance();
+        }
+        this.pollGamepads();
+    }
+
+    /**
+     * Reads connected gamepads
+     * @returns {Array<Gamepad>} Connected gamepads (empty when the Gamepad API is unavailable)
+     */
+    readGamepads() {
+        if (typeof navigator === 'undefined' || !navigator.getGamepads) return [];
+        return [...navigator.getGamepads()].filter(pad => pad && pad.connected);
+    }
+
+    /**
+     * Updates gamepad action states from every connected pad, the on-screen touch controls and the mouse
+     * D-pad and stick (past the deadzone) move, buttons map through CONFIG.GAMEPAD.buttons
+     */
+    pollGamepads() {
+        const { deadzone, moveAxis, buttons } = CONFIG.GAMEPAD;
+        const held = new Set();
+        const heldButtons = new Set();
+
+        for (const pad of this.readGamepads()) {
+            pad.buttons.forEach((button, index) => {
+                if (button.pressed) heldButtons.add(index);
+            });
+
+            const x = pad.axes[moveAxis] || 0;
+            if (x < -deadzone) {
+                held.add('left');
+            } else if (x > deadzone) {
+                held.add('right');
+            }
+        }
+
+        for (const [action, indices] of Object.entries(buttons)) {
+            if (indices.some(index => heldButtons.has(index))) {
+                held.add(action);
+            }
+        }
+
+        for (const action of TouchControls.getActions()) {
+            held.add(action);
+        }
+
+        if (this.pointer) {
+            for (const action of this.pointer.getActions()) {
+                held.add(action);
+            }
+        }
+
+        // Edges against the previous poll
+        for (const action of held) {
+            if (!this.padActions.has(action)) this.padJustPressed.add(action);
+        }
+        for (const action of this.padActions) {
+            if (!held.has(action)) this.padJustReleased.add(action);
+        }
+        for (const index of heldButtons) {
+            if (!this.padButtons.has(index)) this.padButtonsJustPressed.add(index);
+        }
+
+        this.padActions = held;
+        this.padButtons = heldButtons;
+    }
+
+    /**
+     * Checks if a raw gamepad button was just pressed (for menu navigation)
+     * @param {number} index - Standard mapping button index
+     * @returns {boolean} True if pressed since the last update()
+     */
+    padButtonJustPressed(index) {
+        return this.padButtonsJustPressed.has(index);
     }
 
     /**
@@ -29,6 +149,7 @@ export class InputSystem {
      */
     start() {
         if (this.listening) return;
+        if (typeof window === 'undefined') return; // Headless - no keyboard
 
         window.addEventListener('keydown', this.handleKeyDown);
         window.addEventListener('keyup', this.handleKeyUp);
@@ -77,13 +198,7 @@ export class InputSystem {
      * @returns {boolean} True if key is used by game
      */
     isGameKey(code) {
-        const allKeys = [
-            ...CONFIG.KEYS.left,
-            ...CONFIG.KEYS.right,
-            ...CONFIG.KEYS.shoot,
-            ...CONFIG.KEYS.power
-        ];
-        return allKeys.includes(code);
+        return Object.values(CONFIG.KEYS).some(keyCodes => keyCodes.includes(code));
     }
 
     /**
@@ -92,6 +207,10 @@ export class InputSystem {
      * @returns {boolean} True if any key for action is pressed
      */
     isPressed(action) {
+        if (this.source) return this.source.isPressed(action);
+
+        if (this.padActions.has(action)) return true;
+
         const keyCodes = CONFIG.KEYS[action];
         if (!keyCodes) return false;
 
@@ -104,6 +223,10 @@ export class InputSystem {
      * @returns {boolean} True if any key for action was just pressed
      */
     justPressed(action) {
+        if (this.source) return this.source.justPressed(action);
+
+        if (this.padJustPressed.has(action)) return true;
+
         const keyCodes = CONFIG.KEYS[action];
         if (!keyCodes) return false;
 
@@ -116,6 +239,10 @@ export class InputSystem {
      * @returns {boolean} True if any key for action was just released
      */
     justReleased(action) {
+        if (this.source) return this.source.justReleased(action);
+
+        if (this.padJustReleased.has(action)) return true;
+
         const keyCodes = CONFIG.KEYS[action];
         if (!keyCodes) return false;
 
@@ -138,6 +265,9 @@ export class InputSystem {
     update() {
         this.justPressedKeys = {};
         this.justReleasedKeys = {};
+        this.padJustPressed.clear();
+        this.padJustReleased.clear();
+        this.padButtonsJustPressed.clear();
     }
 
     /**
@@ -147,5 +277,8 @@ export class InputSystem {
         this.keys = {};
         this.justPressedKeys = {};
         this.justReleasedKeys = {};
+        this.padActions.clear();
+        this.padButtons.clear();
+        this.update();
     }
 }
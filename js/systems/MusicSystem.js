@@ -0,0 +1,263 @@
+/**
+ * TURIA INVADERS - Music System
+ * Tracker-style chiptune player for JSON songs, synthesized with WebAudio
+ *
+ * Song format:
+ *   tempo        - beats per minute at intensity 0
+ *   rowsPerBeat  - pattern rows per beat
+ *   loop         - restart after the last pattern (default true)
+ *   instruments  - one per channel: {wave, volume, gate} for tones (gate = share of
+ *                  the note's length that sounds), {noise: true, volume, decay} for drums
+ *   patterns     - name → one string per channel, space-separated rows:
+ *                  a note ('C4', 'F#2'), 'x' (drum hit) or '.' (rest - the previous note holds)
+ *   order        - pattern names in play order
+ */
+
+import { CONFIG } from '../config.js';
+import { AudioSystem } from './AudioSystem.js';
+
+// How far ahead of the audio clock rows are scheduled (seconds)
+const LOOKAHEAD = 0.15;
+
+// Semitones above C for each note letter
+const NOTE_OFFSETS = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+
+/**
+ * Converts a note name to a frequency
+ * @param {string} note - Note name (e.g., 'A4', 'C#3')
+ * @returns {number|null} Frequency in Hz, or null if not a note
+ */
+export function noteToFrequency(note) {
+    const match = /^([A-G])(#?)(\d)$/.exec(note);
+    if (!match) return null;
+
+    const midi = 12 * (Number(match[3]) + 1) + NOTE_OFFSETS[match[1]] + (match[2] ? 1 : 0);
+    return 440 * Math.pow(2, (midi - 69) / 12);
+}
+
+/**
+ * Splits a song's patterns into rows of tokens
+ * @param {Object} song - Song data
+ * @returns {Object} Song with patterns as arrays of channels of tokens
+ * @throws {Error} If the order names a missing pattern
+ */
+export function parseSong(song) {
+    const patterns = {};
+
+    for (const [name, channels] of Object.entries(song.patterns)) {
+        patterns[name] = channels.map(channel => channel.trim().split(/\s+/));
+    }
+
+    for (const name of song.order) {
+        if (!patterns[name]) {
+            throw new Error(`Song ${song.name} plays missing pattern ${name}`);
+        }
+    }
+
+    return { ...song, loop: song.loop !== false, patterns };
+}
+
+class MusicSystemClass {
+    constructor() {
+        this.songs = {}; // Parsed songs by track name
+        this.track = null;
+        this.song = null;
+
+        // Playback position
+        this.orderIndex = 0;
+        this.row = 0;
+        this.nextRowTime = 0; // AudioContext time of the next unscheduled row
+
+        // 0 = calm, 1 = danger - speeds the tempo up
+        this.intensity = 0;
+    }
+
+    /**
+     * Sets the songs for each track
+     * @param {Object} songs - Song data by track name (menu, wave, boss, gameover)
+     */
+    setSongs(songs) {
+        this.songs = {};
+        for (const [track, song] of Object.entries(songs)) {
+            if (song) this.songs[track] = parseSong(song);
+        }
+    }
+
+    /**
+     * Switches to a track, starting it from the top
+     * Asking for the track that's already playing leaves it alone
+     * @param {string} track - Track name
+     */
+    play(track) {
+        if (track === this.track) return;
+
+        this.track = track;
+        this.song = this.songs[track] || null;
+        this.orderIndex = 0;
+        this.row = 0;
+        this.intensity = 0;
+        this.nextRowTime = AudioSystem.isReady() ? AudioSystem.context.currentTime : 0;
+    }
+
+    /**
+     * Stops the music
+     */
+    stop() {
+        this.track = null;
+        this.song = null;
+    }
+
+    /**
+     * Sets how tense the music is
+     * @param {number} intensity - 0 (calm) to 1 (danger)
+     */
+    setIntensity(intensity) {
+        this.intensity = Math.max(0, Math.min(1, intensity));
+    }
+
+    /**
+     * Gets the current tempo, raised by intensity
+     * @returns {number} Beats per minute
+     */
+    getTempo() {
+        return this.song.tempo * (1 + this.intensity * CONFIG.MUSIC.maxTempoBoost);
+    }
+
+    /**
+     * Gets the length of one row at the current tempo
+     * @returns {number} Seconds
+     */
+    getRowDuration() {
+        return 60 / this.getTempo() / this.song.rowsPerBeat;
+    }
+
+    /**
+     * Schedules every row due within the lookahead window - call once per frame
+     */
+    update() {
+        if (!this.song || !AudioSystem.isReady()) return;
+
+        const context = AudioSystem.context;
+
+        // Fell behind (tab hidden, audio just unlocked) - pick up from now instead of bursting
+        if (this.nextRowTime < context.currentTime) {
+            this.nextRowTime = context.currentTime;
+        }
+
+        while (this.song && this.nextRowTime < context.currentTime + LOOKAHEAD) {
+            this.scheduleRow(this.nextRowTime);
+            this.nextRowTime += this.getRowDuration();
+            this.advanceRow();
+        }
+    }
+
+    /**
+     * Moves to the next row, then the next pattern, looping or ending the song
+     */
+    advanceRow() {
+        const pattern = this.song.patterns[this.song.order[this.orderIndex]];
+        this.row++;
+
+        if (this.row < pattern[0].length) return;
+
+        this.row = 0;
+        this.orderIndex++;
+
+        if (this.orderIndex >= this.song.order.length) {
+            if (this.song.loop) {
+                this.orderIndex = 0;
+            } else {
+                this.song = null; // Track stays set, so play() of the same track doesn't restart it
+            }
+        }
+    }
+
+    /**
+     * Starts the notes on the current row
+     * @param {number} time - AudioContext time the row starts
+     */
+    scheduleRow(time) {
+        const pattern = this.song.patterns[this.song.order[this.orderIndex]];
+
+        pattern.forEach((channel, i) => {
+            const token = channel[this.row];
+            const instrument = this.song.instruments[i];
+            if (!instrument || token === '.' || token === undefined) return;
+
+            if (instrument.noise) {
+                this.playDrum(instrument, time);
+            } else {
+                const frequency = noteToFrequency(token);
+                if (frequency) {
+                    const rows = this.getHeldRows(channel, this.row);
+                    this.playNote(instrument, frequency, time, rows * this.getRowDuration());
+                }
+            }
+        });
+    }
+
+    /**
+     * Counts how many rows a note lasts - until the channel's next note or the pattern end
+     * @param {Array<string>} channel - Channel rows
+     * @param {number} row - Row the note starts on
+     * @returns {number} Row count
+     */
+    getHeldRows(channel, row) {
+        let rows = 1;
+        while (row + rows < channel.length && channel[row + rows] === '.') {
+            rows++;
+        }
+        return rows;
+    }
+
+    /**
+     * Plays a tone
+     * @param {Object} instrument - Instrument {wave, volume, gate}
+     * @param {number} frequency - Frequency in Hz
+     * @param {number} time - Start time
+     * @param {number} length - Note length in seconds, before the gate
+     */
+    playNote(instrument, frequency, time, length) {
+        const context = AudioSystem.context;
+        const duration = length * (instrument.gate ?? 0.9);
+
+        const osc = context.createOscillator();
+        osc.type = instrument.wave;
+        osc.frequency.setValueAtTime(frequency, time);
+
+        const envelope = context.createGain();
+        envelope.gain.setValueAtTime(instrument.volume, time);
+        envelope.gain.setValueAtTime(instrument.volume, time + duration * 0.8);
+        envelope.gain.linearRampToValueAtTime(0, time + duration);
+
+        osc.connect(envelope);
+        envelope.connect(AudioSystem.musicGain);
+        osc.start(time);
+        osc.stop(time + duration);
+    }
+
+    /**
+     * Plays a noise drum hit
+     * @param {Object} instrument - Instrument {volume, decay}
+     * @param {number} time - Start time
+     */
+    playDrum(instrument, time) {
+        const context = AudioSystem.context;
+        const decay = instrument.decay ?? 0.08;
+
+        const source = context.createBufferSource();
+        source.buffer = AudioSystem.noiseBuffer;
+
+        const envelope = context.createGain();
+        envelope.gain.setValueAtTime(instrument.volume, time);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, time + decay);
+
+        source.connect(envelope);
+        envelope.connect(AudioSystem.musicGain);
+        source.start(time);
+        source.stop(time + decay);
+    }
+}
+
+// Singleton instance
+export const MusicSystem = new MusicSystemClass();
@@ -0,0 +1,256 @@
+/**
+ * TURIA INVADERS - Particle System
+ * Pooled cosmetic particles - explosions, debris, impacts and trails
+ */
+
+import { CONFIG } from '../config.js';
+import { Random } from '../Random.js';
+import { randomRange, lerp } from '../utils.js';
+
+// Emitter presets. Ranges are [min, max]; life in ms, speed in px/s, gravity in px/s².
+// Colors form a ramp the particle moves through over its life; fade also drops its alpha.
+export const PARTICLE_PRESETS = {
+    enemyDeath: {
+        count: 14, speed: [60, 180], life: [250, 500], size: [2, 4], endSize: 0.5,
+        gravity: 0, drag: 2, colors: ['#ffffff', '#ffcc00', '#ff6600'], fade: true
+    },
+    barrelDebris: {
+        count: 8, speed: [80, 200], life: [500, 900], size: [3, 5], endSize: 1,
+        gravity: 400, drag: 0.5, colors: ['#8b5a2b', '#5c3a1a'], fade: true
+    },
+    bossExplosion: {
+        count: 80, speed: [80, 360], life: [600, 1400], size: [3, 7], endSize: 0.3,
+        gravity: 0, drag: 1.5, colors: ['#ffffff', '#ffff66', '#ff00ff', '#440044'], fade: true
+    },
+    bossDebris: {
+        count: 30, speed: [120, 320], life: [900, 1600], size: [4, 8], endSize: 1,
+        gravity: 350, drag: 0.3, colors: ['#8b5a2b', '#3a2410'], fade: true
+    },
+    bulletImpact: {
+        count: 5, speed: [40, 140], life: [120, 260], size: [1, 3], endSize: 0.5,
+        gravity: 0, drag: 4, colors: ['#ffffff', '#ffcc66'], fade: true
+    },
+    exhaust: {
+        count: 1, speed: [80, 140], life: [120, 260], size: [2, 4], endSize: 0.2,
+        gravity: 0, drag: 0, colors: ['#ffffff', '#66ddff', '#0044aa'], fade: true
+    }
+};
+
+/**
+ * Parses a '#rrggbb' color into channels
+ * @param {string} hex - Hex color
+ * @returns {Array<number>} [r, g, b]
+ */
+function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/**
+ * Continuous emitter that spawns a steady stream while moved along (engine exhaust, smoke)
+ */
+export class TrailEmitter {
+    /**
+     * Creates a trail
+     * @param {ParticleSystem} system - System the particles go into
+     * @param {string} preset - Key of PARTICLE_PRESETS
+     * @param {number} rate - Particles per second
+     * @param {number} angle - Emission direction in radians (0 = right, PI/2 = down)
+     * @param {number} spread - Cone width in radians
+     */
+    constructor(system, preset, rate, angle, spread) {
+        this.system = system;
+        this.preset = preset;
+        this.rate = rate;
+        this.angle = angle;
+        this.spread = spread;
+        this.pending = 0; // Fractional particles carried between updates
+    }
+
+    /**
+     * Emits this update's share of particles
+     * @param {number} x - Emitter x
+     * @param {number} y - Emitter y
+     * @param {number} dt - Delta time in seconds
+     */
+    update(x, y, dt) {
+        this.pending += this.rate * dt;
+
+        while (this.pending >= 1) {
+            this.system.cone(x, y, this.angle, this.spread, this.preset, { count: 1 });
+            this.pending--;
+        }
+    }
+}
+
+export class ParticleSystem {
+    /**
+     * Creates the pool
+     * @param {number} maxParticles - Pool size (default from config)
+     */
+    constructor(maxParticles = CONFIG.PARTICLES.maxParticles) {
+        // Cosmetic only - never touches the gameplay rng, so replays stay in sync
+        this.rng = new Random();
+
+        // Every particle is allocated up front; the first `count` are live
+        this.pool = Array.from({ length: maxParticles }, () => ({
+            x: 0, y: 0, vx: 0, vy: 0,
+            life: 0, maxLife: 0,
+            size: 0, endSize: 0,
+            gravity: 0, drag: 0,
+            colors: null, fade: true
+        }));
+        this.count = 0;
+
+        // Presets with parsed color ramps
+        this.presets = {};
+        for (const [name, preset] of Object.entries(PARTICLE_PRESETS)) {
+            this.presets[name] = { ...preset, colors: preset.colors.map(hexToRgb) };
+        }
+    }
+
+    /**
+     * Emits particles in every direction
+     * @param {number} x - Origin x
+     * @param {number} y - Origin y
+     * @param {string} preset - Key of PARTICLE_PRESETS
+     * @param {Object} overrides - Optional preset overrides (count, colors as hex strings)
+     */
+    burst(x, y, preset, overrides = {}) {
+        this.cone(x, y, 0, Math.PI * 2, preset, overrides);
+    }
+
+    /**
+     * Emits particles within a cone
+     * @param {number} x - Origin x
+     * @param {number} y - Origin y
+     * @param {number} angle - Center direction in radians (0 = right, PI/2 = down)
+     * @param {number} spread - Cone width in radians
+     * @param {string} preset - Key of PARTICLE_PRESETS
+     * @param {Object} overrides - Optional preset overrides (count, colors as hex strings)
+     */
+    cone(x, y, angle, spread, preset, overrides = {}) {
+        const settings = { ...this.presets[preset], ...overrides };
+        if (overrides.colors) {
+            settings.colors = overrides.colors.map(hexToRgb);
+        }
+
+        for (let i = 0; i < settings.count; i++) {
+            // Pool full - drop the rest rather than steal live particles
+            if (this.count >= this.pool.length) return;
+
+            const p = this.pool[this.count++];
+            const direction = angle + (this.rng.random() - 0.5) * spread;
+            const speed = randomRange(settings.speed[0], settings.speed[1], this.rng);
+
+            p.x = x;
+            p.y = y;
+            p.vx = Math.cos(direction) * speed;
+            p.vy = Math.sin(direction) * speed;
+            p.maxLife = randomRange(settings.life[0], settings.life[1], this.rng);
+            p.life = p.maxLife;
+            p.size = randomRange(settings.size[0], settings.size[1], this.rng);
+            p.endSize = settings.endSize;
+            p.gravity = settings.gravity;
+            p.drag = settings.drag;
+            p.colors = settings.colors;
+            p.fade = settings.fade;
+        }
+    }
+
+    /**
+     * Creates a continuous emitter that feeds this system
+     * @param {string} preset - Key of PARTICLE_PRESETS
+     * @param {number} rate - Particles per second
+     * @param {number} angle - Emission direction in radians
+     * @param {number} spread - Cone width in radians
+     * @returns {TrailEmitter} Emitter
+     */
+    createTrail(preset, rate, angle, spread) {
+        return new TrailEmitter(this, preset, rate, angle, spread);
+    }
+
+    /**
+     * Moves and ages particles, recycling the expired ones
+     * @param {number} dt - Delta time in seconds
+     */
+    update(dt) {
+        let i = 0;
+
+        while (i < this.count) {
+            const p = this.pool[i];
+            p.life -= dt * 1000;
+
+            if (p.life <= 0) {
+                // Swap the last live particle into this slot
+                this.count--;
+                this.pool[i] = this.pool[this.count];
+                this.pool[this.count] = p;
+                continue;
+            }
+
+            const damping = Math.max(0, 1 - p.drag * dt);
+            p.vx *= damping;
+            p.vy = p.vy * damping + p.gravity * dt;
+            p.x += p.vx * dt;
+            p.y += p.vy * dt;
+            i++;
+        }
+    }
+
+    /**
+     * Gets the number of live particles
+     * @returns {number} Live count
+     */
+    getCount() {
+        return this.count;
+    }
+
+    /**
+     * Removes every particle
+     */
+    clear() {
+        this.count = 0;
+    }
+
+    /**
+     * Gets a particle's color along its ramp
+     * @param {Array<Array<number>>} colors - RGB ramp
+     * @param {number} progress - Life used (0-1)
+     * @returns {string} CSS color
+     */
+    getRampColor(colors, progress) {
+        const position = progress * (colors.length - 1);
+        const index = Math.min(Math.floor(position), colors.length - 2);
+
+        if (index < 0) {
+            const [r, g, b] = colors[0];
+            return `rgb(${r}, ${g}, ${b})`;
+        }
+
+        const t = position - index;
+        const from = colors[index];
+        const to = colors[index + 1];
+        return `rgb(${Math.round(lerp(from[0], to[0], t))}, ${Math.round(lerp(from[1], to[1], t))}, ${Math.round(lerp(from[2], to[2], t))})`;
+    }
+
+    /**
+     * Renders all live particles as pixel squares
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    render(ctx) {
+        ctx.save();
+
+        for (let i = 0; i < this.count; i++) {
+            const p = this.pool[i];
+            const progress = 1 - p.life / p.maxLife;
+            const size = p.size * lerp(1, p.endSize, progress);
+
+            ctx.globalAlpha = p.fade ? 1 - progress : 1;
+            ctx.fillStyle = this.getRampColor(p.colors, progress);
+            ctx.fillRect(p.x - size / 2, p.y - size / 2, size, size);
+        }
+
+        ctx.restore();
+    }
+}
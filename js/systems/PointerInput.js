@@ -0,0 +1,209 @@
+/**
+ * TURIA INVADERS - Pointer Input
+ * Mouse play: the ship follows the pointer, buttons fire - merged into InputSystem with the keyboard
+ */
+
+import { CONFIG } from '../config.js';
+
+// Mouse button → action (0 = left, 2 = right)
+const BUTTON_ACTIONS = {
+    0: 'shoot',
+    2: 'power'
+};
+
+export class PointerInput {
+    /**
+     * Creates a pointer source for a play state
+     * @param {PlayState} playState - State whose player the pointer steers
+     */
+    constructor(playState) {
+        this.playState = playState;
+        this.canvas = null;
+
+        // Pointer x in canvas coordinates (null until the pointer moves)
+        this.targetX = null;
+
+        // Buttons held, and one-shot actions (wheel) waiting for the next tick
+        this.held = new Set();
+        this.pulses = new Set();
+
+        // Actions for the current and previous tick
+        this.pressed = new Set();
+        this.previous = new Set();
+
+        // Bind handlers
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handleWheel = this.handleWheel.bind(this);
+        this.handleContextMenu = this.handleContextMenu.bind(this);
+    }
+
+    /**
+     * Starts listening for pointer events
+     * @param {HTMLCanvasElement} canvas - Game canvas
+     */
+    start(canvas) {
+        this.canvas = canvas;
+
+        canvas.addEventListener('pointermove', this.handlePointerMove);
+        canvas.addEventListener('pointerdown', this.handlePointerDown);
+        canvas.addEventListener('wheel', this.handleWheel, { passive: false });
+        canvas.addEventListener('contextmenu', this.handleContextMenu);
+        window.addEventListener('pointerup', this.handlePointerUp); // Released anywhere, even off the canvas
+
+        canvas.style.cursor = 'crosshair';
+    }
+
+    /**
+     * Stops listening for pointer events
+     */
+    stop() {
+        if (!this.canvas) return;
+
+        this.canvas.removeEventListener('pointermove', this.handlePointerMove);
+        this.canvas.removeEventListener('pointerdown', this.handlePointerDown);
+        this.canvas.removeEventListener('wheel', this.handleWheel);
+        this.canvas.removeEventListener('contextmenu', this.handleContextMenu);
+        window.removeEventListener('pointerup', this.handlePointerUp);
+
+        this.canvas.style.cursor = '';
+        this.canvas = null;
+    }
+
+    /**
+     * Converts a pointer event's x to canvas coordinates
+     * @param {PointerEvent} e - Pointer event
+     * @returns {number} Canvas x
+     */
+    toCanvasX(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return (e.clientX - rect.left) * (CONFIG.CANVAS.width / rect.width);
+    }
+
+    /**
+     * Checks if an event should be left to other handlers
+     * Touches belong to the on-screen controls; presses while paused belong to the menu
+     * @param {PointerEvent} e - Pointer event
+     * @returns {boolean} True to ignore
+     */
+    isIgnored(e) {
+        return e.pointerType === 'touch' || this.playState.paused;
+    }
+
+    /**
+     * Tracks the pointer position
+     * @param {PointerEvent} e - Pointer event
+     */
+    handlePointerMove(e) {
+        if (e.pointerType === 'touch') return;
+        this.targetX = this.toCanvasX(e);
+    }
+
+    /**
+     * Presses the action for a mouse button
+     * @param {PointerEvent} e - Pointer event
+     */
+    handlePointerDown(e) {
+        if (this.isIgnored(e)) return;
+
+        const action = BUTTON_ACTIONS[e.button];
+        if (action) {
+            e.preventDefault();
+            this.held.add(action);
+            this.pulses.add(action); // Counts even if released before the next tick
+        }
+        this.targetX = this.toCanvasX(e);
+    }
+
+    /**
+     * Releases the action for a mouse button
+     * @param {PointerEvent} e - Pointer event
+     */
+    handlePointerUp(e) {
+        const action = BUTTON_ACTIONS[e.button];
+        if (action) {
+            this.held.delete(action);
+        }
+    }
+
+    /**
+     * Scrolling cycles the beer type
+     * @param {WheelEvent} e - Wheel event
+     */
+    handleWheel(e) {
+        e.preventDefault();
+        if (this.playState.paused || e.deltaY === 0) return;
+
+        this.pulses.add('cycleAmmo');
+    }
+
+    /**
+     * Keeps the browser menu from opening on right click
+     * @param {MouseEvent} e - Mouse event
+     */
+    handleContextMenu(e) {
+        e.preventDefault();
+    }
+
+    /**
+     * Samples this tick's actions: steer toward the pointer at the ship's own speed,
+     * plus held buttons and pending wheel/click pulses
+     */
+    advance() {
+        this.previous = this.pressed;
+        this.pressed = new Set([...this.held, ...this.pulses]);
+        this.pulses.clear();
+
+        const { player } = this.playState;
+        if (!player || this.targetX === null) return;
+
+        // Within half a step the ship is as close as it can get - stop instead of jittering
+        const tolerance = player.speed / CONFIG.TIMING.tickRate / 2;
+        const dx = this.targetX - player.x;
+
+        if (dx < -tolerance) {
+            this.pressed.add('left');
+        } else if (dx > tolerance) {
+            this.pressed.add('right');
+        } else {
+            // Lined up - stop steering until the pointer moves again, so the keyboard can take over
+            this.targetX = null;
+        }
+    }
+
+    /**
+     * Gets the actions for the current tick
+     * @returns {Set<string>} Actions held
+     */
+    getActions() {
+        return this.pressed;
+    }
+
+    /**
+     * Checks if an action is held this tick
+     * @param {string} action - Action name
+     * @returns {boolean} True if held
+     */
+    isPressed(action) {
+        return this.pressed.has(action);
+    }
+
+    /**
+     * Checks if an action started this tick
+     * @param {string} action - Action name
+     * @returns {boolean} True if just pressed
+     */
+    justPressed(action) {
+        return this.pressed.has(action) && !this.previous.has(action);
+    }
+
+    /**
+     * Checks if an action ended this tick
+     * @param {string} action - Action name
+     * @returns {boolean} True if just released
+     */
+    justReleased(action) {
+        return !this.pressed.has(action) && this.previous.has(action);
+    }
+}
@@ -0,0 +1,105 @@
+/**
+ * TURIA INVADERS - Powerup System
+ * Handles powerup drops and timed powerup effects
+ */
+
+import { CONFIG } from '../config.js';
+import { Powerup, PowerupKind } from '../entities/Powerup.js';
+import { randomInt, randomRange } from '../utils.js';
+import { Random } from '../Random.js';
+
+export class PowerupSystem {
+    /**
+     * Creates the powerup system
+     * @param {Random} rng - Random source for drops (share the run's seeded Random)
+     */
+    constructor(rng = new Random()) {
+        this.rng = rng;
+
+        // Remaining time (ms) per active effect
+        this.timers = {};
+        this.duration = CONFIG.GAMEPLAY.powerupDuration;
+    }
+
+    /**
+     * Rolls for a powerup drop at a position
+     * @param {number} x - Drop x position
+     * @param {number} y - Drop y position
+     * @param {number} chance - Drop chance 0-1 (default from config)
+     * @returns {Powerup|null} New powerup or null if no drop
+     */
+    rollDrop(x, y, chance = CONFIG.GAMEPLAY.powerupDropChance) {
+        if (randomRange(0, 1, this.rng) >= chance) return null;
+        return this.createDrop(x, y);
+    }
+
+    /**
+     * Creates a powerup of a random kind
+     * @param {number} x - Drop x position
+     * @param {number} y - Drop y position
+     * @returns {Powerup} New powerup
+     */
+    createDrop(x, y) {
+        const kinds = Object.values(PowerupKind);
+        const kind = kinds[randomInt(0, kinds.length - 1, this.rng)];
+        return new Powerup(x, y, kind);
+    }
+
+    /**
+     * Activates a powerup effect (picking up the same kind refreshes its timer)
+     * @param {string} kind - Powerup kind
+     */
+    activate(kind) {
+        this.timers[kind] = this.duration;
+    }
+
+    /**
+     * Counts down active effects
+     * @param {number} dt - Delta time in seconds
+     */
+    update(dt) {
+        for (const kind of Object.keys(this.timers)) {
+            this.timers[kind] -= dt * 1000;
+            if (this.timers[kind] <= 0) {
+                delete this.timers[kind];
+            }
+        }
+    }
+
+    /**
+     * Checks if an effect is active
+     * @param {string} kind - Powerup kind
+     * @returns {boolean} True if active
+     */
+    isActive(kind) {
+        return this.timers[kind] > 0;
+    }
+
+    /**
+     * Gets remaining time of an effect
+     * @param {string} kind - Powerup kind
+     * @returns {number} Remaining time in ms (0 if inactive)
+     */
+    getRemaining(kind) {
+        return this.timers[kind] || 0;
+    }
+
+    /**
+     * Gets all active effects for HUD display
+     * @returns {Array<{kind: string, remaining: number, percentage: number}>}
+     */
+    getActiveEffects() {
+        return Object.entries(this.timers).map(([kind, remaining]) => ({
+            kind,
+            remaining,
+            percentage: remaining / this.duration
+        }));
+    }
+
+    /**
+     * Clears all active effects
+     */
+    reset() {
+        this.timers = {};
+    }
+}
@@ -0,0 +1,232 @@
+/**
+ * TURIA INVADERS - Replay System
+ * Records per-tick input for a run and plays it back as a scripted input source
+ */
+
+import { CONFIG } from '../config.js';
+
+export const REPLAY_VERSION = 1;
+
+// CONFIG sections that affect the simulation - restored from the replay on playback
+const SIMULATED_CONFIG_SECTIONS = ['SIZES', 'GAMEPLAY'];
+
+/**
+ * Takes a deep copy of the current CONFIG
+ * @returns {Object} Plain JSON copy of CONFIG
+ */
+export function snapshotConfig() {
+    return JSON.parse(JSON.stringify(CONFIG));
+}
+
+/**
+ * Applies the simulation sections of a CONFIG snapshot
+ * @param {Object} snapshot - Snapshot from snapshotConfig
+ * @returns {Object} Snapshot of the values that were replaced, for restoreConfig
+ */
+export function applyConfigSnapshot(snapshot) {
+    const previous = snapshotConfig();
+
+    for (const section of SIMULATED_CONFIG_SECTIONS) {
+        if (snapshot[section]) {
+            Object.assign(CONFIG[section], snapshot[section]);
+        }
+    }
+
+    return previous;
+}
+
+/**
+ * Puts back CONFIG values saved by applyConfigSnapshot
+ * @param {Object} previous - Snapshot returned by applyConfigSnapshot
+ */
+export function restoreConfig(previous) {
+    applyConfigSnapshot(previous);
+}
+
+/**
+ * Records one bit per action for every simulation tick, run-length encoded
+ */
+export class ReplayRecorder {
+    /**
+     * Creates a recorder for a new run
+     * @param {number} seed - Run seed
+     * @param {Object} options - Extra run data {playerName, waves}
+     */
+    constructor(seed, options = {}) {
+        this.seed = seed;
+        this.playerName = options.playerName || 'PLAYER';
+        this.waves = options.waves || [];
+        this.config = snapshotConfig();
+        this.actions = Object.keys(CONFIG.KEYS);
+        this.ticks = 0;
+
+        // Runs of identical ticks: [pressedMask, justPressedMask, count]
+        this.runs = [];
+    }
+
+    /**
+     * Records the action state the game sees this tick
+     * @param {InputSystem} input - Input system to sample
+     */
+    record(input) {
+        let pressed = 0;
+        let justPressed = 0;
+
+        this.actions.forEach((action, bit) => {
+            if (input.isPressed(action)) pressed |= 1 << bit;
+            if (input.justPressed(action)) justPressed |= 1 << bit;
+        });
+
+        const last = this.runs[this.runs.length - 1];
+        if (last && last[0] === pressed && last[1] === justPressed) {
+            last[2]++;
+        } else {
+            this.runs.push([pressed, justPressed, 1]);
+        }
+
+        this.ticks++;
+    }
+
+    /**
+     * Builds the replay data
+     * @returns {Object} Replay, safe to JSON.stringify
+     */
+    toJSON() {
+        return {
+            version: REPLAY_VERSION,
+            seed: this.seed,
+            playerName: this.playerName,
+            config: this.config,
+            waves: this.waves,
+            actions: this.actions,
+            ticks: this.ticks,
+            inputs: this.runs.map(run => [...run])
+        };
+    }
+}
+
+/**
+ * Scripted input source - answers InputSystem queries from a recorded replay
+ */
+export class ReplayPlayer {
+    /**
+     * Creates a player for a replay
+     * @param {Object} replay - Replay data from ReplayRecorder.toJSON
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.actions = replay.actions;
+        this.runIndex = 0;
+        this.runTick = 0;
+        this.tick = 0;
+        this.pressed = 0;
+        this.justPressedMask = 0;
+        this.previousPressed = 0;
+    }
+
+    /**
+     * Moves to the next tick's recorded state (empty input once the replay runs out)
+     */
+    advance() {
+        this.previousPressed = this.pressed;
+
+        const run = this.replay.inputs[this.runIndex];
+        if (!run) {
+            this.pressed = 0;
+            this.justPressedMask = 0;
+            return;
+        }
+
+        this.pressed = run[0];
+        this.justPressedMask = run[1];
+        this.tick++;
+        this.runTick++;
+
+        if (this.runTick >= run[2]) {
+            this.runIndex++;
+            this.runTick = 0;
+        }
+    }
+
+    /**
+     * Checks if every recorded tick has been played
+     * @returns {boolean} True when finished
+     */
+    isFinished() {
+        return this.runIndex >= this.replay.inputs.length;
+    }
+
+    /**
+     * Gets the bit for an action
+     * @param {string} action - Action name
+     * @returns {number} Bit mask, 0 for actions not in the replay
+     */
+    getBit(action) {
+        const index = this.actions.indexOf(action);
+        return index >= 0 ? 1 << index : 0;
+    }
+
+    /**
+     * Checks if an action was held this tick
+     * @param {string} action - Action name
+     * @returns {boolean} True if held
+     */
+    isPressed(action) {
+        return (this.pressed & this.getBit(action)) !== 0;
+    }
+
+    /**
+     * Checks if an action was just pressed this tick
+     * @param {string} action - Action name
+     * @returns {boolean} True if just pressed
+     */
+    justPressed(action) {
+        return (this.justPressedMask & this.getBit(action)) !== 0;
+    }
+
+    /**
+     * Checks if an action was released since last tick
+     * @param {string} action - Action name
+     * @returns {boolean} True if just released
+     */
+    justReleased(action) {
+        const bit = this.getBit(action);
+        return (this.previousPressed & bit) !== 0 && (this.pressed & bit) === 0;
+    }
+}
+
+/**
+ * Parses and validates a replay file
+ * @param {string} text - Replay file contents
+ * @returns {Object} Replay data
+ * @throws {Error} If the file is not a usable replay
+ */
+export function parseReplay(text) {
+    let replay;
+    try {
+        replay = JSON.parse(text);
+    } catch (e) {
+        throw new Error('Replay file is not valid JSON');
+    }
+
+    if (!replay || replay.version !== REPLAY_VERSION) {
+        throw new Error('Unsupported replay version');
+    }
+    if (!Number.isInteger(replay.seed) || !Array.isArray(replay.actions) || !Array.isArray(replay.inputs)) {
+        throw new Error('Replay file is missing run data');
+    }
+    if (replay.config && replay.config.TIMING && replay.config.TIMING.tickRate !== CONFIG.TIMING.tickRate) {
+        throw new Error('Replay was recorded at a different tick rate');
+    }
+
+    return replay;
+}
+
+/**
+ * Gets a file name for a replay
+ * @param {Object} replay - Replay data
+ * @returns {string} File name
+ */
+export function getReplayFileName(replay) {
+    return `turia-replay-${replay.playerName}-${replay.seed}.json`;
+}
@@ -14,6 +14,10 @@ export class ScoreSystem {
         this.turiaPower = 0;
         this.turiaPowerMax = CONFIG.GAMEPLAY.turiaPowerMax;
 
+        // Run stats
+        this.kills = 0;
+        this.bossKills = 0;
+
         // Track current player for scoreboard
         this.playerName = '';
     }
@@ -40,16 +44,28 @@ export class ScoreSystem {
      * @param {number} power - Power to add (default from config)
      */
     addKill(points = CONFIG.GAMEPLAY.scorePerKill, power = CONFIG.GAMEPLAY.turiaPowerPerKill) {
+        this.kills++;
         this.score += points;
         this.addPower(power);
     }
 
     /**
      * Adds points and power for killing boss
+     * @param {number} points - Points to add (default from config)
+     * @param {number} power - Power to add (default from config)
+     */
+    addBossKill(points = CONFIG.GAMEPLAY.bossRewardScore, power = CONFIG.GAMEPLAY.bossRewardPower) {
+        this.bossKills++;
+        this.score += points;
+        this.addPower(power);
+    }
+
+    /**
+     * Adds bonus points (mystery ship) without power
+     * @param {number} points - Points to add
      */
-    addBossKill() {
-        this.score += CONFIG.GAMEPLAY.bossRewardScore;
-        this.addPower(CONFIG.GAMEPLAY.bossRewardPower);
+    addBonus(points) {
+        this.score += points;
     }
 
     /**
@@ -68,6 +84,22 @@ export class ScoreSystem {
         return this.score;
     }
 
+    /**
+     * Gets number of enemies killed this run
+     * @returns {number} Enemy kills
+     */
+    getKills() {
+        return this.kills;
+    }
+
+    /**
+     * Gets number of bosses defeated this run
+     * @returns {number} Boss kills
+     */
+    getBossKills() {
+        return this.bossKills;
+    }
+
     /**
      * Gets current lives
      * @returns {number} Current lives
@@ -136,6 +168,8 @@ export class ScoreSystem {
         this.score = 0;
         this.lives = CONFIG.GAMEPLAY.livesMax;
         this.turiaPower = 0;
+        this.kills = 0;
+        this.bossKills = 0;
     }
 
     // ==================
@@ -0,0 +1,297 @@
+/**
+ * TURIA INVADERS - Settings System
+ * Persists player settings (key bindings, control scheme, audio) to localStorage
+ */
+
+import { CONFIG } from '../config.js';
+
+const STORAGE_KEY = 'turiaSettings';
+
+// Bindings as shipped, captured before any saved settings are applied
+export const DEFAULT_KEYS = JSON.parse(JSON.stringify(CONFIG.KEYS));
+
+// Control scheme and audio mix as shipped
+export const DEFAULT_CONTROL_MODE = CONFIG.CONTROL_MODE;
+export const DEFAULT_AUDIO = { ...CONFIG.AUDIO };
+
+// Volume change per settings step
+const VOLUME_STEP = 0.1;
+
+// Selectable control schemes and their display names
+export const CONTROL_MODES = {
+    keyboard: 'KEYBOARD',
+    pointer: 'MOUSE'
+};
+
+// Display names for actions on the settings screen
+export const ACTION_LABELS = {
+    left: 'MOVE LEFT',
+    right: 'MOVE RIGHT',
+    shoot: 'SHOOT',
+    power: 'TURIA POWER',
+    lager: 'LAGER',
+    ipa: 'IPA',
+    stout: 'STOUT',
+    cycleAmmo: 'CYCLE BEER',
+    pause: 'PAUSE'
+};
+
+// Short names for key codes that don't read well as-is
+const KEY_NAMES = {
+    ArrowLeft: 'LEFT',
+    ArrowRight: 'RIGHT',
+    ArrowUp: 'UP',
+    ArrowDown: 'DOWN',
+    Space: 'SPACE',
+    Escape: 'ESC',
+    ShiftLeft: 'L-SHIFT',
+    ShiftRight: 'R-SHIFT',
+    ControlLeft: 'L-CTRL',
+    ControlRight: 'R-CTRL',
+    AltLeft: 'L-ALT',
+    AltRight: 'R-ALT',
+    Enter: 'ENTER',
+    Backspace: 'BKSP'
+};
+
+/**
+ * Formats a key code for display
+ * @param {string} code - Key code (e.g., 'KeyA', 'Digit1', 'ArrowLeft')
+ * @returns {string} Short display name
+ */
+export function formatKeyCode(code) {
+    if (!code) return '---';
+    if (KEY_NAMES[code]) return KEY_NAMES[code];
+    if (code.startsWith('Key')) return code.slice(3);
+    if (code.startsWith('Digit')) return code.slice(5);
+    if (code.startsWith('Numpad')) return `NUM${code.slice(6).toUpperCase()}`;
+    return code.toUpperCase();
+}
+
+/**
+ * Gets the display label for an action
+ * @param {string} action - Action name
+ * @returns {string} Label
+ */
+export function getActionLabel(action) {
+    return ACTION_LABELS[action] || action.toUpperCase();
+}
+
+export class SettingsSystem {
+    /**
+     * Loads saved settings and applies them to CONFIG
+     * Call at startup, before any input is handled
+     * @returns {boolean} True if saved settings were found
+     */
+    load() {
+        try {
+            const data = localStorage.getItem(STORAGE_KEY);
+            if (!data) return false;
+
+            const settings = JSON.parse(data);
+            this.applyKeys(settings.keys || {});
+            if (CONTROL_MODES[settings.controlMode]) {
+                CONFIG.CONTROL_MODE = settings.controlMode;
+            }
+            this.applyAudio(settings.audio || {});
+            return true;
+        } catch (e) {
+            console.error('Failed to load settings:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Saves current settings to localStorage
+     * @returns {boolean} True if saved successfully
+     */
+    save() {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                keys: CONFIG.KEYS,
+                controlMode: CONFIG.CONTROL_MODE,
+                audio: CONFIG.AUDIO
+            }));
+            return true;
+        } catch (e) {
+            console.error('Failed to save settings:', e);
+            return false;
+        }
+    }
+
+    /**
+     * Applies saved bindings, ignoring unknown actions and malformed entries
+     * @param {Object} keys - Bindings by action
+     */
+    applyKeys(keys) {
+        for (const action of Object.keys(DEFAULT_KEYS)) {
+            const codes = keys[action];
+            if (Array.isArray(codes) && codes.every(code => typeof code === 'string')) {
+                CONFIG.KEYS[action] = [...codes];
+            }
+        }
+    }
+
+    /**
+     * Applies saved audio settings, ignoring out-of-range or malformed values
+     * @param {Object} audio - Saved CONFIG.AUDIO
+     */
+    applyAudio(audio) {
+        for (const [key, value] of Object.entries(DEFAULT_AUDIO)) {
+            const saved = audio[key];
+            const valid = typeof value === 'boolean' ?
+                typeof saved === 'boolean' :
+                typeof saved === 'number' && saved >= 0 && saved <= 1;
+
+            if (valid) {
+                CONFIG.AUDIO[key] = saved;
+            }
+        }
+    }
+
+    /**
+     * Gets the actions that can be rebound, in display order
+     * @returns {Array<string>} Action names
+     */
+    getActions() {
+        return Object.keys(CONFIG.KEYS);
+    }
+
+    /**
+     * Gets the key codes bound to an action
+     * @param {string} action - Action name
+     * @returns {Array<string>} Key codes
+     */
+    getBindings(action) {
+        return CONFIG.KEYS[action] || [];
+    }
+
+    /**
+     * Finds which other action already uses a key
+     * @param {string} code - Key code
+     * @param {string} action - Action being rebound (its own keys don't conflict)
+     * @returns {string|null} Conflicting action, or null if the key is free
+     */
+    findConflict(code, action) {
+        for (const [other, codes] of Object.entries(CONFIG.KEYS)) {
+            if (other !== action && codes.includes(code)) {
+                return other;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Binds a key to one of an action's slots and saves
+     * @param {string} action - Action name
+     * @param {number} slot - Binding slot (0 = primary, 1 = alternate)
+     * @param {string} code - Key code
+     * @returns {string|null} Conflicting action if the key is taken (nothing changes), null on success
+     */
+    setBinding(action, slot, code) {
+        const conflict = this.findConflict(code, action);
+        if (conflict) return conflict;
+
+        const codes = [...this.getBindings(action)];
+        const existing = codes.indexOf(code);
+
+        if (slot < codes.length) {
+            // Key already in another slot of this action - swap the two
+            if (existing !== -1) {
+                codes[existing] = codes[slot];
+            }
+            codes[slot] = code;
+        } else if (existing === -1) {
+            codes.push(code);
+        }
+
+        CONFIG.KEYS[action] = codes;
+        this.save();
+        return null;
+    }
+
+    /**
+     * Removes the key in one of an action's slots and saves
+     * The last remaining key can't be cleared, so every action stays reachable
+     * @param {string} action - Action name
+     * @param {number} slot - Binding slot
+     * @returns {boolean} True if a key was removed
+     */
+    clearBinding(action, slot) {
+        const codes = this.getBindings(action);
+        if (codes.length <= 1 || slot >= codes.length) return false;
+
+        CONFIG.KEYS[action] = codes.filter((code, i) => i !== slot);
+        this.save();
+        return true;
+    }
+
+    /**
+     * Gets the control scheme
+     * @returns {string} Key of CONTROL_MODES
+     */
+    getControlMode() {
+        return CONFIG.CONTROL_MODE;
+    }
+
+    /**
+     * Switches to the next control scheme and saves
+     * @returns {string} The new mode
+     */
+    cycleControlMode() {
+        const modes = Object.keys(CONTROL_MODES);
+        CONFIG.CONTROL_MODE = modes[(modes.indexOf(CONFIG.CONTROL_MODE) + 1) % modes.length];
+        this.save();
+        return CONFIG.CONTROL_MODE;
+    }
+
+    /**
+     * Gets a volume
+     * @param {string} channel - 'masterVolume', 'sfxVolume' or 'musicVolume'
+     * @returns {number} Volume (0-1)
+     */
+    getVolume(channel) {
+        return CONFIG.AUDIO[channel];
+    }
+
+    /**
+     * Steps a volume up or down and saves
+     * @param {string} channel - 'masterVolume', 'sfxVolume' or 'musicVolume'
+     * @param {number} direction - 1 for louder, -1 for quieter
+     * @returns {number} The new volume
+     */
+    adjustVolume(channel, direction) {
+        const volume = CONFIG.AUDIO[channel] + direction * VOLUME_STEP;
+        CONFIG.AUDIO[channel] = Math.round(Math.max(0, Math.min(1, volume)) * 10) / 10;
+        this.save();
+        return CONFIG.AUDIO[channel];
+    }
+
+    /**
+     * Checks if audio is muted
+     * @returns {boolean} True if muted
+     */
+    isMuted() {
+        return CONFIG.AUDIO.muted;
+    }
+
+    /**
+     * Toggles mute and saves
+     * @returns {boolean} True if now muted
+     */
+    toggleMute() {
+        CONFIG.AUDIO.muted = !CONFIG.AUDIO.muted;
+        this.save();
+        return CONFIG.AUDIO.muted;
+    }
+
+    /**
+     * Restores shipped bindings, control scheme and audio mix, and saves
+     */
+    resetToDefaults() {
+        this.applyKeys(DEFAULT_KEYS);
+        this.applyAudio(DEFAULT_AUDIO);
+        CONFIG.CONTROL_MODE = DEFAULT_CONTROL_MODE;
+        this.save();
+    }
+}
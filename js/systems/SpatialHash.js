@@ -0,0 +1,124 @@
+/**
+ * TURIA INVADERS - Spatial Hash
+ * Uniform-grid broadphase - finds the items whose bounds share a cell with a query box
+ */
+
+import { CONFIG } from '../config.js';
+
+export class SpatialHash {
+    /**
+     * Creates an empty grid
+     * @param {number} cellSize - Cell width and height in px (default from config)
+     */
+    constructor(cellSize = CONFIG.COLLISION.cellSize) {
+        this.cellSize = cellSize;
+
+        // Cell key → entries overlapping it. Cell arrays are kept and emptied between
+        // builds, so a steady scene allocates nothing per tick.
+        this.cells = new Map();
+
+        // Entry pool {item, bounds, index, stamp}; the first `count` are in the grid
+        this.entries = [];
+        this.count = 0;
+
+        // Bumped per query, so an item spanning several cells is returned once
+        this.stamp = 0;
+    }
+
+    /**
+     * Removes every item
+     */
+    clear() {
+        for (const cell of this.cells.values()) {
+            cell.length = 0;
+        }
+        this.count = 0;
+    }
+
+    /**
+     * Gets the key of a cell
+     * @param {number} col - Cell column
+     * @param {number} row - Cell row
+     * @returns {number} Key
+     */
+    getKey(col, row) {
+        // Offset so negative cells (off the left or top edge) stay unique
+        return (col + 0x8000) * 0x10000 + (row + 0x8000);
+    }
+
+    /**
+     * Adds an item to every cell its bounds overlap
+     * @param {*} item - Item to store
+     * @param {Object} bounds - Bounding box {x, y, width, height}
+     */
+    insert(item, bounds) {
+        if (this.count === this.entries.length) {
+            this.entries.push({ item: null, bounds: null, index: 0, stamp: 0 });
+        }
+
+        const entry = this.entries[this.count];
+        entry.item = item;
+        entry.bounds = bounds;
+        entry.index = this.count++;
+        entry.stamp = 0;
+
+        const { minCol, maxCol, minRow, maxRow } = this.getCellRange(bounds);
+        for (let col = minCol; col <= maxCol; col++) {
+            for (let row = minRow; row <= maxRow; row++) {
+                const key = this.getKey(col, row);
+                let cell = this.cells.get(key);
+                if (!cell) {
+                    cell = [];
+                    this.cells.set(key, cell);
+                }
+                cell.push(entry);
+            }
+        }
+    }
+
+    /**
+     * Finds the items that may overlap a box - every item sharing a cell with it
+     * @param {Object} bounds - Query box {x, y, width, height}
+     * @param {Array} out - Array to fill (cleared first), to avoid allocating per query
+     * @returns {Array<Object>} Entries {item, bounds}, in insertion order
+     */
+    query(bounds, out = []) {
+        out.length = 0;
+        const stamp = ++this.stamp;
+
+        const { minCol, maxCol, minRow, maxRow } = this.getCellRange(bounds);
+        for (let col = minCol; col <= maxCol; col++) {
+            for (let row = minRow; row <= maxRow; row++) {
+                const cell = this.cells.get(this.getKey(col, row));
+                if (!cell) continue;
+
+                for (const entry of cell) {
+                    if (entry.stamp !== stamp) {
+                        entry.stamp = stamp;
+                        out.push(entry);
+                    }
+                }
+            }
+        }
+
+        // Insertion order, so callers resolve overlaps exactly like a plain loop would
+        if (out.length > 1) {
+            out.sort((a, b) => a.index - b.index);
+        }
+        return out;
+    }
+
+    /**
+     * Gets the cells a box overlaps
+     * @param {Object} bounds - Box {x, y, width, height}
+     * @returns {Object} Inclusive range {minCol, maxCol, minRow, maxRow}
+     */
+    getCellRange(bounds) {
+        return {
+            minCol: Math.floor(bounds.x / this.cellSize),
+            maxCol: Math.floor((bounds.x + bounds.width) / this.cellSize),
+            minRow: Math.floor(bounds.y / this.cellSize),
+            maxRow: Math.floor((bounds.y + bounds.height) / this.cellSize)
+        };
+    }
+}
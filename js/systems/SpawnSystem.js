@@ -5,11 +5,153 @@
 
 import { CONFIG } from '../config.js';
 import { Enemy, EnemyType } from '../entities/Enemy.js';
-import { randomInt } from '../utils.js';
+import { Bunker } from '../entities/Bunker.js';
+import { MysteryShip } from '../entities/MysteryShip.js';
+import { BOSS_PHASES, getBossSpawnY } from '../entities/Boss.js';
+import { randomInt, randomRange } from '../utils.js';
+import { Random } from '../Random.js';
+
+// Boss registry - bosses appear in this order, then the roster repeats with more HP
+export const BOSS_ROSTER = [
+    {
+        name: 'KEG KING',
+        spriteKey: 'boss',
+        size: 96,
+        hpScale: 1,
+        speed: 30,
+        rewardScore: 500,
+        rewardPower: 50,
+        color: '#ff00ff',
+        glowColor: 'rgba(255, 0, 255, 0.5)',
+        spriteFilter: 'none',
+        phases: BOSS_PHASES
+    },
+    {
+        name: 'TWIN TAPS',
+        spriteKey: 'enemy',
+        size: 80,
+        hpScale: 0.8,
+        speed: 70,
+        rewardScore: 750,
+        rewardPower: 60,
+        color: '#00ccff',
+        glowColor: 'rgba(0, 204, 255, 0.5)',
+        spriteFilter: 'hue-rotate(160deg)',
+        phases: [
+            { threshold: 1, movement: 'sweep', pattern: 'aimed', fireInterval: 700 },
+            { threshold: 0.5, movement: 'dash', pattern: 'radial', fireInterval: 1100 }
+        ]
+    },
+    {
+        name: 'STOUT COLOSSUS',
+        spriteKey: 'boss',
+        size: 128,
+        hpScale: 1.6,
+        speed: 20,
+        rewardScore: 1000,
+        rewardPower: 100,
+        color: '#ffcc00',
+        glowColor: 'rgba(255, 204, 0, 0.5)',
+        spriteFilter: 'hue-rotate(220deg) saturate(1.5)',
+        phases: [
+            { threshold: 1, movement: 'hover', pattern: 'radial', fireInterval: 1400 },
+            { threshold: 0.6, movement: 'hover', pattern: 'spiral', fireInterval: 110 },
+            { threshold: 0.25, movement: 'dash', pattern: 'spiral', fireInterval: 70 }
+        ]
+    }
+];
 
 export class SpawnSystem {
-    constructor() {
+    /**
+     * Creates the spawn system
+     * @param {Random} rng - Random source for spawns (share the run's seeded Random)
+     */
+    constructor(rng = new Random()) {
+        this.rng = rng;
         this.waveNumber = 0;
+        this.bossCount = 0; // Bosses spawned this run
+        this.waveDefinitions = []; // Authored waves, played before procedural ones
+        this.mysteryTimer = 0;
+        this.resetMysteryTimer();
+    }
+
+    /**
+     * Sets the authored wave definitions (see assets/waves)
+     * @param {Array<Object>} definitions - Wave definitions in play order
+     */
+    setWaveDefinitions(definitions) {
+        this.waveDefinitions = definitions || [];
+    }
+
+    /**
+     * Gets the authored definition for a wave
+     * @param {number} waveNumber - Wave number (1-based)
+     * @returns {Object|null} Wave definition, or null once authored waves run out
+     */
+    getWaveDefinition(waveNumber) {
+        return this.waveDefinitions[waveNumber - 1] || null;
+    }
+
+    /**
+     * Creates the enemies for a wave - authored layout if there is one, procedural grid otherwise
+     * @param {number} waveNumber - Wave number
+     * @returns {Array<Enemy>} Array of enemies
+     */
+    createWaveForNumber(waveNumber) {
+        const definition = this.getWaveDefinition(waveNumber);
+        if (definition && definition.layout) {
+            return this.createWaveFromLayout(definition.layout);
+        }
+        return this.createWave();
+    }
+
+    /**
+     * Creates a wave from a layout grid
+     * Each string is a row; '1', '2', '3' place that enemy type, any other char is empty
+     * @param {Array<string>} layout - Layout rows, top to bottom
+     * @returns {Array<Enemy>} Array of enemies
+     */
+    createWaveFromLayout(layout) {
+        const enemies = [];
+        const spacingX = CONFIG.GAMEPLAY.enemySpacingX;
+        const spacingY = CONFIG.GAMEPLAY.enemySpacingY;
+        const startX = CONFIG.GAMEPLAY.enemyStartX;
+        const startY = CONFIG.GAMEPLAY.enemyStartY;
+        const types = Object.values(EnemyType);
+
+        layout.forEach((line, row) => {
+            for (let col = 0; col < line.length; col++) {
+                const type = Number(line[col]);
+                if (!types.includes(type)) continue;
+
+                const localX = startX + col * spacingX;
+                const localY = startY + row * spacingY;
+                enemies.push(new Enemy(localX, localY, type, this.rng));
+            }
+        });
+
+        return enemies;
+    }
+
+    /**
+     * Gets formation and modifier settings for a wave
+     * Authored values override the procedural defaults
+     * @param {number} waveNumber - Wave number
+     * @returns {Object} Settings {speed, stepDown, fireInterval, fireChance, dropChance, mysteryShip}
+     */
+    getWaveSettings(waveNumber) {
+        const definition = this.getWaveDefinition(waveNumber) || {};
+        const modifiers = definition.modifiers || {};
+        const speed = definition.speed ?? this.getSpeedForWave(waveNumber);
+
+        return {
+            speed,
+            stepDown: definition.stepDown ?? CONFIG.GAMEPLAY.enemyStepDown,
+            fireInterval: this.getFireIntervalForWave(waveNumber, speed) / (modifiers.fireRate ?? 1),
+            fireChance: modifiers.fireChance ?? CONFIG.GAMEPLAY.enemyFireChance,
+            dropChance: modifiers.dropChance ?? CONFIG.GAMEPLAY.powerupDropChance,
+            mysteryShip: modifiers.mysteryShip ?? true
+        };
     }
 
     /**
@@ -40,7 +182,7 @@ export class SpawnSystem {
                     type = EnemyType.TYPE1; // Bottom rows - weakest
                 }
 
-                enemies.push(new Enemy(localX, localY, type));
+                enemies.push(new Enemy(localX, localY, type, this.rng));
             }
         }
 
@@ -64,9 +206,9 @@ export class SpawnSystem {
             for (let col = 0; col < cols; col++) {
                 const localX = startX + col * spacingX;
                 const localY = startY + row * spacingY;
-                const type = randomInt(1, 3);
+                const type = randomInt(1, 3, this.rng);
 
-                enemies.push(new Enemy(localX, localY, type));
+                enemies.push(new Enemy(localX, localY, type, this.rng));
             }
         }
 
@@ -79,21 +221,125 @@ export class SpawnSystem {
      * @returns {boolean} True if boss should spawn
      */
     shouldSpawnBoss(waveNumber) {
+        const definition = this.getWaveDefinition(waveNumber);
+        if (definition) {
+            return Boolean(definition.boss);
+        }
         return waveNumber > 0 && waveNumber % CONFIG.GAMEPLAY.bossSpawnWave === 0;
     }
 
     /**
-     * Creates boss spawn data
-     * @returns {Object} Boss spawn data {x, y, hp}
+     * Gets the roster definition for the next boss to appear
+     * @returns {Object} Boss definition from BOSS_ROSTER
+     */
+    getNextBossDefinition() {
+        return BOSS_ROSTER[this.bossCount % BOSS_ROSTER.length];
+    }
+
+    /**
+     * Creates boss spawn data from the roster, based on how many bosses appeared
+     * @returns {Object} Boss spawn data {x, y, hp, name, spriteKey, width, height,
+     *                   speed, rewardScore, rewardPower, color, glowColor, spriteFilter, phases}
      */
     createBossData() {
+        const definition = this.getNextBossDefinition();
+        const cycle = Math.floor(this.bossCount / BOSS_ROSTER.length);
+        const hpMultiplier = definition.hpScale * (1 + cycle * CONFIG.GAMEPLAY.bossHPPerCycle);
+
+        this.bossCount++;
+
         return {
             x: CONFIG.CANVAS.width / 2,
-            y: 80,
-            hp: CONFIG.GAMEPLAY.bossHP
+            y: getBossSpawnY(definition.size),
+            hp: Math.round(CONFIG.GAMEPLAY.bossHP * hpMultiplier),
+            name: definition.name,
+            spriteKey: definition.spriteKey,
+            width: definition.size,
+            height: definition.size,
+            speed: definition.speed,
+            rewardScore: definition.rewardScore,
+            rewardPower: definition.rewardPower,
+            color: definition.color,
+            glowColor: definition.glowColor,
+            spriteFilter: definition.spriteFilter,
+            phases: definition.phases
         };
     }
 
+    /**
+     * Creates a row of bunkers evenly spaced above the player
+     * @param {number} count - Number of bunkers (default from config)
+     * @returns {Array<Bunker>} Array of bunkers
+     */
+    createBunkers(count = CONFIG.GAMEPLAY.bunkerCount) {
+        const bunkers = [];
+        const spacing = CONFIG.CANVAS.width / (count + 1);
+        const y = CONFIG.GAMEPLAY.playerStartY - CONFIG.GAMEPLAY.bunkerOffsetY;
+
+        for (let i = 1; i <= count; i++) {
+            bunkers.push(new Bunker(spacing * i, y));
+        }
+
+        return bunkers;
+    }
+
+    /**
+     * Checks if bunkers should be rebuilt at the start of a wave
+     * @param {number} waveNumber - Wave number
+     * @returns {boolean} True on the first wave and every bunkerRegenWaves after
+     */
+    shouldRegenerateBunkers(waveNumber) {
+        if (waveNumber === 1) return true;
+
+        const interval = CONFIG.GAMEPLAY.bunkerRegenWaves;
+        return interval > 0 && (waveNumber - 1) % interval === 0;
+    }
+
+    /**
+     * Picks a random delay until the next mystery ship
+     */
+    resetMysteryTimer() {
+        this.mysteryTimer = randomRange(
+            CONFIG.GAMEPLAY.mysteryMinInterval,
+            CONFIG.GAMEPLAY.mysteryMaxInterval,
+            this.rng
+        );
+    }
+
+    /**
+     * Counts down to the next mystery ship (paused during boss waves)
+     * @param {number} dt - Delta time in seconds
+     * @param {number} waveNumber - Current wave number
+     * @returns {boolean} True if a mystery ship should spawn now
+     */
+    updateMysteryTimer(dt, waveNumber) {
+        if (this.shouldSpawnBoss(waveNumber)) return false;
+        if (!this.getWaveSettings(waveNumber).mysteryShip) return false;
+
+        this.mysteryTimer -= dt * 1000;
+        if (this.mysteryTimer > 0) return false;
+
+        this.resetMysteryTimer();
+        return true;
+    }
+
+    /**
+     * Creates a mystery ship flying in from a random side
+     * @returns {MysteryShip} New mystery ship
+     */
+    createMysteryShip() {
+        return new MysteryShip(randomInt(0, 1, this.rng) === 0 ? 1 : -1);
+    }
+
+    /**
+     * Rolls a randomized mystery ship reward
+     * @returns {number} Points (a multiple of mysteryScoreStep)
+     */
+    rollMysteryScore() {
+        const step = CONFIG.GAMEPLAY.mysteryScoreStep;
+        return randomInt(1, Math.floor(CONFIG.GAMEPLAY.mysteryScoreMax / step), this.rng) * step;
+    }
+
     /**
      * Gets spawn position for new wave
      * @returns {Object} Spawn position {x, y}
@@ -114,6 +360,18 @@ export class SpawnSystem {
         return CONFIG.GAMEPLAY.enemySpeed + (waveNumber * CONFIG.GAMEPLAY.speedIncreasePerWave);
     }
 
+    /**
+     * Calculates enemy fire interval for given wave
+     * Scales with formation speed so faster waves also shoot more often
+     * @param {number} waveNumber - Wave number
+     * @param {number} speed - Formation speed (default: the procedural speed for the wave)
+     * @returns {number} Fire interval in ms
+     */
+    getFireIntervalForWave(waveNumber, speed = this.getSpeedForWave(waveNumber)) {
+        const speedRatio = speed / CONFIG.GAMEPLAY.enemySpeed;
+        return CONFIG.GAMEPLAY.enemyFireInterval / speedRatio;
+    }
+
     /**
      * Increments wave number
      * @returns {number} New wave number
@@ -136,5 +394,7 @@ export class SpawnSystem {
      */
     reset() {
         this.waveNumber = 0;
+        this.bossCount = 0;
+        this.resetMysteryTimer();
     }
 }
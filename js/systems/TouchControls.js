@@ -0,0 +1,275 @@
+/**
+ * TURIA INVADERS - Touch Controls
+ * On-screen virtual stick and buttons for phones and tablets
+ */
+
+import { CONFIG } from '../config.js';
+import { distance } from '../utils.js';
+
+class TouchControlsClass {
+    constructor() {
+        this.canvas = null;
+        this.enabled = false; // Turns on with the first touch, so desktop never sees the overlay
+        this.playControls = false; // Stick and buttons only exist while playing
+
+        // Active touches by identifier: {kind: 'stick'|'button', action, originX, originY, x, y}
+        this.touches = new Map();
+
+        // Tap listeners for menus (called with canvas x, y)
+        this.tapListeners = new Set();
+
+        // Bind handlers
+        this.handleTouchStart = this.handleTouchStart.bind(this);
+        this.handleTouchMove = this.handleTouchMove.bind(this);
+        this.handleTouchEnd = this.handleTouchEnd.bind(this);
+    }
+
+    /**
+     * Starts listening for touches on the canvas
+     * @param {HTMLCanvasElement} canvas - Game canvas
+     */
+    attach(canvas) {
+        this.canvas = canvas;
+        const options = { passive: false };
+
+        // Touch-first devices get the controls before the first touch
+        if (window.matchMedia && window.matchMedia('(pointer: coarse)').matches) {
+            this.enabled = true;
+        }
+
+        canvas.addEventListener('touchstart', this.handleTouchStart, options);
+        canvas.addEventListener('touchmove', this.handleTouchMove, options);
+        canvas.addEventListener('touchend', this.handleTouchEnd, options);
+        canvas.addEventListener('touchcancel', this.handleTouchEnd, options);
+    }
+
+    /**
+     * Shows or hides the play controls (stick and buttons)
+     * @param {boolean} active - True while a run is being played
+     */
+    setPlayControls(active) {
+        this.playControls = active;
+        this.touches.clear();
+    }
+
+    /**
+     * Registers a tap listener
+     * @param {Function} listener - Called with (x, y) in canvas coordinates
+     */
+    addTapListener(listener) {
+        this.tapListeners.add(listener);
+    }
+
+    /**
+     * Removes a tap listener
+     * @param {Function} listener - Listener passed to addTapListener
+     */
+    removeTapListener(listener) {
+        this.tapListeners.delete(listener);
+    }
+
+    /**
+     * Converts a touch to canvas coordinates
+     * @param {Touch} touch - Touch point
+     * @returns {Object} Position {x, y}
+     */
+    toCanvasPosition(touch) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (touch.clientX - rect.left) * (CONFIG.CANVAS.width / rect.width),
+            y: (touch.clientY - rect.top) * (CONFIG.CANVAS.height / rect.height)
+        };
+    }
+
+    /**
+     * Gets the on-screen buttons, laid out from the current canvas size
+     * @returns {Array<Object>} Buttons {action, label, x, y, radius}
+     */
+    getButtons() {
+        const { width, height } = CONFIG.CANVAS;
+        const layout = CONFIG.TOUCH;
+
+        return [
+            { action: 'shoot', label: 'FIRE', x: width - 90, y: height - 100, radius: layout.fireRadius },
+            { action: 'power', label: 'POWER', x: width - 210, y: height - 60, radius: layout.buttonRadius },
+            { action: 'cycleAmmo', label: 'BEER', x: width - 90, y: height - 215, radius: layout.buttonRadius },
+            { action: 'pause', label: 'II', x: width - 40, y: 100, radius: layout.smallButtonRadius }
+        ];
+    }
+
+    /**
+     * Finds the button under a point
+     * @param {number} x - Canvas x
+     * @param {number} y - Canvas y
+     * @returns {Object|null} Button, or null
+     */
+    findButton(x, y) {
+        return this.getButtons().find(button => distance(x, y, button.x, button.y) <= button.radius) || null;
+    }
+
+    /**
+     * Checks if a point is in the movement stick zone (left half, lower part of the screen)
+     * @param {number} x - Canvas x
+     * @param {number} y - Canvas y
+     * @returns {boolean} True if inside
+     */
+    isInStickZone(x, y) {
+        return x < CONFIG.CANVAS.width / 2 && y > CONFIG.CANVAS.height / 3;
+    }
+
+    /**
+     * Handles new touches - claims a button or the stick, otherwise reports a tap
+     * @param {TouchEvent} e - Touch event
+     */
+    handleTouchStart(e) {
+        e.preventDefault();
+
+        // The first touch only reveals the controls, so it can't hit one the player hasn't seen
+        if (!this.enabled) {
+            this.enabled = true;
+            return;
+        }
+
+        for (const touch of e.changedTouches) {
+            const pos = this.toCanvasPosition(touch);
+            this.startTouch(touch.identifier, pos.x, pos.y);
+        }
+    }
+
+    /**
+     * Starts tracking a touch point
+     * @param {number} id - Touch identifier
+     * @param {number} x - Canvas x
+     * @param {number} y - Canvas y
+     */
+    startTouch(id, x, y) {
+        if (!this.playControls) {
+            // Copy first - a tap that changes state swaps the listeners mid-dispatch
+            [...this.tapListeners].forEach(listener => listener(x, y));
+            return;
+        }
+
+        const button = this.findButton(x, y);
+        if (button) {
+            this.touches.set(id, { kind: 'button', action: button.action, x, y });
+        } else if (this.isInStickZone(x, y)) {
+            this.touches.set(id, { kind: 'stick', originX: x, originY: y, x, y });
+        }
+    }
+
+    /**
+     * Handles touch movement - drags the stick, slides between buttons
+     * @param {TouchEvent} e - Touch event
+     */
+    handleTouchMove(e) {
+        e.preventDefault();
+
+        for (const touch of e.changedTouches) {
+            const tracked = this.touches.get(touch.identifier);
+            if (!tracked) continue;
+
+            const pos = this.toCanvasPosition(touch);
+            tracked.x = pos.x;
+            tracked.y = pos.y;
+
+            if (tracked.kind === 'button') {
+                const button = this.findButton(pos.x, pos.y);
+                tracked.action = button ? button.action : null;
+            }
+        }
+    }
+
+    /**
+     * Handles lifted or cancelled touches
+     * @param {TouchEvent} e - Touch event
+     */
+    handleTouchEnd(e) {
+        e.preventDefault();
+
+        for (const touch of e.changedTouches) {
+            this.touches.delete(touch.identifier);
+        }
+    }
+
+    /**
+     * Gets the stick's horizontal deflection
+     * @param {Object} stick - Tracked stick touch
+     * @returns {number} Offset from the origin, clamped to the stick radius
+     */
+    getStickOffset(stick) {
+        const radius = CONFIG.TOUCH.stickRadius;
+        return Math.max(-radius, Math.min(radius, stick.x - stick.originX));
+    }
+
+    /**
+     * Gets the actions currently held on screen
+     * @returns {Set<string>} Held action names
+     */
+    getActions() {
+        const actions = new Set();
+        if (!this.playControls) return actions;
+
+        for (const tracked of this.touches.values()) {
+            if (tracked.kind === 'button' && tracked.action) {
+                actions.add(tracked.action);
+            } else if (tracked.kind === 'stick') {
+                const offset = this.getStickOffset(tracked);
+                if (offset < -CONFIG.TOUCH.stickDeadzone) {
+                    actions.add('left');
+                } else if (offset > CONFIG.TOUCH.stickDeadzone) {
+                    actions.add('right');
+                }
+            }
+        }
+
+        return actions;
+    }
+
+    /**
+     * Renders the stick and buttons
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     */
+    render(ctx) {
+        if (!this.enabled || !this.playControls) return;
+
+        const held = this.getActions();
+
+        ctx.save();
+        ctx.globalAlpha = CONFIG.TOUCH.opacity;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = '10px "Press Start 2P", monospace';
+
+        // Buttons
+        for (const button of this.getButtons()) {
+            ctx.fillStyle = held.has(button.action) ? CONFIG.COLORS.textHighlight : CONFIG.COLORS.touchButton;
+            ctx.beginPath();
+            ctx.arc(button.x, button.y, button.radius, 0, Math.PI * 2);
+            ctx.fill();
+
+            ctx.fillStyle = CONFIG.COLORS.background;
+            ctx.fillText(button.label, button.x, button.y);
+        }
+
+        // Stick - base at the drag origin, knob following the finger
+        for (const tracked of this.touches.values()) {
+            if (tracked.kind !== 'stick') continue;
+
+            ctx.strokeStyle = CONFIG.COLORS.touchButton;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(tracked.originX, tracked.originY, CONFIG.TOUCH.stickRadius, 0, Math.PI * 2);
+            ctx.stroke();
+
+            ctx.fillStyle = CONFIG.COLORS.touchButton;
+            ctx.beginPath();
+            ctx.arc(tracked.originX + this.getStickOffset(tracked), tracked.originY, CONFIG.TOUCH.stickRadius / 2, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.restore();
+    }
+}
+
+// Singleton instance
+export const TouchControls = new TouchControlsClass();
@@ -33,20 +33,22 @@ export function rectIntersect(a, b) {
  * Generates a random number between min and max (inclusive)
  * @param {number} min - Minimum value
  * @param {number} max - Maximum value
+ * @param {{random: function(): number}} rng - Random source, e.g. a seeded Random (default Math)
  * @returns {number} Random number
  */
-export function randomRange(min, max) {
-    return Math.random() * (max - min) + min;
+export function randomRange(min, max, rng = Math) {
+    return rng.random() * (max - min) + min;
 }
 
 /**
  * Generates a random integer between min and max (inclusive)
  * @param {number} min - Minimum value
  * @param {number} max - Maximum value
+ * @param {{random: function(): number}} rng - Random source, e.g. a seeded Random (default Math)
  * @returns {number} Random integer
  */
-export function randomInt(min, max) {
-    return Math.floor(randomRange(min, max + 1));
+export function randomInt(min, max, rng = Math) {
+    return Math.floor(randomRange(min, max + 1, rng));
 }
 
 /**
@@ -74,6 +76,37 @@ export function lerp(a, b, t) {
     return a + (b - a) * t;
 }
 
+/**
+ * Remembers an entity's position at the start of a simulation tick
+ * @param {Object} entity - Entity with x and y
+ */
+export function storePreviousPosition(entity) {
+    entity.prevX = entity.x;
+    entity.prevY = entity.y;
+}
+
+/**
+ * Draws an entity at its position interpolated between the last two ticks
+ * Entities spawned this tick (no previous position) draw where they are
+ * @param {Object} entity - Entity with x, y and optional prevX, prevY
+ * @param {number} alpha - Interpolation factor (0-1)
+ * @param {Function} draw - Draw callback
+ */
+export function drawInterpolated(entity, alpha, draw) {
+    if (entity.prevX === undefined) {
+        draw();
+        return;
+    }
+
+    const x = entity.x;
+    const y = entity.y;
+    entity.x = lerp(entity.prevX, x, alpha);
+    entity.y = lerp(entity.prevY, y, alpha);
+    draw();
+    entity.x = x;
+    entity.y = y;
+}
+
 /**
  * Converts degrees to radians
  * @param {number} degrees - Angle in degrees
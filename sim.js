@@ -0,0 +1,57 @@
+/**
+ * Headless simulation runner for TURIA INVADERS
+ * Run with: bun sim.js --seed 42 --frames 10000 --bot
+ *
+ * Options:
+ *   --seed <n>       Run seed (random if omitted)
+ *   --frames <n>     Maximum simulation ticks (default 10000)
+ *   --bot            Let the built-in bot play (idle player otherwise)
+ *   --replay <file>  Play back a recorded replay instead
+ */
+
+import { CONFIG } from './js/config.js';
+import { AssetLoader } from './js/AssetLoader.js';
+import { Simulation } from './js/Simulation.js';
+import { parseSeed } from './js/Random.js';
+import { parseReplay } from './js/systems/ReplaySystem.js';
+
+/**
+ * Parses command line flags
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} Options {seed, frames, bot, replay}
+ */
+function parseArgs(argv) {
+    const options = { seed: undefined, frames: 10000, bot: false, replay: null };
+
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--seed':
+                options.seed = parseSeed(argv[++i]) ?? undefined;
+                break;
+            case '--frames':
+                options.frames = parseInt(argv[++i], 10) || options.frames;
+                break;
+            case '--bot':
+                options.bot = true;
+                break;
+            case '--replay':
+                options.replay = argv[++i];
+                break;
+            default:
+                console.error(`Unknown option: ${argv[i]}`);
+                process.exit(1);
+        }
+    }
+
+    return options;
+}
+
+const options = parseArgs(process.argv.slice(2));
+
+// Authored waves come from disk - there is no server to fetch them from
+AssetLoader.setWaves(await Promise.all(CONFIG.WAVES.map(src => Bun.file(src).json())));
+
+const replay = options.replay ? parseReplay(await Bun.file(options.replay).text()) : null;
+
+const simulation = new Simulation({ seed: options.seed, bot: options.bot, replay });
+console.log(JSON.stringify(simulation.run(options.frames), null, 2));
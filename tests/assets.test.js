@@ -0,0 +1,143 @@
+/**
+ * TURIA INVADERS - Asset Loader Tests
+ * Unit tests for the typed manifest, retries and load error reporting
+ */
+
+import { describe, expect, test, beforeEach, afterEach } from 'bun:test';
+import { AssetLoader } from '../js/AssetLoader.js';
+import { SpriteSheet } from '../js/SpriteSheet.js';
+import { CONFIG } from '../js/config.js';
+
+/**
+ * Creates a stand-in Image class that loads any src except the failing ones
+ * @param {Set<string>} failing - Sources that fire onerror
+ * @returns {Function} Image class
+ */
+function createFakeImage(failing) {
+    return class {
+        set src(value) {
+            this.source = value;
+            queueMicrotask(() => (failing.has(value) ? this.onerror() : this.onload()));
+        }
+    };
+}
+
+describe('AssetLoader', () => {
+    const originalFetch = globalThis.fetch;
+    const originalImage = globalThis.Image;
+    const originalLoading = { ...CONFIG.LOADING };
+    let files;
+    let requests;
+
+    beforeEach(() => {
+        CONFIG.LOADING.retryDelay = 0;
+        files = {};
+        requests = [];
+
+        // Serves `files`; a value that's an Error fails that many more times (count in .remaining)
+        globalThis.fetch = async (src) => {
+            requests.push(src);
+            const file = files[src];
+            if (file === undefined) return { ok: false, status: 404 };
+            if (file instanceof Error && file.remaining-- > 0) throw file;
+            return { ok: true, json: async () => (file instanceof Error ? file.data : file) };
+        };
+        globalThis.Image = createFakeImage(new Set(['missing.png']));
+    });
+
+    afterEach(() => {
+        globalThis.fetch = originalFetch;
+        globalThis.Image = originalImage;
+        Object.assign(CONFIG.LOADING, originalLoading);
+    });
+
+    test('manifest covers every asset section, waves and music', () => {
+        const manifest = AssetLoader.getManifest();
+        const types = new Set(manifest.map(entry => entry.type));
+
+        expect(types.has('atlas')).toBe(true);
+        expect(types.has('json')).toBe(true);
+        expect(manifest.filter(entry => entry.type === 'json')).toHaveLength(
+            CONFIG.WAVES.length + Object.keys(CONFIG.MUSIC.tracks).length
+        );
+    });
+
+    test('stores loaded assets by type and key', async () => {
+        files['data.json'] = { value: 1 };
+
+        await AssetLoader.loadAll([{ type: 'json', key: 'data', src: 'data.json' }]);
+
+        expect(AssetLoader.getJSON('data')).toEqual({ value: 1 });
+        expect(AssetLoader.getErrors()).toEqual([]);
+        expect(AssetLoader.getProgress()).toBe(1);
+    });
+
+    test('retries a flaky file until it loads', async () => {
+        const flaky = new Error('Network down');
+        flaky.remaining = CONFIG.LOADING.retries;
+        flaky.data = { value: 2 };
+        files['flaky.json'] = flaky;
+
+        await AssetLoader.loadAll([{ type: 'json', key: 'flaky', src: 'flaky.json' }]);
+
+        expect(AssetLoader.getJSON('flaky')).toEqual({ value: 2 });
+        expect(requests).toHaveLength(CONFIG.LOADING.retries + 1);
+        expect(AssetLoader.getErrors()).toEqual([]);
+    });
+
+    test('reports a file that fails every attempt', async () => {
+        await AssetLoader.loadAll([{ type: 'json', key: 'gone', src: 'gone.json' }]);
+
+        expect(AssetLoader.getJSON('gone')).toBeNull();
+        expect(requests).toHaveLength(CONFIG.LOADING.retries + 1);
+        expect(AssetLoader.getErrors()).toEqual([
+            { type: 'json', key: 'gone', src: 'gone.json', message: 'HTTP 404' }
+        ]);
+    });
+
+    test('loads an atlas image relative to its frame map', async () => {
+        files['sprites/ship.json'] = {
+            frames: { idle: { frame: { x: 0, y: 0, w: 8, h: 8 } } },
+            meta: { image: 'ship.png' }
+        };
+
+        await AssetLoader.loadAll([{ type: 'atlas', key: 'ship', src: 'sprites/ship.json' }]);
+
+        const sheet = AssetLoader.getAtlas('ship');
+        expect(sheet).toBeInstanceOf(SpriteSheet);
+        expect(sheet.image.source).toBe('sprites/ship.png');
+    });
+
+    test('reports an atlas whose image is missing', async () => {
+        files['broken.json'] = { frames: {}, meta: { image: 'missing.png' } };
+
+        await AssetLoader.loadAll([{ type: 'atlas', key: 'broken', src: 'broken.json' }]);
+
+        expect(AssetLoader.getAtlas('broken')).toBeNull();
+        expect(AssetLoader.getErrors().map(error => error.key)).toEqual(['broken']);
+    });
+
+    test('a failed wave keeps its slot so later waves keep their numbers', async () => {
+        const waves = ['waves/a.json', 'waves/b.json', 'waves/c.json'];
+        const originalWaves = CONFIG.WAVES;
+        CONFIG.WAVES = waves;
+        files['waves/a.json'] = { name: 'A' };
+        files['waves/c.json'] = { name: 'C', boss: true };
+
+        try {
+            await AssetLoader.loadAll(waves.map(src => ({ type: 'json', key: src, src })));
+        } finally {
+            CONFIG.WAVES = originalWaves;
+        }
+
+        expect(AssetLoader.getWaves()).toEqual([{ name: 'A' }, null, { name: 'C', boss: true }]);
+        expect(AssetLoader.getErrors().map(error => error.src)).toEqual(['waves/b.json']);
+    });
+
+    test('errors are cleared by the next load', async () => {
+        await AssetLoader.loadAll([{ type: 'json', key: 'gone', src: 'gone.json' }]);
+        await AssetLoader.loadAll([]);
+
+        expect(AssetLoader.getErrors()).toEqual([]);
+    });
+});
@@ -0,0 +1,198 @@
+/**
+ * TURIA INVADERS - Audio Tests
+ * Unit tests for the synthesized sound effects and music
+ */
+
+import { describe, expect, test, beforeEach, afterEach } from 'bun:test';
+import { AudioSystem, SOUNDS } from '../js/systems/AudioSystem.js';
+import { MusicSystem, noteToFrequency, parseSong } from '../js/systems/MusicSystem.js';
+import { CONFIG } from '../js/config.js';
+
+/**
+ * Creates a stand-in AudioContext that counts started sources
+ * @returns {Object} Fake context
+ */
+function createFakeContext() {
+    const param = () => ({
+        value: 0,
+        setValueAtTime() {},
+        exponentialRampToValueAtTime() {},
+        linearRampToValueAtTime() {}
+    });
+    const node = () => ({ connect() {}, gain: param(), frequency: param() });
+    const context = {
+        currentTime: 0,
+        sampleRate: 8000,
+        started: 0,
+        destination: {},
+        createGain: node,
+        createBiquadFilter: node,
+        createOscillator: () => ({ ...node(), start: () => context.started++, stop() {} }),
+        createBufferSource: () => ({ ...node(), start: () => context.started++, stop() {} }),
+        createBuffer: (channels, length) => ({ getChannelData: () => new Float32Array(length) })
+    };
+    return context;
+}
+
+/**
+ * Points AudioSystem at a fake context, as if the first gesture had happened
+ * @returns {Object} Fake context
+ */
+function unlockFakeAudio() {
+    const context = createFakeContext();
+    AudioSystem.context = context;
+    AudioSystem.masterGain = context.createGain();
+    AudioSystem.sfxGain = context.createGain();
+    AudioSystem.musicGain = context.createGain();
+    AudioSystem.noiseBuffer = AudioSystem.createNoiseBuffer();
+    AudioSystem.lastPlayed = {};
+    return context;
+}
+
+describe('AudioSystem', () => {
+    let context;
+
+    beforeEach(() => {
+        context = unlockFakeAudio();
+    });
+
+    afterEach(() => {
+        AudioSystem.context = null;
+        CONFIG.AUDIO.muted = false;
+    });
+
+    test('every sound layer is a tone or noise with a duration', () => {
+        for (const layers of Object.values(SOUNDS)) {
+            for (const layer of layers) {
+                expect(layer.duration).toBeGreaterThan(0);
+                expect(layer.volume).toBeGreaterThan(0);
+                expect(Boolean(layer.noise || layer.wave)).toBe(true);
+            }
+        }
+    });
+
+    test('play starts one source per layer', () => {
+        AudioSystem.play('enemyKill');
+        expect(context.started).toBe(SOUNDS.enemyKill.length);
+    });
+
+    test('is silent before the first gesture and when muted', () => {
+        AudioSystem.context = null;
+        expect(() => AudioSystem.play('shoot')).not.toThrow();
+
+        AudioSystem.context = context;
+        CONFIG.AUDIO.muted = true;
+        AudioSystem.play('shoot');
+        expect(context.started).toBe(0);
+    });
+
+    test('the same sound is throttled within a tick of itself', () => {
+        AudioSystem.play('shoot');
+        AudioSystem.play('shoot');
+        expect(context.started).toBe(1);
+
+        context.currentTime = 1;
+        AudioSystem.play('shoot');
+        expect(context.started).toBe(2);
+    });
+
+    test('updateVolumes applies the mix and mute', () => {
+        AudioSystem.updateVolumes();
+        expect(AudioSystem.masterGain.gain.value).toBe(CONFIG.AUDIO.masterVolume);
+        expect(AudioSystem.sfxGain.gain.value).toBe(CONFIG.AUDIO.sfxVolume);
+        expect(AudioSystem.musicGain.gain.value).toBe(CONFIG.AUDIO.musicVolume);
+
+        CONFIG.AUDIO.muted = true;
+        AudioSystem.updateVolumes();
+        expect(AudioSystem.masterGain.gain.value).toBe(0);
+    });
+});
+
+describe('MusicSystem', () => {
+    const song = {
+        name: 'test',
+        tempo: 120,
+        rowsPerBeat: 4,
+        instruments: [
+            { wave: 'square', volume: 0.1 },
+            { noise: true, volume: 0.1 }
+        ],
+        patterns: {
+            a: ['A4 . . C5', 'x . x .'],
+            b: ['E4 . . .', '. . . .']
+        },
+        order: ['a', 'b']
+    };
+    let context;
+
+    beforeEach(() => {
+        context = unlockFakeAudio();
+        MusicSystem.setSongs({ wave: song, gameover: { ...song, loop: false } });
+        MusicSystem.stop();
+    });
+
+    afterEach(() => {
+        MusicSystem.stop();
+        AudioSystem.context = null;
+    });
+
+    test('noteToFrequency converts note names', () => {
+        expect(noteToFrequency('A4')).toBe(440);
+        expect(noteToFrequency('A3')).toBe(220);
+        expect(noteToFrequency('C#4')).toBeCloseTo(277.18, 1);
+        expect(noteToFrequency('x')).toBeNull();
+    });
+
+    test('parseSong splits rows and rejects missing patterns', () => {
+        expect(parseSong(song).patterns.a[0]).toEqual(['A4', '.', '.', 'C5']);
+        expect(() => parseSong({ ...song, order: ['a', 'z'] })).toThrow();
+    });
+
+    test('notes hold until the next note in their channel', () => {
+        MusicSystem.play('wave');
+        const channel = MusicSystem.song.patterns.a[0];
+        expect(MusicSystem.getHeldRows(channel, 0)).toBe(3);
+        expect(MusicSystem.getHeldRows(channel, 3)).toBe(1);
+    });
+
+    test('rows run through the order and loop', () => {
+        MusicSystem.play('wave');
+        for (let i = 0; i < 4; i++) MusicSystem.advanceRow();
+        expect(MusicSystem.orderIndex).toBe(1);
+
+        for (let i = 0; i < 4; i++) MusicSystem.advanceRow();
+        expect(MusicSystem.orderIndex).toBe(0);
+        expect(MusicSystem.song).not.toBeNull();
+    });
+
+    test('songs without loop end after the last pattern', () => {
+        MusicSystem.play('gameover');
+        for (let i = 0; i < 8; i++) MusicSystem.advanceRow();
+        expect(MusicSystem.song).toBeNull();
+
+        // Asking again doesn't restart it
+        MusicSystem.play('gameover');
+        expect(MusicSystem.song).toBeNull();
+    });
+
+    test('intensity raises the tempo', () => {
+        MusicSystem.play('wave');
+        const calm = MusicSystem.getRowDuration();
+
+        MusicSystem.setIntensity(1);
+        expect(MusicSystem.getTempo()).toBe(song.tempo * (1 + CONFIG.MUSIC.maxTempoBoost));
+        expect(MusicSystem.getRowDuration()).toBeLessThan(calm);
+
+        MusicSystem.setIntensity(5);
+        expect(MusicSystem.intensity).toBe(1);
+    });
+
+    test('update schedules the rows inside the lookahead', () => {
+        MusicSystem.play('wave');
+        MusicSystem.update();
+
+        // 0.125s rows at 120 BPM: rows 0 and 1 fit in the window - A4 and a drum, then rests
+        expect(context.started).toBe(2);
+        expect(MusicSystem.row).toBe(2);
+    });
+});
@@ -0,0 +1,32 @@
+/**
+ * TURIA INVADERS - Display Tests
+ * Unit tests for fitting the logical resolution to the window
+ */
+
+import { describe, expect, test, afterEach } from 'bun:test';
+import { getDisplayScale } from '../js/Display.js';
+import { CONFIG } from '../js/config.js';
+
+describe('getDisplayScale', () => {
+    const { width, height } = CONFIG.CANVAS;
+    const originalDisplay = { ...CONFIG.DISPLAY };
+
+    afterEach(() => {
+        Object.assign(CONFIG.DISPLAY, originalDisplay);
+    });
+
+    test('fits the tighter axis and letterboxes the other', () => {
+        expect(getDisplayScale(width * 3, height * 1.5)).toBe(1.5);
+        expect(getDisplayScale(width * 1.5, height * 3)).toBe(1.5);
+    });
+
+    test('integer scaling rounds down to a whole scale', () => {
+        CONFIG.DISPLAY.integerScaling = true;
+        expect(getDisplayScale(width * 2.7, height * 3)).toBe(2);
+    });
+
+    test('below 1x a smaller window still gets the fractional fit', () => {
+        CONFIG.DISPLAY.integerScaling = true;
+        expect(getDisplayScale(width * 0.5, height)).toBe(0.5);
+    });
+});
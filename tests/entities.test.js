@@ -1,12 +1,24 @@
 /**
  * TURIA INVADERS - Entity Tests
- * Unit tests for Player, Bullet, and InputSystem
+ * Unit tests for Player, Bullet, EnemyBullet, Powerup, Bunker, MysteryShip,
+ * FloatingText, Boss, InputSystem, TouchControls, PointerInput, Animation and SpriteSheet
  */
 
 import { describe, expect, test, beforeEach } from 'bun:test';
 import { Player } from '../js/entities/Player.js';
-import { Bullet } from '../js/entities/Bullet.js';
+import { Bullet, EnemyBullet } from '../js/entities/Bullet.js';
 import { InputSystem } from '../js/systems/InputSystem.js';
+import { TouchControls } from '../js/systems/TouchControls.js';
+import { PointerInput } from '../js/systems/PointerInput.js';
+import { BeerType, getNextBeerType } from '../js/entities/BeerType.js';
+import { Powerup, PowerupKind } from '../js/entities/Powerup.js';
+import { Bunker } from '../js/entities/Bunker.js';
+import { MysteryShip } from '../js/entities/MysteryShip.js';
+import { FloatingText } from '../js/entities/FloatingText.js';
+import { Boss, BOSS_PHASES } from '../js/entities/Boss.js';
+import { Enemy } from '../js/entities/Enemy.js';
+import { Animation } from '../js/Animation.js';
+import { SpriteSheet } from '../js/SpriteSheet.js';
 import { CONFIG } from '../js/config.js';
 
 describe('Player', () => {
@@ -137,6 +149,69 @@ describe('Player', () => {
         expect(player.fireCooldown).toBeLessThan(200);
     });
 
+    test('starts with lager ammo', () => {
+        expect(player.currentType).toBe(BeerType.LAGER);
+    });
+
+    test('shoot creates bullet of current beer type', () => {
+        player.setType(BeerType.STOUT);
+        const bullet = player.shoot();
+
+        expect(bullet.type).toBe(BeerType.STOUT);
+    });
+
+    test('fire returns a single bullet without spread', () => {
+        const bullets = player.fire();
+
+        expect(bullets.length).toBe(1);
+        expect(bullets[0].velocityX).toBe(0);
+    });
+
+    test('fire returns three-way spread with foam', () => {
+        player.spreadShot = true;
+        player.setType(BeerType.IPA);
+
+        const bullets = player.fire();
+
+        expect(bullets.length).toBe(3);
+        expect(bullets.map(b => Math.sign(b.velocityX)).sort()).toEqual([-1, 0, 1]);
+        expect(bullets.every(b => b.type === BeerType.IPA)).toBe(true);
+    });
+
+    test('fire returns nothing on cooldown', () => {
+        player.fireCooldown = 100;
+        player.spreadShot = true;
+
+        expect(player.fire()).toEqual([]);
+    });
+
+    test('cycleType wraps through all beer types', () => {
+        player.cycleType();
+        expect(player.currentType).toBe(BeerType.IPA);
+        player.cycleType();
+        expect(player.currentType).toBe(BeerType.STOUT);
+        player.cycleType();
+        expect(player.currentType).toBe(BeerType.LAGER);
+    });
+
+    test('hit starts invulnerability window', () => {
+        expect(player.isInvulnerable()).toBe(false);
+
+        player.hit();
+
+        expect(player.isInvulnerable()).toBe(true);
+        expect(player.invulnerableTimer).toBe(CONFIG.GAMEPLAY.playerInvulnerability);
+    });
+
+    test('invulnerability wears off over time', () => {
+        const mockInput = { isPressed: () => false };
+        player.hit();
+
+        player.update(CONFIG.GAMEPLAY.playerInvulnerability / 1000 + 0.1, mockInput, 800);
+
+        expect(player.isInvulnerable()).toBe(false);
+    });
+
     test('reset restores player to center position', () => {
         player.x = 100;
         player.fireCooldown = 500;
@@ -146,6 +221,41 @@ describe('Player', () => {
         expect(player.x).toBe(400);
         expect(player.fireCooldown).toBe(0);
     });
+
+    test('reset restores lager ammo', () => {
+        player.setType(BeerType.IPA);
+
+        player.reset(800);
+
+        expect(player.currentType).toBe(BeerType.LAGER);
+    });
+
+    test('banks through the frames into a turn and back', () => {
+        const held = new Set(['left']);
+        const input = { isPressed: (action) => held.has(action) };
+
+        player.update(0.05, input, 800);
+        expect(player.animation.getFrame()).toBe('bankLeft1');
+        player.update(0.05, input, 800);
+        expect(player.animation.getFrame()).toBe('bankLeft2');
+
+        held.clear();
+        player.update(0.05, input, 800);
+        expect(player.animation.getFrame()).toBe('bankLeft1');
+        player.update(0.05, input, 800);
+        expect(player.animation.getFrame()).toBe('idle');
+    });
+
+    test('reversing mid-turn swings through level', () => {
+        const held = new Set(['left']);
+        const input = { isPressed: (action) => held.has(action) };
+        player.update(0.05, input, 800);
+
+        held.clear();
+        held.add('right');
+        player.update(0.05, input, 800);
+        expect(player.animation.frames).toEqual(['idle', 'bankRight1', 'bankRight2']);
+    });
 });
 
 describe('Bullet', () => {
@@ -223,6 +333,258 @@ describe('Bullet', () => {
     });
 });
 
+describe('BeerType', () => {
+    test('getNextBeerType steps forward and backward', () => {
+        expect(getNextBeerType(BeerType.LAGER)).toBe(BeerType.IPA);
+        expect(getNextBeerType(BeerType.LAGER, -1)).toBe(BeerType.STOUT);
+    });
+
+    test('bullet defaults to lager', () => {
+        expect(new Bullet(0, 0, -500).type).toBe(BeerType.LAGER);
+    });
+});
+
+describe('Powerup', () => {
+    test('falls downward at config speed', () => {
+        const powerup = new Powerup(100, 100, PowerupKind.ICE);
+
+        powerup.update(0.5);
+
+        expect(powerup.y).toBe(100 + CONFIG.GAMEPLAY.powerupFallSpeed * 0.5);
+    });
+
+    test('isOffScreen returns true below screen', () => {
+        const powerup = new Powerup(100, 700, PowerupKind.FOAM);
+
+        expect(powerup.isOffScreen(600)).toBe(true);
+    });
+
+    test('getBounds is centered on position', () => {
+        const powerup = new Powerup(100, 100, PowerupKind.FOAM);
+        const bounds = powerup.getBounds();
+
+        expect(bounds.x).toBe(100 - powerup.width / 2);
+        expect(bounds.y).toBe(100 - powerup.height / 2);
+    });
+});
+
+describe('Bunker', () => {
+    let bunker;
+
+    beforeEach(() => {
+        bunker = new Bunker(200, 400);
+    });
+
+    test('starts with full health cells', () => {
+        const bottomLeft = bunker.getCell(0, bunker.rows - 1);
+
+        expect(bottomLeft).toBe(CONFIG.GAMEPLAY.bunkerCellHP);
+        expect(bunker.isDestroyed()).toBe(false);
+    });
+
+    test('findHitCell returns null outside bunker', () => {
+        const bounds = { x: 0, y: 0, width: 4, height: 12 };
+
+        expect(bunker.findHitCell(bounds, -500)).toBeNull();
+    });
+
+    test('upward shots hit the lowest solid cell first', () => {
+        const bounds = { x: bunker.x - 2, y: bunker.y - 30, width: 4, height: 60 };
+
+        const cell = bunker.findHitCell(bounds, -500);
+
+        // Centre columns are hollow in the bottom rows
+        expect(cell.row).toBe(5);
+    });
+
+    test('downward shots hit the highest solid cell first', () => {
+        const bounds = { x: bunker.x - 2, y: bunker.y - 30, width: 4, height: 60 };
+
+        const cell = bunker.findHitCell(bounds, 250);
+
+        expect(cell.row).toBe(0);
+    });
+
+    test('erode destroys hit cell and damages neighbours', () => {
+        bunker.erode(5, 3);
+
+        expect(bunker.getCell(5, 3)).toBe(0);
+        expect(bunker.getCell(4, 3)).toBe(CONFIG.GAMEPLAY.bunkerCellHP - 1);
+        expect(bunker.getCell(5, 2)).toBe(CONFIG.GAMEPLAY.bunkerCellHP - 1);
+    });
+
+    test('rebuild restores eroded cells', () => {
+        bunker.erode(5, 3);
+        bunker.rebuild();
+
+        expect(bunker.getCell(5, 3)).toBe(CONFIG.GAMEPLAY.bunkerCellHP);
+    });
+});
+
+describe('MysteryShip', () => {
+    test('enters from the left when flying right', () => {
+        const ship = new MysteryShip(1);
+
+        expect(ship.x).toBeLessThan(0);
+        expect(ship.y).toBe(CONFIG.GAMEPLAY.mysteryShipY);
+    });
+
+    test('enters from the right when flying left', () => {
+        const ship = new MysteryShip(-1);
+
+        expect(ship.x).toBeGreaterThan(CONFIG.CANVAS.width);
+    });
+
+    test('isOffScreen once it crosses the far edge', () => {
+        const ship = new MysteryShip(1);
+
+        expect(ship.isOffScreen(800)).toBe(false);
+        ship.x = 900;
+        expect(ship.isOffScreen(800)).toBe(true);
+    });
+});
+
+describe('FloatingText', () => {
+    test('rises and expires after its lifetime', () => {
+        const text = new FloatingText(100, 100, '+50', '#ffffff');
+
+        text.update(0.5);
+        expect(text.y).toBeLessThan(100);
+        expect(text.isExpired()).toBe(false);
+
+        text.update(0.6);
+        expect(text.isExpired()).toBe(true);
+    });
+});
+
+describe('Boss', () => {
+    let boss;
+
+    beforeEach(() => {
+        boss = new Boss(400, 80, 30);
+    });
+
+    test('applies roster options', () => {
+        const custom = new Boss(400, 80, 30, { width: 128, speed: 70, rewardScore: 900, name: 'TEST' });
+        expect(custom.width).toBe(128);
+        expect(custom.speed).toBe(70);
+        expect(custom.rewardScore).toBe(900);
+        expect(custom.rewardPower).toBe(CONFIG.GAMEPLAY.bossRewardPower);
+    });
+
+    test('starts in the first phase', () => {
+        expect(boss.phaseIndex).toBe(0);
+        expect(boss.getPhase()).toBe(BOSS_PHASES[0]);
+    });
+
+    test('advances phase as HP drops', () => {
+        boss.takeDamage(12); // 60% HP
+        boss.update(0.01);
+
+        expect(boss.phaseIndex).toBe(1);
+        expect(boss.consumePhaseChange()).toBe(true);
+        expect(boss.consumePhaseChange()).toBe(false);
+        expect(boss.phaseFlash).toBeGreaterThan(0);
+    });
+
+    test('can skip straight to final phase', () => {
+        boss.takeDamage(25);
+        boss.update(0.01);
+
+        expect(boss.phaseIndex).toBe(BOSS_PHASES.length - 1);
+    });
+
+    test('aimed pattern fires toward the target', () => {
+        boss.fireTimer = 0;
+
+        const bullets = boss.updateAttack(0.01, 400, 500);
+
+        expect(bullets.length).toBe(3);
+        expect(bullets[1].velocityY).toBeGreaterThan(0);
+        expect(Math.abs(bullets[1].velocityX)).toBeLessThan(1);
+    });
+
+    test('radial pattern fires a full circle', () => {
+        boss.phaseIndex = 1;
+        boss.fireTimer = 0;
+
+        const bullets = boss.updateAttack(0.01, 400, 500);
+
+        expect(bullets.length).toBe(12);
+        expect(bullets.some(b => b.velocityY < 0)).toBe(true);
+        expect(bullets.some(b => b.velocityY > 0)).toBe(true);
+    });
+
+    test('dash movement charges toward the target after pausing', () => {
+        boss.phaseIndex = 2;
+        boss.dashPause = 0;
+
+        boss.updateDash(0.01, 600);
+        boss.updateDash(0.1, 600);
+
+        expect(boss.x).toBeGreaterThan(400);
+    });
+
+    test('does not attack while dying', () => {
+        boss.takeDamage(30);
+        boss.fireTimer = 0;
+
+        expect(boss.updateAttack(0.01, 400, 500)).toEqual([]);
+    });
+
+    test('shows the hurt frame briefly when hit', () => {
+        boss.takeDamage(1);
+        expect(boss.animation.getFrame()).toBe('hurt');
+
+        boss.update(boss.hitFlashDuration / 1000);
+        expect(boss.animation.getFrame()).toBe('idle');
+    });
+});
+
+describe('Enemy', () => {
+    test('marches in step with the rest of the formation', () => {
+        const a = new Enemy(0, 0);
+        const b = new Enemy(60, 0);
+
+        a.update(0.5);
+        b.update(0.5);
+
+        expect(a.animation.getFrame()).toBe('march1');
+        expect(b.animation.getFrame()).toBe(a.animation.getFrame());
+    });
+});
+
+describe('EnemyBullet', () => {
+    test('defaults to downward config speed', () => {
+        const bullet = new EnemyBullet(100, 100);
+
+        expect(bullet.velocityY).toBe(CONFIG.GAMEPLAY.enemyBulletSpeed);
+        expect(bullet.velocityY).toBeGreaterThan(0);
+    });
+
+    test('uses enemy bullet dimensions', () => {
+        const bullet = new EnemyBullet(100, 100);
+
+        expect(bullet.width).toBe(CONFIG.SIZES.enemyBullet.width);
+        expect(bullet.height).toBe(CONFIG.SIZES.enemyBullet.height);
+    });
+
+    test('isOffScreen when leaving the sides', () => {
+        const bullet = new EnemyBullet(-50, 300, 0, -100);
+
+        expect(bullet.isOffScreen(600, 800)).toBe(true);
+    });
+
+    test('update moves bullet along both axes', () => {
+        const bullet = new EnemyBullet(100, 100, 200, -100);
+
+        bullet.update(0.1);
+
+        expect(bullet.x).toBeCloseTo(90, 5);
+        expect(bullet.y).toBeCloseTo(120, 5);
+    });
+});
+
 describe('InputSystem', () => {
     let input;
 
@@ -354,8 +716,327 @@ describe('InputSystem', () => {
         expect(input.isGameKey('KeyE')).toBe(true);
     });
 
+    test('isGameKey includes ammo switch keys', () => {
+        expect(input.isGameKey('Digit1')).toBe(true);
+        expect(input.isGameKey('KeyQ')).toBe(true);
+    });
+
     test('isGameKey returns false for non-game keys', () => {
         expect(input.isGameKey('KeyZ')).toBe(false);
         expect(input.isGameKey('F1')).toBe(false);
     });
+
+    describe('gamepad', () => {
+        let pad;
+
+        /**
+         * Creates a standard-mapping pad with nothing pressed
+         * @returns {Object} Fake gamepad
+         */
+        function createPad() {
+            return {
+                connected: true,
+                axes: [0, 0],
+                buttons: Array.from({ length: 17 }, () => ({ pressed: false }))
+            };
+        }
+
+        beforeEach(() => {
+            pad = createPad();
+            input.readGamepads = () => [pad];
+        });
+
+        test('face buttons map to actions', () => {
+            pad.buttons[CONFIG.GAMEPAD.buttons.shoot[0]].pressed = true;
+            input.poll();
+
+            expect(input.isPressed('shoot')).toBe(true);
+            expect(input.justPressed('shoot')).toBe(true);
+        });
+
+        test('stick moves only past the deadzone', () => {
+            pad.axes[CONFIG.GAMEPAD.moveAxis] = -CONFIG.GAMEPAD.deadzone / 2;
+            input.poll();
+            expect(input.isPressed('left')).toBe(false);
+
+            pad.axes[CONFIG.GAMEPAD.moveAxis] = -(CONFIG.GAMEPAD.deadzone + 0.1);
+            input.poll();
+            expect(input.isPressed('left')).toBe(true);
+        });
+
+        test('d-pad moves', () => {
+            pad.buttons[CONFIG.GAMEPAD.buttons.right[0]].pressed = true;
+            input.poll();
+            expect(input.isPressed('right')).toBe(true);
+        });
+
+        test('just pressed fires once per press', () => {
+            pad.buttons[CONFIG.GAMEPAD.buttons.pause[0]].pressed = true;
+            input.poll();
+            input.update();
+            input.poll();
+
+            expect(input.isPressed('pause')).toBe(true);
+            expect(input.justPressed('pause')).toBe(false);
+        });
+
+        test('release is reported', () => {
+            pad.buttons[CONFIG.GAMEPAD.buttons.shoot[0]].pressed = true;
+            input.poll();
+            input.update();
+            pad.buttons[CONFIG.GAMEPAD.buttons.shoot[0]].pressed = false;
+            input.poll();
+
+            expect(input.justReleased('shoot')).toBe(true);
+        });
+
+        test('raw buttons are available for menus', () => {
+            pad.buttons[CONFIG.GAMEPAD.menuDown].pressed = true;
+            input.poll();
+            expect(input.padButtonJustPressed(CONFIG.GAMEPAD.menuDown)).toBe(true);
+        });
+    });
+    describe('touch', () => {
+        beforeEach(() => {
+            input.readGamepads = () => [];
+            TouchControls.setPlayControls(true);
+        });
+
+        test('held touch buttons count as actions', () => {
+            const fire = TouchControls.getButtons().find(b => b.action === 'shoot');
+            TouchControls.startTouch(1, fire.x, fire.y);
+            input.poll();
+
+            expect(input.isPressed('shoot')).toBe(true);
+            expect(input.justPressed('shoot')).toBe(true);
+
+            TouchControls.touches.delete(1);
+            input.update();
+            input.poll();
+            expect(input.justReleased('shoot')).toBe(true);
+        });
+    });
+});
+
+describe('TouchControls', () => {
+    const stickX = 100;
+    const stickY = CONFIG.CANVAS.height - 100;
+
+    beforeEach(() => {
+        TouchControls.setPlayControls(true);
+    });
+
+    test('stick moves only past the deadzone', () => {
+        TouchControls.startTouch(1, stickX, stickY);
+        const stick = TouchControls.touches.get(1);
+
+        stick.x = stickX - CONFIG.TOUCH.stickDeadzone / 2;
+        expect(TouchControls.getActions().size).toBe(0);
+
+        stick.x = stickX - CONFIG.TOUCH.stickDeadzone - 5;
+        expect(TouchControls.getActions().has('left')).toBe(true);
+
+        stick.x = stickX + CONFIG.TOUCH.stickRadius * 3;
+        expect(TouchControls.getActions().has('right')).toBe(true);
+        expect(TouchControls.getStickOffset(stick)).toBe(CONFIG.TOUCH.stickRadius);
+    });
+
+    test('buttons and stick work together', () => {
+        const power = TouchControls.getButtons().find(b => b.action === 'power');
+        TouchControls.startTouch(1, stickX, stickY);
+        TouchControls.touches.get(1).x = stickX + 40;
+        TouchControls.startTouch(2, power.x, power.y);
+
+        const actions = TouchControls.getActions();
+        expect(actions.has('right')).toBe(true);
+        expect(actions.has('power')).toBe(true);
+    });
+
+    test('touches outside the controls are ignored while playing', () => {
+        TouchControls.startTouch(1, CONFIG.CANVAS.width / 2, 20);
+        expect(TouchControls.touches.size).toBe(0);
+    });
+
+    test('outside play, touches are reported as taps', () => {
+        const taps = [];
+        const listener = (x, y) => taps.push([x, y]);
+        TouchControls.setPlayControls(false);
+        TouchControls.addTapListener(listener);
+
+        TouchControls.startTouch(1, 30, 40);
+        TouchControls.removeTapListener(listener);
+        TouchControls.startTouch(2, 50, 60);
+
+        expect(taps).toEqual([[30, 40]]);
+        expect(TouchControls.getActions().size).toBe(0);
+    });
+});
+
+
+describe('PointerInput', () => {
+    let playState;
+    let pointer;
+
+    /**
+     * Creates a mouse event at a canvas x
+     * @param {number} x - Canvas x
+     * @param {number} button - Mouse button
+     * @returns {Object} Fake pointer event
+     */
+    function mouseEvent(x, button = 0) {
+        return { pointerType: 'mouse', clientX: x, button, preventDefault: () => {} };
+    }
+
+    beforeEach(() => {
+        playState = { paused: false, player: { x: 400, speed: CONFIG.GAMEPLAY.playerSpeed } };
+        pointer = new PointerInput(playState);
+        pointer.canvas = {
+            getBoundingClientRect: () => ({ left: 0, top: 0, width: CONFIG.CANVAS.width, height: CONFIG.CANVAS.height })
+        };
+    });
+
+    test('steers toward the pointer and stops when lined up', () => {
+        pointer.handlePointerMove(mouseEvent(100));
+        pointer.advance();
+        expect(pointer.isPressed('left')).toBe(true);
+
+        pointer.handlePointerMove(mouseEvent(400.5));
+        pointer.advance();
+        expect(pointer.isPressed('left')).toBe(false);
+        expect(pointer.isPressed('right')).toBe(false);
+    });
+
+    test('movement is capped by the player speed', () => {
+        const player = new Player(400, 500);
+        playState.player = player;
+        pointer.handlePointerMove(mouseEvent(0));
+        pointer.advance();
+        player.update(1 / CONFIG.TIMING.tickRate, pointer, CONFIG.CANVAS.width);
+
+        expect(400 - player.x).toBeCloseTo(CONFIG.GAMEPLAY.playerSpeed / CONFIG.TIMING.tickRate);
+    });
+
+    test('left click fires and right click triggers power', () => {
+        pointer.handlePointerDown(mouseEvent(400, 0));
+        pointer.handlePointerDown(mouseEvent(400, 2));
+        pointer.advance();
+
+        expect(pointer.justPressed('shoot')).toBe(true);
+        expect(pointer.justPressed('power')).toBe(true);
+
+        pointer.handlePointerUp(mouseEvent(400, 0));
+        pointer.advance();
+        expect(pointer.justReleased('shoot')).toBe(true);
+        expect(pointer.isPressed('power')).toBe(true);
+    });
+
+    test('a click released before the next tick still counts', () => {
+        pointer.handlePointerDown(mouseEvent(400, 0));
+        pointer.handlePointerUp(mouseEvent(400, 0));
+        pointer.advance();
+        expect(pointer.justPressed('shoot')).toBe(true);
+
+        pointer.advance();
+        expect(pointer.isPressed('shoot')).toBe(false);
+    });
+
+    test('wheel cycles the beer', () => {
+        pointer.handleWheel({ deltaY: 100, preventDefault: () => {} });
+        pointer.advance();
+        expect(pointer.justPressed('cycleAmmo')).toBe(true);
+    });
+
+    test('touches and presses while paused are ignored', () => {
+        pointer.handlePointerDown({ ...mouseEvent(400), pointerType: 'touch' });
+        playState.paused = true;
+        pointer.handlePointerDown(mouseEvent(400));
+        pointer.advance();
+
+        expect(pointer.isPressed('shoot')).toBe(false);
+    });
+
+    test('a lined-up pointer lets go of steering', () => {
+        pointer.handlePointerMove(mouseEvent(400));
+        pointer.advance();
+        playState.player.x = 200; // Moved away with the keyboard
+        pointer.advance();
+
+        expect(pointer.isPressed('right')).toBe(false);
+    });
+
+    test('merges with the keyboard in InputSystem', () => {
+        const input = new InputSystem();
+        input.setPointer(pointer);
+
+        pointer.handlePointerDown(mouseEvent(100, 0));
+        input.handleKeyDown({ code: CONFIG.KEYS.cycleAmmo[0], preventDefault: () => {} });
+        input.poll();
+
+        expect(input.justPressed('shoot')).toBe(true);
+        expect(input.isPressed('left')).toBe(true);
+        expect(input.justPressed('cycleAmmo')).toBe(true);
+
+        input.update();
+        pointer.handlePointerUp(mouseEvent(100, 0));
+        input.poll();
+        expect(input.justReleased('shoot')).toBe(true);
+    });
+});
+
+describe('Animation', () => {
+    test('loops through its frames', () => {
+        const animation = new Animation(['a', 'b'], { frameDuration: 100 });
+
+        animation.update(0.15);
+        expect(animation.getFrame()).toBe('b');
+        animation.update(0.1);
+        expect(animation.getFrame()).toBe('a');
+        expect(animation.isFinished()).toBe(false);
+    });
+
+    test('one-shot holds its last frame and finishes', () => {
+        const animation = new Animation(['a', 'b'], { frameDuration: 100, loop: false });
+
+        animation.update(0.15);
+        expect(animation.isFinished()).toBe(false);
+        animation.update(1);
+        expect(animation.getFrame()).toBe('b');
+        expect(animation.isFinished()).toBe(true);
+    });
+
+    test('play restarts with the new frames', () => {
+        const animation = new Animation(['a', 'b'], { frameDuration: 100 });
+        animation.update(0.15);
+
+        animation.play(['c'], { loop: false });
+        expect(animation.getFrame()).toBe('c');
+        expect(animation.elapsed).toBe(0);
+    });
+});
+
+describe('SpriteSheet', () => {
+    const data = {
+        frames: {
+            idle: { frame: { x: 0, y: 0, w: 10, h: 20 } },
+            hurt: { frame: { x: 10, y: 0, w: 10, h: 20 } }
+        },
+        meta: { image: 'test.png' }
+    };
+
+    test('draws the named frame stretched to the destination', () => {
+        const image = {};
+        const sheet = new SpriteSheet(image, data);
+        const calls = [];
+        const ctx = { drawImage: (...args) => calls.push(args) };
+
+        sheet.draw(ctx, 'hurt', 5, 6, 40, 80);
+        expect(calls).toEqual([[image, 10, 0, 10, 20, 5, 6, 40, 80]]);
+    });
+
+    test('unknown frames fall back to the first frame', () => {
+        const sheet = new SpriteSheet({}, data);
+
+        expect(sheet.has('march0')).toBe(false);
+        expect(sheet.getFrame('march0')).toEqual(data.frames.idle.frame);
+    });
 });
@@ -0,0 +1,386 @@
+/**
+ * TURIA INVADERS - Game Loop Tests
+ * Unit tests for the fixed-timestep loop, state stack and pause menu
+ */
+
+import { describe, expect, test, beforeEach, afterEach } from 'bun:test';
+import { Game } from '../js/Game.js';
+import { PauseState, PAUSE_OPTIONS } from '../js/states/PauseState.js';
+import { SettingsState, SLOT_COUNT } from '../js/states/SettingsState.js';
+import { PlayState } from '../js/states/PlayState.js';
+import { DEFAULT_KEYS } from '../js/systems/SettingsSystem.js';
+import { CONFIG } from '../js/config.js';
+import { Camera } from '../js/Camera.js';
+
+/**
+ * Creates a canvas stand-in - the loop tests never draw
+ * @returns {Object} Minimal canvas
+ */
+function createFakeCanvas() {
+    return { getContext: () => ({}) };
+}
+
+describe('Game fixed timestep', () => {
+    let game;
+    let ticks;
+
+    beforeEach(() => {
+        game = new Game(createFakeCanvas());
+        ticks = [];
+        game.registerState('test', { update: (dt) => ticks.push(dt) });
+        game.changeState('test');
+    });
+
+    test('runs one tick per fixed step of elapsed time', () => {
+        const steps = game.advance(game.fixedStep * 3);
+        expect(steps).toBe(3);
+        expect(ticks.every(dt => dt === game.fixedStep)).toBe(true);
+    });
+
+    test('carries leftover time to the next frame', () => {
+        expect(game.advance(game.fixedStep * 0.5)).toBe(0);
+        expect(game.alpha).toBeCloseTo(0.5);
+        expect(game.advance(game.fixedStep * 0.5)).toBe(1);
+    });
+
+    test('same elapsed time gives same tick count at any frame rate', () => {
+        const at60 = new Game(createFakeCanvas());
+        const at144 = new Game(createFakeCanvas());
+        let steps60 = 0;
+        let steps144 = 0;
+
+        for (let i = 0; i < 60; i++) steps60 += at60.advance(1 / 60);
+        for (let i = 0; i < 144; i++) steps144 += at144.advance(1 / 144);
+
+        expect(Math.abs(steps60 - CONFIG.TIMING.tickRate)).toBeLessThanOrEqual(1);
+        expect(Math.abs(steps144 - CONFIG.TIMING.tickRate)).toBeLessThanOrEqual(1);
+    });
+});
+
+describe('Game state stack', () => {
+    let game;
+    let calls;
+
+    /**
+     * Creates a state that logs its lifecycle calls
+     * @param {string} name - Name used in the log
+     * @returns {Object} State
+     */
+    function createLoggingState(name) {
+        return {
+            enter: () => calls.push(`${name}:enter`),
+            exit: () => calls.push(`${name}:exit`),
+            suspend: () => calls.push(`${name}:suspend`),
+            resume: () => calls.push(`${name}:resume`),
+            update: () => calls.push(`${name}:update`),
+            render: () => calls.push(`${name}:render`)
+        };
+    }
+
+    beforeEach(() => {
+        game = new Game(createFakeCanvas());
+        game.ctx = {
+            fillRect: () => {},
+            createLinearGradient: () => ({ addColorStop: () => {} }),
+            beginPath: () => {},
+            arc: () => {},
+            fill: () => {},
+            save: () => {},
+            restore: () => {},
+            translate: () => {},
+            rotate: () => {},
+            scale: () => {}
+        };
+        calls = [];
+        game.registerState('play', createLoggingState('play'));
+        game.registerState('pause', createLoggingState('pause'));
+        game.changeState('play');
+        calls = [];
+    });
+
+    test('pushState suspends the state underneath without exiting it', () => {
+        game.pushState('pause');
+        expect(calls).toEqual(['play:suspend', 'pause:enter']);
+        expect(game.currentState).toBe(game.states.pause);
+    });
+
+    test('only the top state updates, but every stacked state renders', () => {
+        game.pushState('pause');
+        calls = [];
+
+        game.update(game.fixedStep);
+        game.render();
+
+        expect(calls).toEqual(['pause:update', 'play:render', 'pause:render']);
+    });
+
+    test('popState exits the overlay and resumes the state underneath', () => {
+        game.pushState('pause');
+        calls = [];
+
+        game.popState();
+        expect(calls).toEqual(['pause:exit', 'play:resume']);
+        expect(game.currentState).toBe(game.states.play);
+    });
+
+    test('changeState exits every stacked state', () => {
+        game.pushState('pause');
+        calls = [];
+
+        game.changeState('play');
+        expect(calls).toEqual(['pause:exit', 'play:exit', 'play:enter']);
+        expect(game.stateStack.length).toBe(1);
+    });
+
+    test('toasts expire after their duration', () => {
+        game.showToast('GAMEPAD CONNECTED');
+        expect(game.toast.message).toBe('GAMEPAD CONNECTED');
+
+        game.update(game.toastDuration / 1000 + 0.01);
+        expect(game.toast).toBeNull();
+    });
+
+    test('freezing overlays hold the starfield still', () => {
+        game.states.pause.freezeBackground = true;
+        game.pushState('pause');
+        const before = game.stars.map(star => star.y);
+
+        game.update(0.5);
+        expect(game.stars.map(star => star.y)).toEqual(before);
+    });
+
+    test('the same seed lays out the same starfield', () => {
+        const other = new Game(createFakeCanvas());
+        game.seedStars(42);
+        other.seedStars(42);
+
+        expect(other.stars).toEqual(game.stars);
+        expect(game.stars).toHaveLength(100);
+    });
+});
+
+describe('PauseState', () => {
+    let game;
+    let pause;
+
+    beforeEach(() => {
+        game = new Game(createFakeCanvas());
+        pause = new PauseState();
+        game.registerState('pause', pause);
+    });
+
+    test('selection wraps around', () => {
+        pause.moveSelection(-1);
+        expect(PAUSE_OPTIONS[pause.selectedIndex].id).toBe('quit');
+    });
+
+    test('skips settings when no settings state is registered', () => {
+        pause.selectedIndex = 1; // Restart
+        pause.moveSelection(1);
+        expect(PAUSE_OPTIONS[pause.selectedIndex].id).toBe('quit');
+    });
+
+    test('resume pops the overlay', () => {
+        const play = { resume: () => { play.resumed = true; } };
+        game.registerState('play', play);
+        game.changeState('play');
+        game.pushState('pause');
+
+        pause.select();
+        expect(game.currentState).toBe(play);
+        expect(play.resumed).toBe(true);
+    });
+});
+
+describe('SettingsState', () => {
+    const originalLocalStorage = globalThis.localStorage;
+    let settings;
+
+    /**
+     * Sends a key press to the settings screen
+     * @param {string} code - Key code
+     */
+    function press(code) {
+        settings.handleKeyDown({ code, preventDefault: () => {} });
+    }
+
+    beforeEach(() => {
+        globalThis.localStorage = { setItem: () => {}, getItem: () => null };
+        settings = new SettingsState();
+        settings.selectedRow = settings.getRows().indexOf('power');
+    });
+
+    afterEach(() => {
+        settings.settings.resetToDefaults();
+        globalThis.localStorage = originalLocalStorage;
+    });
+
+    test('has a slot for every default key', () => {
+        for (const codes of Object.values(DEFAULT_KEYS)) {
+            expect(codes.length).toBeLessThanOrEqual(SLOT_COUNT);
+        }
+    });
+
+    test('every default power key can be selected and rebound', () => {
+        const defaults = DEFAULT_KEYS.power;
+
+        for (let slot = 0; slot < defaults.length; slot++) {
+            expect(settings.selectedSlot).toBe(slot);
+            expect(CONFIG.KEYS.power[slot]).toBe(defaults[slot]);
+            press('ArrowRight');
+        }
+
+        // Back to the last slot - the second shift key - and rebind it
+        press('ArrowLeft');
+        press('Enter');
+        press('KeyB');
+        expect(CONFIG.KEYS.power).toEqual([...defaults.slice(0, -1), 'KeyB']);
+    });
+
+    test('the last default power key can be cleared', () => {
+        settings.selectedSlot = DEFAULT_KEYS.power.length - 1;
+        press('Delete');
+        expect(CONFIG.KEYS.power).toEqual(DEFAULT_KEYS.power.slice(0, -1));
+    });
+});
+
+describe('PlayState HUD labels', () => {
+    const originalKeys = JSON.parse(JSON.stringify(CONFIG.KEYS));
+    let play;
+
+    beforeEach(() => {
+        play = new PlayState();
+    });
+
+    afterEach(() => {
+        Object.assign(CONFIG.KEYS, JSON.parse(JSON.stringify(originalKeys)));
+    });
+
+    test('power ready text names the bound key', () => {
+        expect(play.getPowerReadyLabel()).toBe('READY! [E]');
+
+        CONFIG.KEYS.power = ['KeyF'];
+        expect(play.getPowerReadyLabel()).toBe('READY! [F]');
+    });
+
+    test('ammo label lists the bound beer and cycle keys', () => {
+        expect(play.getAmmoLabel()).toBe('AMMO [1/2/3/Q/R]');
+
+        CONFIG.KEYS.cycleAmmo = ['KeyC'];
+        expect(play.getAmmoLabel()).toBe('AMMO [1/2/3/C]');
+    });
+});
+
+describe('Camera', () => {
+    let camera;
+
+    beforeEach(() => {
+        camera = new Camera();
+    });
+
+    test('no trauma means no shake', () => {
+        camera.update(0.5);
+        expect(camera.getShake()).toEqual({ x: 0, y: 0, angle: 0 });
+    });
+
+    test('trauma is capped and decays to zero', () => {
+        camera.addTrauma(0.8);
+        camera.addTrauma(0.8);
+        expect(camera.trauma).toBe(1);
+
+        camera.update(1 / CONFIG.CAMERA.traumaDecay);
+        expect(camera.trauma).toBe(0);
+    });
+
+    test('shake stays within the configured limits', () => {
+        camera.addTrauma(1);
+        for (let i = 0; i < 50; i++) {
+            camera.time = i * 0.013;
+            const shake = camera.getShake();
+            expect(Math.abs(shake.x)).toBeLessThanOrEqual(CONFIG.CAMERA.maxShakeOffset);
+            expect(Math.abs(shake.angle)).toBeLessThanOrEqual(CONFIG.CAMERA.maxShakeAngle);
+        }
+    });
+
+    test('zoom pulse peaks midway and returns to 1', () => {
+        camera.zoomPulse(1.5, 100, 100, 1000);
+        camera.update(0.5);
+        expect(camera.getZoom()).toBeCloseTo(1.5);
+
+        camera.update(0.5);
+        expect(camera.getZoom()).toBe(1);
+    });
+
+    test('overlapping hit-stops keep the longest', () => {
+        camera.hitStop(50);
+        camera.hitStop(20);
+        expect(camera.hitStopTimer).toBe(50);
+    });
+});
+
+describe('Game camera', () => {
+    let game;
+    let ticks;
+
+    beforeEach(() => {
+        game = new Game(createFakeCanvas());
+        ticks = 0;
+        game.registerState('test', { update: () => ticks++ });
+        game.registerState('overlay', { freezeBackground: true, update: () => ticks++ });
+        game.changeState('test');
+    });
+
+    test('hit-stop skips world ticks until it runs out', () => {
+        game.camera.hitStop(game.fixedStep * 1000 * 2);
+        game.advance(game.fixedStep * 4);
+        expect(ticks).toBe(2);
+    });
+
+    test('overlays keep updating during a hit-stop', () => {
+        game.camera.hitStop(1000);
+        game.pushState('overlay');
+        game.advance(game.fixedStep * 3);
+        expect(ticks).toBe(3);
+    });
+
+    test('state HUD passes and overlays draw outside the camera', () => {
+        // Tracks whether the camera transform is in effect, through save/restore
+        const stack = [];
+        let transformed = false;
+        const seen = [];
+        game.ctx = {
+            fillRect: () => {},
+            createLinearGradient: () => ({ addColorStop: () => {} }),
+            beginPath: () => {},
+            arc: () => {},
+            fill: () => {},
+            save: () => stack.push(transformed),
+            restore: () => {
+                transformed = stack.pop();
+            },
+            translate: () => {
+                transformed = true;
+            },
+            rotate: () => {},
+            scale: () => {}
+        };
+
+        game.states.test.render = () => seen.push(['world', transformed]);
+        game.states.test.renderOverlay = () => seen.push(['hud', transformed]);
+        game.states.overlay.render = () => seen.push(['overlay', transformed]);
+        game.pushState('overlay');
+        game.shake(1);
+        game.render();
+
+        expect(seen).toEqual([['world', true], ['hud', false], ['overlay', false]]);
+        expect(stack).toHaveLength(0);
+    });
+
+    test('shake adds trauma and state changes clear it', () => {
+        game.shake(0.5);
+        expect(game.camera.trauma).toBe(0.5);
+
+        game.changeState('test');
+        expect(game.camera.trauma).toBe(0);
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * TURIA INVADERS - Random Tests
+ * Unit tests for the seedable PRNG
+ */
+
+import { describe, expect, test } from 'bun:test';
+import { Random, parseSeed } from '../js/Random.js';
+import { randomInt, randomRange } from '../js/utils.js';
+
+describe('Random', () => {
+    test('same seed gives the same sequence', () => {
+        const a = new Random(1234);
+        const b = new Random(1234);
+
+        for (let i = 0; i < 100; i++) {
+            expect(a.random()).toBe(b.random());
+        }
+    });
+
+    test('different seeds give different sequences', () => {
+        const a = new Random(1);
+        const b = new Random(2);
+        expect(a.random()).not.toBe(b.random());
+    });
+
+    test('values are in [0, 1)', () => {
+        const rng = new Random(42);
+        for (let i = 0; i < 1000; i++) {
+            const value = rng.random();
+            expect(value).toBeGreaterThanOrEqual(0);
+            expect(value).toBeLessThan(1);
+        }
+    });
+
+    test('setSeed restarts the sequence', () => {
+        const rng = new Random(7);
+        const first = rng.random();
+        rng.random();
+        rng.setSeed(7);
+        expect(rng.random()).toBe(first);
+        expect(rng.getSeed()).toBe(7);
+    });
+
+    test('works as a source for randomRange and randomInt', () => {
+        const a = new Random(99);
+        const b = new Random(99);
+        expect(randomRange(5, 10, a)).toBe(randomRange(5, 10, b));
+        expect(randomInt(1, 6, a)).toBe(randomInt(1, 6, b));
+    });
+});
+
+describe('parseSeed', () => {
+    test('parses non-negative integers', () => {
+        expect(parseSeed('12345')).toBe(12345);
+    });
+
+    test('rejects missing or invalid input', () => {
+        expect(parseSeed(null)).toBeNull();
+        expect(parseSeed('')).toBeNull();
+        expect(parseSeed('abc')).toBeNull();
+        expect(parseSeed('-3')).toBeNull();
+        expect(parseSeed('1.5')).toBeNull();
+    });
+});
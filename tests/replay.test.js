@@ -0,0 +1,121 @@
+/**
+ * TURIA INVADERS - Replay Tests
+ * Unit tests for replay recording, playback and config snapshots
+ */
+
+import { describe, expect, test, beforeEach } from 'bun:test';
+import {
+    ReplayRecorder,
+    ReplayPlayer,
+    REPLAY_VERSION,
+    parseReplay,
+    applyConfigSnapshot,
+    restoreConfig
+} from '../js/systems/ReplaySystem.js';
+import { InputSystem } from '../js/systems/InputSystem.js';
+import { CONFIG } from '../js/config.js';
+
+describe('ReplayRecorder', () => {
+    let input;
+    let recorder;
+
+    beforeEach(() => {
+        input = new InputSystem();
+        recorder = new ReplayRecorder(42, { playerName: 'TESTER' });
+    });
+
+    test('run-length encodes identical ticks', () => {
+        for (let i = 0; i < 10; i++) {
+            recorder.record(input);
+        }
+
+        const replay = recorder.toJSON();
+        expect(replay.ticks).toBe(10);
+        expect(replay.inputs).toEqual([[0, 0, 10]]);
+    });
+
+    test('stores seed, player, config and action names', () => {
+        const replay = recorder.toJSON();
+        expect(replay.version).toBe(REPLAY_VERSION);
+        expect(replay.seed).toBe(42);
+        expect(replay.playerName).toBe('TESTER');
+        expect(replay.config.GAMEPLAY.bossHP).toBe(CONFIG.GAMEPLAY.bossHP);
+        expect(replay.actions).toEqual(Object.keys(CONFIG.KEYS));
+    });
+});
+
+describe('ReplayPlayer', () => {
+    test('plays back the recorded action states tick by tick', () => {
+        const input = new InputSystem();
+        const recorder = new ReplayRecorder(1);
+
+        recorder.record(input);
+        input.keys['Space'] = true;
+        input.justPressedKeys['Space'] = true;
+        recorder.record(input);
+        input.justPressedKeys = {};
+        recorder.record(input);
+        input.keys['Space'] = false;
+        recorder.record(input);
+
+        const playback = new InputSystem();
+        playback.setSource(new ReplayPlayer(recorder.toJSON()));
+        const seen = [];
+
+        for (let i = 0; i < 4; i++) {
+            playback.poll();
+            seen.push([
+                playback.isPressed('shoot'),
+                playback.justPressed('shoot'),
+                playback.justReleased('shoot')
+            ]);
+        }
+
+        expect(seen).toEqual([
+            [false, false, false],
+            [true, true, false],
+            [true, false, false],
+            [false, false, true]
+        ]);
+    });
+
+    test('gives empty input after the recording ends', () => {
+        const player = new ReplayPlayer({ actions: ['left'], inputs: [[1, 0, 1]] });
+        player.advance();
+        expect(player.isPressed('left')).toBe(true);
+        expect(player.isFinished()).toBe(true);
+
+        player.advance();
+        expect(player.isPressed('left')).toBe(false);
+    });
+});
+
+describe('parseReplay', () => {
+    test('round-trips a recorded replay', () => {
+        const recorder = new ReplayRecorder(7);
+        recorder.record(new InputSystem());
+
+        const replay = parseReplay(JSON.stringify(recorder.toJSON()));
+        expect(replay.seed).toBe(7);
+    });
+
+    test('rejects invalid files', () => {
+        expect(() => parseReplay('not json')).toThrow('not valid JSON');
+        expect(() => parseReplay('{"version": 999}')).toThrow('Unsupported replay version');
+        expect(() => parseReplay(`{"version": ${REPLAY_VERSION}}`)).toThrow('missing run data');
+    });
+});
+
+describe('config snapshots', () => {
+    test('applies and restores simulation config', () => {
+        const original = CONFIG.GAMEPLAY.bossHP;
+        const snapshot = JSON.parse(JSON.stringify(CONFIG));
+        snapshot.GAMEPLAY.bossHP = original + 5;
+
+        const previous = applyConfigSnapshot(snapshot);
+        expect(CONFIG.GAMEPLAY.bossHP).toBe(original + 5);
+
+        restoreConfig(previous);
+        expect(CONFIG.GAMEPLAY.bossHP).toBe(original);
+    });
+});
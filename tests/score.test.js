@@ -1,11 +1,12 @@
 /**
  * TURIA INVADERS - Score/LocalStorage Tests
- * Tests for scoreboard persistence
+ * Tests for scoreboard and settings persistence
  * Note: localStorage tests will show warnings in Node/Bun but still pass
  */
 
-import { describe, expect, test, beforeEach } from 'bun:test';
+import { describe, expect, test, beforeEach, afterEach } from 'bun:test';
 import { ScoreSystem } from '../js/systems/ScoreSystem.js';
+import { SettingsSystem, DEFAULT_KEYS, formatKeyCode } from '../js/systems/SettingsSystem.js';
 import { CONFIG } from '../js/config.js';
 
 // Mock localStorage for testing
@@ -189,3 +190,114 @@ describe('ScoreSystem - Integration', () => {
         expect(scoreSystem.getPowerPercentage()).toBe(1);
     });
 });
+
+describe('SettingsSystem', () => {
+    let settings;
+
+    beforeEach(() => {
+        globalThis.localStorage = mockLocalStorage;
+        mockLocalStorage.clear();
+        settings = new SettingsSystem();
+    });
+
+    afterEach(() => {
+        settings.resetToDefaults();
+        globalThis.localStorage = originalLocalStorage;
+    });
+
+    test('setBinding replaces a slot and saves', () => {
+        expect(settings.setBinding('shoot', 0, 'KeyJ')).toBeNull();
+        expect(CONFIG.KEYS.shoot).toEqual(['KeyJ']);
+        expect(JSON.parse(mockStorage.turiaSettings).keys.shoot).toEqual(['KeyJ']);
+    });
+
+    test('setBinding adds an alternate key', () => {
+        settings.setBinding('shoot', 1, 'KeyJ');
+        expect(CONFIG.KEYS.shoot).toEqual(['Space', 'KeyJ']);
+    });
+
+    test('setBinding reports conflicts and changes nothing', () => {
+        expect(settings.setBinding('shoot', 0, 'ArrowLeft')).toBe('left');
+        expect(CONFIG.KEYS.shoot).toEqual(DEFAULT_KEYS.shoot);
+    });
+
+    test('setBinding swaps keys within the same action', () => {
+        settings.setBinding('left', 0, 'KeyA');
+        expect(CONFIG.KEYS.left).toEqual(['KeyA', 'ArrowLeft']);
+    });
+
+    test('clearBinding keeps at least one key', () => {
+        expect(settings.clearBinding('left', 1)).toBe(true);
+        expect(settings.clearBinding('left', 0)).toBe(false);
+        expect(CONFIG.KEYS.left).toEqual(['ArrowLeft']);
+    });
+
+    test('load applies saved bindings and ignores unknown actions', () => {
+        mockStorage.turiaSettings = JSON.stringify({
+            keys: { shoot: ['KeyK'], fly: ['KeyF'], left: 'bad' }
+        });
+
+        expect(settings.load()).toBe(true);
+        expect(CONFIG.KEYS.shoot).toEqual(['KeyK']);
+        expect(CONFIG.KEYS.fly).toBeUndefined();
+        expect(CONFIG.KEYS.left).toEqual(DEFAULT_KEYS.left);
+    });
+
+    test('resetToDefaults restores shipped bindings', () => {
+        settings.setBinding('shoot', 0, 'KeyJ');
+        settings.resetToDefaults();
+        expect(CONFIG.KEYS).toEqual(DEFAULT_KEYS);
+    });
+
+    test('control mode cycles, saves and resets', () => {
+        expect(settings.getControlMode()).toBe('keyboard');
+        expect(settings.cycleControlMode()).toBe('pointer');
+        expect(JSON.parse(mockStorage.turiaSettings).controlMode).toBe('pointer');
+
+        settings.resetToDefaults();
+        expect(CONFIG.CONTROL_MODE).toBe('keyboard');
+    });
+
+    test('load applies a saved control mode and ignores unknown ones', () => {
+        mockStorage.turiaSettings = JSON.stringify({ keys: {}, controlMode: 'pointer' });
+        settings.load();
+        expect(CONFIG.CONTROL_MODE).toBe('pointer');
+
+        mockStorage.turiaSettings = JSON.stringify({ keys: {}, controlMode: 'joystick' });
+        settings.load();
+        expect(CONFIG.CONTROL_MODE).toBe('pointer');
+    });
+
+    test('volumes step, clamp and save', () => {
+        settings.adjustVolume('sfxVolume', 1);
+        settings.adjustVolume('sfxVolume', 1);
+        settings.adjustVolume('sfxVolume', 1);
+        expect(settings.getVolume('sfxVolume')).toBe(1);
+        expect(JSON.parse(mockStorage.turiaSettings).audio.sfxVolume).toBe(1);
+
+        for (let i = 0; i < 12; i++) settings.adjustVolume('masterVolume', -1);
+        expect(settings.getVolume('masterVolume')).toBe(0);
+    });
+
+    test('mute toggles and resets', () => {
+        expect(settings.toggleMute()).toBe(true);
+        settings.resetToDefaults();
+        expect(settings.isMuted()).toBe(false);
+    });
+
+    test('load ignores out-of-range audio settings', () => {
+        mockStorage.turiaSettings = JSON.stringify({ audio: { masterVolume: 0.3, sfxVolume: 7, muted: 'yes' } });
+        settings.load();
+
+        expect(CONFIG.AUDIO.masterVolume).toBe(0.3);
+        expect(CONFIG.AUDIO.sfxVolume).toBe(0.8);
+        expect(CONFIG.AUDIO.muted).toBe(false);
+    });
+
+    test('formatKeyCode shortens key codes', () => {
+        expect(formatKeyCode('KeyA')).toBe('A');
+        expect(formatKeyCode('Digit1')).toBe('1');
+        expect(formatKeyCode('ArrowLeft')).toBe('LEFT');
+        expect(formatKeyCode(undefined)).toBe('---');
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * TURIA INVADERS - Simulation Tests
+ * Whole-game runs through the headless runner
+ */
+
+import { describe, expect, test, beforeEach } from 'bun:test';
+import { Simulation } from '../js/Simulation.js';
+
+describe('Simulation', () => {
+    test('bot run plays waves and reports a summary', () => {
+        const summary = new Simulation({ seed: 42, bot: true }).run(3000);
+
+        expect(summary.seed).toBe(42);
+        expect(summary.ticks).toBeLessThanOrEqual(3000);
+        expect(summary.kills).toBeGreaterThan(0);
+        expect(summary.score).toBeGreaterThan(0);
+        expect(summary.wave).toBeGreaterThanOrEqual(1);
+    });
+
+    test('same seed gives the same run', () => {
+        const a = new Simulation({ seed: 7, bot: true }).run(3000);
+        const b = new Simulation({ seed: 7, bot: true }).run(3000);
+        expect(a).toEqual(b);
+    });
+
+    test('idle run without a bot loses lives and scores nothing', () => {
+        const summary = new Simulation({ seed: 1 }).run(20000);
+        expect(summary.gameOver).toBe(true);
+        expect(summary.score).toBe(0);
+        expect(summary.lives).toBe(0);
+    });
+
+    test('replay of a finished run reproduces it exactly', () => {
+        const live = new Simulation({ seed: 99, bot: true });
+        const original = live.run(20000);
+        expect(live.result).not.toBeNull();
+
+        const replayed = new Simulation({ replay: live.result.replay }).run(20000);
+        expect(replayed.score).toBe(original.score);
+        expect(replayed.kills).toBe(original.kills);
+        expect(replayed.wave).toBe(original.wave);
+        expect(replayed.ticks).toBe(original.ticks);
+    });
+
+    describe('render interpolation holds still', () => {
+        let sim;
+        let player;
+
+        beforeEach(() => {
+            sim = new Simulation({ seed: 3 });
+            sim.start();
+            sim.game.update(sim.game.fixedStep);
+            player = sim.playState.player;
+            player.x += 10; // As if the last tick moved it
+        });
+
+        test('during a wave transition', () => {
+            sim.playState.startWaveTransition();
+            sim.game.update(sim.game.fixedStep);
+            expect(player.prevX).toBe(player.x);
+        });
+
+        test('during hit-stop', () => {
+            sim.game.camera.hitStop(1000);
+            sim.game.update(sim.game.fixedStep);
+            expect(player.prevX).toBe(player.x);
+        });
+
+        test('under the pause menu', () => {
+            sim.playState.suspend();
+            expect(player.prevX).toBe(player.x);
+        });
+    });
+});
@@ -1,15 +1,125 @@
 /**
  * TURIA INVADERS - System Tests
- * Unit tests for CollisionSystem and ScoreSystem
+ * Unit tests for CollisionSystem, SpatialHash and ScoreSystem
  */
 
 import { describe, expect, test, beforeEach } from 'bun:test';
 import { CollisionSystem } from '../js/systems/CollisionSystem.js';
+import { SpatialHash } from '../js/systems/SpatialHash.js';
 import { ScoreSystem } from '../js/systems/ScoreSystem.js';
-import { SpawnSystem } from '../js/systems/SpawnSystem.js';
+import { SpawnSystem, BOSS_ROSTER } from '../js/systems/SpawnSystem.js';
 import { Enemy, EnemyType, FormationController } from '../js/entities/Enemy.js';
-import { Bullet } from '../js/entities/Bullet.js';
+import { Bullet, EnemyBullet } from '../js/entities/Bullet.js';
+import { Player } from '../js/entities/Player.js';
+import { BeerType } from '../js/entities/BeerType.js';
+import { Powerup, PowerupKind } from '../js/entities/Powerup.js';
+import { PowerupSystem } from '../js/systems/PowerupSystem.js';
+import { Bunker } from '../js/entities/Bunker.js';
+import { Boss } from '../js/entities/Boss.js';
+import { MysteryShip } from '../js/entities/MysteryShip.js';
+import { Random } from '../js/Random.js';
+import { ParticleSystem, PARTICLE_PRESETS } from '../js/systems/ParticleSystem.js';
 import { CONFIG } from '../js/config.js';
+import { rectIntersect } from '../js/utils.js';
+
+/**
+ * Builds a crowded random scene - enemies packed closer than their size, so bullets often overlap two
+ * @param {number} seed - Scene seed
+ * @returns {Object} Scene {enemies, bullets, offset}
+ */
+function createCrowdedScene(seed) {
+    const rng = new Random(seed);
+    const types = [BeerType.LAGER, BeerType.IPA, BeerType.STOUT];
+    const enemies = [];
+    const bullets = [];
+
+    for (let row = 0; row < 6; row++) {
+        for (let col = 0; col < 12; col++) {
+            enemies.push(new Enemy(col * 40, row * 40, types[Math.floor(rng.random() * 3)]));
+        }
+    }
+
+    for (let i = 0; i < 150; i++) {
+        bullets.push(new Bullet(rng.random() * 600 - 60, rng.random() * 360 - 60, -500, types[Math.floor(rng.random() * 3)]));
+    }
+
+    return { enemies, bullets, offset: { x: -20, y: -30 } };
+}
+
+/**
+ * Bullet vs enemy check as a plain nested loop - the reference the broadphase must match
+ * @param {Array<Bullet>} bullets - Bullets
+ * @param {Array<Enemy>} enemies - Enemies
+ * @param {Object} offset - Formation offset
+ * @returns {Array<string>} Hits as 'bullet:enemy:kind'
+ */
+function bruteForceBulletEnemy(bullets, enemies, offset) {
+    const hits = [];
+
+    bullets.forEach((bullet, b) => {
+        if (!bullet.active) return;
+
+        for (const [e, enemy] of enemies.entries()) {
+            if (!enemy.alive || enemy.dying) continue;
+            if (!rectIntersect(bullet.getBounds(), enemy.getBounds(offset))) continue;
+
+            bullet.destroy();
+            if (enemy.matchesType(bullet.type)) {
+                enemy.kill();
+                hits.push(`${b}:${e}:kill`);
+            } else {
+                hits.push(`${b}:${e}:mismatch`);
+            }
+            break;
+        }
+    });
+
+    return hits;
+}
+
+describe('SpatialHash', () => {
+    let grid;
+
+    beforeEach(() => {
+        grid = new SpatialHash(50);
+    });
+
+    test('finds items sharing a cell with the query', () => {
+        grid.insert('a', { x: 10, y: 10, width: 20, height: 20 });
+        grid.insert('b', { x: 300, y: 300, width: 20, height: 20 });
+
+        const found = grid.query({ x: 0, y: 0, width: 40, height: 40 }).map(entry => entry.item);
+        expect(found).toEqual(['a']);
+    });
+
+    test('returns an item spanning several cells once', () => {
+        grid.insert('wide', { x: 0, y: 0, width: 180, height: 120 });
+
+        expect(grid.query({ x: 0, y: 0, width: 200, height: 200 })).toHaveLength(1);
+    });
+
+    test('returns items in insertion order', () => {
+        grid.insert('late', { x: 60, y: 60, width: 10, height: 10 });
+        grid.insert('early', { x: 10, y: 10, width: 10, height: 10 });
+
+        const found = grid.query({ x: 0, y: 0, width: 100, height: 100 }).map(entry => entry.item);
+        expect(found).toEqual(['late', 'early']);
+    });
+
+    test('handles negative coordinates', () => {
+        grid.insert('offscreen', { x: -80, y: -80, width: 10, height: 10 });
+
+        expect(grid.query({ x: -75, y: -75, width: 1, height: 1 })).toHaveLength(1);
+        expect(grid.query({ x: 5, y: 5, width: 1, height: 1 })).toHaveLength(0);
+    });
+
+    test('clear empties the grid', () => {
+        grid.insert('a', { x: 10, y: 10, width: 20, height: 20 });
+        grid.clear();
+
+        expect(grid.query({ x: 0, y: 0, width: 40, height: 40 })).toHaveLength(0);
+    });
+});
 
 describe('CollisionSystem', () => {
     let collisionSystem;
@@ -29,6 +139,72 @@ describe('CollisionSystem', () => {
     });
 
     describe('checkBulletEnemyCollisions', () => {
+        // Both with the grid and with the full scan small formations use
+        for (const [mode, gridMinPairs] of [['grid', 0], ['scan', Infinity]]) {
+            test(`matches a plain nested loop on crowded scenes (${mode})`, () => {
+                const originalMin = CONFIG.COLLISION.gridMinPairs;
+                CONFIG.COLLISION.gridMinPairs = gridMinPairs;
+
+                try {
+                    for (let seed = 1; seed <= 5; seed++) {
+                        const reference = createCrowdedScene(seed);
+                        const expected = bruteForceBulletEnemy(reference.bullets, reference.enemies, reference.offset);
+
+                        const scene = createCrowdedScene(seed);
+                        collisionSystem.prepareEnemies(scene.enemies, scene.offset, scene.bullets.length);
+                        expect(collisionSystem.useGrid).toBe(mode === 'grid');
+
+                        const kills = collisionSystem.checkBulletEnemyCollisions(scene.bullets, scene.enemies, scene.offset);
+                        const hits = collisionSystem.getEvents().map(event =>
+                            `${scene.bullets.indexOf(event.bullet)}:${scene.enemies.indexOf(event.enemy)}:` +
+                            (event.type === 'bullet_enemy' ? 'kill' : 'mismatch')
+                        );
+
+                        expect(hits.slice().sort()).toEqual(expected.slice().sort());
+                        expect(kills.length).toBe(expected.filter(hit => hit.endsWith('kill')).length);
+                        collisionSystem.clear();
+                    }
+                } finally {
+                    CONFIG.COLLISION.gridMinPairs = originalMin;
+                }
+            });
+        }
+
+        test('gathers enemy bounds once per tick across the enemy checks', () => {
+            const enemy = new Enemy(100, 100, EnemyType.TYPE1);
+            let boundsCalls = 0;
+            const getBounds = enemy.getBounds.bind(enemy);
+            enemy.getBounds = (offset) => {
+                boundsCalls++;
+                return getBounds(offset);
+            };
+
+            const enemies = [enemy];
+            const offset = { x: 0, y: 0 };
+            collisionSystem.prepareEnemies(enemies, offset, 1);
+            collisionSystem.checkBulletEnemyCollisions([new Bullet(400, 400, -500)], enemies, offset);
+            collisionSystem.checkPowerAttackEnemyCollisions([], enemies, offset);
+            expect(boundsCalls).toBe(1);
+
+            // The next tick gathers again
+            collisionSystem.clear();
+            collisionSystem.checkBulletEnemyCollisions([new Bullet(400, 400, -500)], enemies, offset);
+            expect(boundsCalls).toBe(2);
+        });
+
+        test('a new formation offset is measured afresh, prepared or not', () => {
+            const enemies = [new Enemy(100, 100, EnemyType.TYPE1)];
+
+            // Without clear() in between, as a caller outside the tick loop might
+            expect(collisionSystem.checkBulletEnemyCollisions([new Bullet(150, 100, -500)], enemies, { x: 0, y: 0 })).toHaveLength(0);
+            expect(collisionSystem.checkBulletEnemyCollisions([new Bullet(150, 100, -500)], enemies, { x: 50, y: 0 })).toHaveLength(1);
+
+            const moved = [new Enemy(100, 100, EnemyType.TYPE1)];
+            collisionSystem.prepareEnemies(moved, { x: 0, y: 0 }, 1);
+            const hits = collisionSystem.checkBulletEnemyCollisions([new Bullet(150, 100, -500)], moved, { x: 50, y: 0 });
+            expect(hits).toHaveLength(1);
+        });
+
         test('detects collision between bullet and enemy', () => {
             const bullet = new Bullet(100, 100, -500);
             const enemy = new Enemy(100, 100, EnemyType.TYPE1);
@@ -105,6 +281,45 @@ describe('CollisionSystem', () => {
             expect(collisions.length).toBe(0);
         });
 
+        test('mismatched beer type does not kill enemy', () => {
+            const bullet = new Bullet(100, 100, -500, BeerType.IPA);
+            const enemy = new Enemy(100, 100, EnemyType.TYPE1);
+
+            const collisions = collisionSystem.checkBulletEnemyCollisions(
+                [bullet],
+                [enemy],
+                { x: 0, y: 0 }
+            );
+
+            expect(collisions.length).toBe(0);
+            expect(enemy.dying).toBe(false);
+            expect(bullet.active).toBe(false);
+        });
+
+        test('mismatched hit records mismatch event and deflects', () => {
+            const bullet = new Bullet(100, 100, -500, BeerType.STOUT);
+            const enemy = new Enemy(100, 100, EnemyType.TYPE2);
+
+            collisionSystem.checkBulletEnemyCollisions([bullet], [enemy], { x: 0, y: 0 });
+
+            expect(collisionSystem.getEventsByType('bullet_enemy_mismatch').length).toBe(1);
+            expect(enemy.deflectTimer).toBeGreaterThan(0);
+        });
+
+        test('matching beer type kills any enemy type', () => {
+            const bullet = new Bullet(100, 100, -500, BeerType.STOUT);
+            const enemy = new Enemy(100, 100, EnemyType.TYPE3);
+
+            const collisions = collisionSystem.checkBulletEnemyCollisions(
+                [bullet],
+                [enemy],
+                { x: 0, y: 0 }
+            );
+
+            expect(collisions.length).toBe(1);
+            expect(enemy.dying).toBe(true);
+        });
+
         test('respects formation offset', () => {
             const bullet = new Bullet(200, 200, -500);
             const enemy = new Enemy(100, 100, EnemyType.TYPE1);
@@ -121,6 +336,97 @@ describe('CollisionSystem', () => {
         });
     });
 
+    describe('checkEnemyBulletPlayerCollisions', () => {
+        test('detects enemy bullet hitting player', () => {
+            const player = new Player(400, 500);
+            const bullet = new EnemyBullet(400, 500);
+
+            const collisions = collisionSystem.checkEnemyBulletPlayerCollisions([bullet], player);
+
+            expect(collisions.length).toBe(1);
+            expect(collisions[0].type).toBe('enemy_bullet_player');
+            expect(bullet.active).toBe(false);
+        });
+
+        test('ignores bullets away from player', () => {
+            const player = new Player(400, 500);
+            const bullet = new EnemyBullet(100, 100);
+
+            const collisions = collisionSystem.checkEnemyBulletPlayerCollisions([bullet], player);
+
+            expect(collisions.length).toBe(0);
+            expect(bullet.active).toBe(true);
+        });
+    });
+
+    describe('checkPlayerPowerupCollisions', () => {
+        test('collects overlapping powerup', () => {
+            const player = new Player(400, 500);
+            const powerup = new Powerup(400, 500, PowerupKind.FOAM);
+
+            const collisions = collisionSystem.checkPlayerPowerupCollisions(player, [powerup]);
+
+            expect(collisions.length).toBe(1);
+            expect(powerup.active).toBe(false);
+        });
+    });
+
+    describe('checkBulletMysteryShipCollisions', () => {
+        test('destroys ship and bullet on hit', () => {
+            const ship = new MysteryShip(1);
+            ship.x = 200;
+            const bullet = new Bullet(200, ship.y, -500, BeerType.STOUT);
+
+            const collisions = collisionSystem.checkBulletMysteryShipCollisions([bullet], ship);
+
+            expect(collisions.length).toBe(1);
+            expect(collisions[0].type).toBe('bullet_mystery');
+            expect(ship.active).toBe(false);
+            expect(bullet.active).toBe(false);
+        });
+
+        test('returns empty without a ship', () => {
+            const bullet = new Bullet(200, 40, -500);
+
+            expect(collisionSystem.checkBulletMysteryShipCollisions([bullet], null)).toEqual([]);
+        });
+    });
+
+    describe('checkBulletBunkerCollisions', () => {
+        test('player bullet erodes bunker and is destroyed', () => {
+            const bunker = new Bunker(200, 400);
+            const bullet = new Bullet(180, 420, -500);
+
+            const collisions = collisionSystem.checkBulletBunkerCollisions([bullet], [bunker]);
+
+            expect(collisions.length).toBe(1);
+            expect(collisions[0].type).toBe('bullet_bunker');
+            expect(bullet.active).toBe(false);
+            expect(bunker.getCell(collisions[0].col, collisions[0].row)).toBe(0);
+        });
+
+        test('enemy bullet erodes bunker from above', () => {
+            const bunker = new Bunker(200, 400);
+            const bullet = new EnemyBullet(200, 380);
+
+            const collisions = collisionSystem.checkBulletBunkerCollisions([bullet], [bunker]);
+
+            expect(collisions.length).toBe(1);
+            expect(collisions[0].row).toBe(0);
+        });
+
+        test('bullets pass through destroyed cells', () => {
+            const bunker = new Bunker(200, 400);
+            bunker.cells.fill(0);
+            const bullet = new Bullet(200, 400, -500);
+
+            const collisions = collisionSystem.checkBulletBunkerCollisions([bullet], [bunker]);
+
+            expect(collisions.length).toBe(0);
+            expect(bullet.active).toBe(true);
+        });
+    });
+
     describe('checkEnemyReachBottom', () => {
         test('returns true when enemy crosses bottom line', () => {
             const enemy = new Enemy(100, 520, EnemyType.TYPE1);
@@ -225,6 +531,14 @@ describe('ScoreSystem', () => {
         });
     });
 
+    describe('addBonus', () => {
+        test('adds points without power', () => {
+            scoreSystem.addBonus(150);
+            expect(scoreSystem.getScore()).toBe(150);
+            expect(scoreSystem.getPower()).toBe(0);
+        });
+    });
+
     describe('addBossKill', () => {
         test('adds boss reward score', () => {
             scoreSystem.addBossKill();
@@ -235,6 +549,12 @@ describe('ScoreSystem', () => {
             scoreSystem.addBossKill();
             expect(scoreSystem.getPower()).toBe(CONFIG.GAMEPLAY.bossRewardPower);
         });
+
+        test('accepts custom rewards', () => {
+            scoreSystem.addBossKill(1000, 20);
+            expect(scoreSystem.getScore()).toBe(1000);
+            expect(scoreSystem.getPower()).toBe(20);
+        });
     });
 
     describe('power management', () => {
@@ -403,6 +723,188 @@ describe('SpawnSystem', () => {
         });
     });
 
+    describe('getFireIntervalForWave', () => {
+        test('returns base interval at base speed', () => {
+            expect(spawnSystem.getFireIntervalForWave(0)).toBe(CONFIG.GAMEPLAY.enemyFireInterval);
+        });
+
+        test('fires more often on later waves', () => {
+            expect(spawnSystem.getFireIntervalForWave(5))
+                .toBeLessThan(spawnSystem.getFireIntervalForWave(1));
+        });
+
+        test('follows an authored speed', () => {
+            const speed = CONFIG.GAMEPLAY.enemySpeed * 2;
+            expect(spawnSystem.getFireIntervalForWave(1, speed)).toBe(CONFIG.GAMEPLAY.enemyFireInterval / 2);
+        });
+    });
+
+    describe('bunkers', () => {
+        test('createBunkers spaces bunkers above the player', () => {
+            const bunkers = spawnSystem.createBunkers(4);
+
+            expect(bunkers.length).toBe(4);
+            for (const bunker of bunkers) {
+                expect(bunker.y).toBeLessThan(CONFIG.GAMEPLAY.playerStartY);
+            }
+            expect(bunkers[1].x).toBeGreaterThan(bunkers[0].x);
+        });
+
+        test('shouldRegenerateBunkers on first wave and configured interval', () => {
+            const interval = CONFIG.GAMEPLAY.bunkerRegenWaves;
+
+            expect(spawnSystem.shouldRegenerateBunkers(1)).toBe(true);
+            expect(spawnSystem.shouldRegenerateBunkers(2)).toBe(false);
+            expect(spawnSystem.shouldRegenerateBunkers(1 + interval)).toBe(true);
+        });
+    });
+
+    describe('mystery ship', () => {
+        test('updateMysteryTimer fires once the interval elapses', () => {
+            spawnSystem.mysteryTimer = 1000;
+
+            expect(spawnSystem.updateMysteryTimer(0.5, 1)).toBe(false);
+            expect(spawnSystem.updateMysteryTimer(0.5, 1)).toBe(true);
+            expect(spawnSystem.mysteryTimer).toBeGreaterThanOrEqual(CONFIG.GAMEPLAY.mysteryMinInterval);
+        });
+
+        test('never spawns during boss waves', () => {
+            spawnSystem.mysteryTimer = 0;
+
+            expect(spawnSystem.updateMysteryTimer(1, CONFIG.GAMEPLAY.bossSpawnWave)).toBe(false);
+        });
+
+        test('rollMysteryScore stays within range in steps', () => {
+            for (let i = 0; i < 50; i++) {
+                const points = spawnSystem.rollMysteryScore();
+                expect(points).toBeGreaterThanOrEqual(CONFIG.GAMEPLAY.mysteryScoreStep);
+                expect(points).toBeLessThanOrEqual(CONFIG.GAMEPLAY.mysteryScoreMax);
+                expect(points % CONFIG.GAMEPLAY.mysteryScoreStep).toBe(0);
+            }
+        });
+    });
+
+    describe('seeded randomness', () => {
+        test('same seed reproduces random waves and rewards', () => {
+            const a = new SpawnSystem(new Random(2024));
+            const b = new SpawnSystem(new Random(2024));
+
+            const typesA = a.createRandomWave().map(enemy => enemy.type);
+            const typesB = b.createRandomWave().map(enemy => enemy.type);
+
+            expect(typesA).toEqual(typesB);
+            expect(a.rollMysteryScore()).toBe(b.rollMysteryScore());
+            expect(a.mysteryTimer).toBe(b.mysteryTimer);
+        });
+    });
+
+    describe('authored waves', () => {
+        const definitions = [
+            { layout: ['3.3', '121'], speed: 70, stepDown: 35, modifiers: { fireRate: 2, mysteryShip: false } },
+            { boss: true }
+        ];
+
+        beforeEach(() => {
+            spawnSystem.setWaveDefinitions(definitions);
+        });
+
+        test('createWaveFromLayout places typed enemies and skips empty cells', () => {
+            const enemies = spawnSystem.createWaveFromLayout(['3.3', '121']);
+
+            expect(enemies.length).toBe(5);
+            expect(enemies[0].type).toBe(EnemyType.TYPE3);
+            expect(enemies[1].localX).toBe(CONFIG.GAMEPLAY.enemyStartX + 2 * CONFIG.GAMEPLAY.enemySpacingX);
+            expect(enemies[2].localY).toBe(CONFIG.GAMEPLAY.enemyStartY + CONFIG.GAMEPLAY.enemySpacingY);
+        });
+
+        test('createWaveForNumber uses the authored layout', () => {
+            expect(spawnSystem.createWaveForNumber(1).length).toBe(5);
+        });
+
+        test('falls back to the procedural grid once authored waves run out', () => {
+            const enemies = spawnSystem.createWaveForNumber(3);
+            expect(enemies.length).toBe(CONFIG.GAMEPLAY.enemyRows * CONFIG.GAMEPLAY.enemyCols);
+            expect(spawnSystem.getWaveSettings(3).speed).toBe(spawnSystem.getSpeedForWave(3));
+        });
+
+        test('boss flag overrides the procedural boss schedule', () => {
+            expect(spawnSystem.shouldSpawnBoss(2)).toBe(true);
+            expect(spawnSystem.shouldSpawnBoss(CONFIG.GAMEPLAY.bossSpawnWave * 2)).toBe(true);
+        });
+
+        test('getWaveSettings applies speed, step-down and modifiers', () => {
+            const settings = spawnSystem.getWaveSettings(1);
+            const speedRatio = 70 / CONFIG.GAMEPLAY.enemySpeed;
+
+            expect(settings.speed).toBe(70);
+            expect(settings.stepDown).toBe(35);
+            expect(settings.fireInterval).toBeCloseTo(CONFIG.GAMEPLAY.enemyFireInterval / speedRatio / 2);
+            expect(settings.fireChance).toBe(CONFIG.GAMEPLAY.enemyFireChance);
+            expect(settings.mysteryShip).toBe(false);
+        });
+
+        test('mystery ship stays away when the wave disables it', () => {
+            expect(spawnSystem.updateMysteryTimer(CONFIG.GAMEPLAY.mysteryMaxInterval, 1)).toBe(false);
+        });
+
+        test('a wave whose file failed is generated, and later waves keep their slot', () => {
+            spawnSystem.setWaveDefinitions([definitions[0], null, definitions[1]]);
+
+            expect(spawnSystem.createWaveForNumber(2).length).toBe(CONFIG.GAMEPLAY.enemyRows * CONFIG.GAMEPLAY.enemyCols);
+            expect(spawnSystem.shouldSpawnBoss(2)).toBe(2 % CONFIG.GAMEPLAY.bossSpawnWave === 0);
+            expect(spawnSystem.shouldSpawnBoss(3)).toBe(true);
+        });
+    });
+
+    describe('boss roster', () => {
+        test('first boss uses the first roster entry', () => {
+            const data = spawnSystem.createBossData();
+            expect(data.name).toBe(BOSS_ROSTER[0].name);
+            expect(data.spriteKey).toBe(BOSS_ROSTER[0].spriteKey);
+            expect(data.hp).toBe(Math.round(CONFIG.GAMEPLAY.bossHP * BOSS_ROSTER[0].hpScale));
+        });
+
+        test('rotates through the roster by appearance', () => {
+            const first = spawnSystem.createBossData();
+            spawnSystem.createBossData();
+            const third = spawnSystem.createBossData();
+
+            expect(spawnSystem.bossCount).toBe(3);
+            expect(third.name).not.toBe(first.name);
+            expect(third.width).not.toBe(first.width);
+            expect(third.phases).not.toBe(first.phases);
+        });
+
+        test('repeated roster bosses get more HP', () => {
+            const first = spawnSystem.createBossData();
+            for (let i = 1; i < BOSS_ROSTER.length; i++) {
+                spawnSystem.createBossData();
+            }
+            const repeat = spawnSystem.createBossData();
+
+            expect(repeat.name).toBe(first.name);
+            expect(repeat.hp).toBeGreaterThan(first.hp);
+        });
+
+        test('reset restarts the roster', () => {
+            spawnSystem.createBossData();
+            spawnSystem.reset();
+            expect(spawnSystem.getNextBossDefinition()).toBe(BOSS_ROSTER[0]);
+        });
+
+        test('every boss spawns with its HP bar and label on screen', () => {
+            for (const definition of BOSS_ROSTER) {
+                const data = spawnSystem.createBossData();
+                const boss = new Boss(data.x, data.y, data.hp, data);
+                boss.y = boss.baseY - 20; // Top of the hover bob
+
+                expect(boss.getHPBarY()).toBeGreaterThanOrEqual(0);
+                expect(boss.getHPBarY() - 15).toBeGreaterThanOrEqual(0); // Name label over the bar
+                expect(data.name).toBe(definition.name);
+            }
+        });
+    });
+
     describe('wave management', () => {
         test('nextWave increments wave number', () => {
             spawnSystem.nextWave();
@@ -436,6 +938,51 @@ describe('SpawnSystem', () => {
     });
 });
 
+describe('PowerupSystem', () => {
+    let powerups;
+
+    beforeEach(() => {
+        powerups = new PowerupSystem();
+    });
+
+    test('activate starts effect timer', () => {
+        powerups.activate(PowerupKind.ICE);
+
+        expect(powerups.isActive(PowerupKind.ICE)).toBe(true);
+        expect(powerups.getRemaining(PowerupKind.ICE)).toBe(CONFIG.GAMEPLAY.powerupDuration);
+        expect(powerups.isActive(PowerupKind.FOAM)).toBe(false);
+    });
+
+    test('effects expire after duration', () => {
+        powerups.activate(PowerupKind.FOAM);
+
+        powerups.update(CONFIG.GAMEPLAY.powerupDuration / 1000);
+
+        expect(powerups.isActive(PowerupKind.FOAM)).toBe(false);
+        expect(powerups.getActiveEffects().length).toBe(0);
+    });
+
+    test('picking up same kind refreshes timer instead of stacking', () => {
+        powerups.activate(PowerupKind.ICE);
+        powerups.update(2);
+        powerups.activate(PowerupKind.ICE);
+
+        expect(powerups.getRemaining(PowerupKind.ICE)).toBe(CONFIG.GAMEPLAY.powerupDuration);
+    });
+
+    test('rollDrop respects chance', () => {
+        expect(powerups.rollDrop(100, 100, 0)).toBeNull();
+        expect(powerups.rollDrop(100, 100, 1)).toBeInstanceOf(Powerup);
+    });
+
+    test('reset clears effects', () => {
+        powerups.activate(PowerupKind.ICE);
+        powerups.reset();
+
+        expect(powerups.isActive(PowerupKind.ICE)).toBe(false);
+    });
+});
+
 describe('FormationController', () => {
     let formation;
 
@@ -449,6 +996,16 @@ describe('FormationController', () => {
         expect(offset.y).toBe(0);
     });
 
+    test('interpolates offset between ticks', () => {
+        formation.storePreviousOffset();
+        formation.offsetX = 10;
+        formation.offsetY = 20;
+
+        const offset = formation.getInterpolatedOffset(0.5);
+        expect(offset.x).toBe(5);
+        expect(offset.y).toBe(10);
+    });
+
     test('initializes moving right', () => {
         expect(formation.direction).toBe(1);
     });
@@ -461,6 +1018,53 @@ describe('FormationController', () => {
         expect(offset.x).toBeGreaterThan(0);
     });
 
+    test('getShooters returns bottom-most living enemy per column', () => {
+        const top = new Enemy(100, 80, EnemyType.TYPE3);
+        const bottom = new Enemy(100, 120, EnemyType.TYPE1);
+        const other = new Enemy(150, 80, EnemyType.TYPE2);
+
+        const shooters = formation.getShooters([top, bottom, other]);
+
+        expect(shooters.length).toBe(2);
+        expect(shooters).toContain(bottom);
+        expect(shooters).toContain(other);
+    });
+
+    test('getShooters skips dying enemies', () => {
+        const top = new Enemy(100, 80, EnemyType.TYPE3);
+        const bottom = new Enemy(100, 120, EnemyType.TYPE1);
+        bottom.kill();
+
+        expect(formation.getShooters([top, bottom])).toEqual([top]);
+    });
+
+    test('updateFiring fires downward bullets when timer elapses', () => {
+        const enemies = [new Enemy(100, 80, EnemyType.TYPE1)];
+        formation.fireChance = 1;
+
+        const bullets = formation.updateFiring(formation.fireInterval / 1000, enemies);
+
+        expect(bullets.length).toBe(1);
+        expect(bullets[0]).toBeInstanceOf(EnemyBullet);
+        expect(bullets[0].velocityY).toBeGreaterThan(0);
+    });
+
+    test('updateFiring waits for fire interval', () => {
+        const enemies = [new Enemy(100, 80, EnemyType.TYPE1)];
+        formation.fireChance = 1;
+
+        expect(formation.updateFiring(0.01, enemies).length).toBe(0);
+    });
+
+    test('speedMultiplier slows formation movement', () => {
+        const enemies = [new Enemy(400, 100, EnemyType.TYPE1)];
+        formation.speedMultiplier = 0.5;
+
+        formation.update(0.1, enemies);
+
+        expect(formation.getOffset().x).toBeCloseTo(formation.speed * 0.05, 5);
+    });
+
     test('increaseSpeed increases formation speed', () => {
         const initialSpeed = formation.speed;
         formation.increaseSpeed(10);
@@ -478,4 +1082,78 @@ describe('FormationController', () => {
         expect(formation.offsetY).toBe(0);
         expect(formation.direction).toBe(1);
     });
+
+    test('getDescent measures progress toward the bottom line', () => {
+        const enemy = new Enemy(100, 100, EnemyType.TYPE1);
+        const travel = 400 - (100 + enemy.height / 2);
+
+        expect(formation.getDescent([enemy], 400)).toBe(0);
+
+        formation.offsetY = travel / 2;
+        expect(formation.getDescent([enemy], 400)).toBeCloseTo(0.5);
+
+        formation.offsetY = travel * 2;
+        expect(formation.getDescent([enemy], 400)).toBe(1);
+        expect(formation.getDescent([], 400)).toBe(0);
+    });
+});
+
+describe('ParticleSystem', () => {
+    let particles;
+
+    beforeEach(() => {
+        particles = new ParticleSystem(50);
+    });
+
+    test('burst emits the preset count', () => {
+        particles.burst(100, 100, 'enemyDeath');
+        expect(particles.getCount()).toBe(PARTICLE_PRESETS.enemyDeath.count);
+    });
+
+    test('emits past the pool size are dropped', () => {
+        particles.burst(100, 100, 'bossExplosion');
+        expect(particles.getCount()).toBe(50);
+    });
+
+    test('expired particles are recycled', () => {
+        particles.burst(100, 100, 'bulletImpact');
+        particles.update(1);
+        expect(particles.getCount()).toBe(0);
+
+        particles.burst(100, 100, 'bulletImpact', { count: 3 });
+        expect(particles.getCount()).toBe(3);
+    });
+
+    test('cone aims particles within its spread', () => {
+        particles.cone(0, 0, Math.PI / 2, 0.2, 'bulletImpact', { count: 10 });
+
+        for (let i = 0; i < particles.getCount(); i++) {
+            expect(particles.pool[i].vy).toBeGreaterThan(0);
+            expect(Math.abs(particles.pool[i].vx)).toBeLessThan(particles.pool[i].vy);
+        }
+    });
+
+    test('gravity pulls particles down', () => {
+        particles.cone(0, 0, 0, 0, 'barrelDebris', { count: 1, drag: 0 });
+        const p = particles.pool[0];
+        const vy = p.vy;
+
+        particles.update(0.1);
+        expect(p.vy).toBeCloseTo(vy + PARTICLE_PRESETS.barrelDebris.gravity * 0.1);
+    });
+
+    test('trail emits at its rate across updates', () => {
+        const trail = particles.createTrail('exhaust', 20, Math.PI / 2, 0.4);
+        for (let i = 0; i < 10; i++) {
+            trail.update(0, 0, 0.01);
+        }
+        expect(particles.getCount()).toBe(2);
+    });
+
+    test('color ramp blends between stops', () => {
+        const ramp = [[0, 0, 0], [255, 255, 255]];
+        expect(particles.getRampColor(ramp, 0)).toBe('rgb(0, 0, 0)');
+        expect(particles.getRampColor(ramp, 0.5)).toBe('rgb(128, 128, 128)');
+        expect(particles.getRampColor(ramp, 1)).toBe('rgb(255, 255, 255)');
+    });
 });
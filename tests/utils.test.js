@@ -11,6 +11,8 @@ import {
     randomInt,
     distance,
     lerp,
+    storePreviousPosition,
+    drawInterpolated,
     degToRad,
     getEightDirections
 } from '../js/utils.js';
@@ -149,6 +151,33 @@ describe('lerp', () => {
     });
 });
 
+describe('drawInterpolated', () => {
+    test('draws at the interpolated position and restores it', () => {
+        const entity = { x: 0, y: 0 };
+        storePreviousPosition(entity);
+        entity.x = 100;
+        entity.y = 40;
+
+        let drawnAt = null;
+        drawInterpolated(entity, 0.25, () => {
+            drawnAt = { x: entity.x, y: entity.y };
+        });
+
+        expect(drawnAt).toEqual({ x: 25, y: 10 });
+        expect(entity.x).toBe(100);
+        expect(entity.y).toBe(40);
+    });
+
+    test('draws new entities where they are', () => {
+        const entity = { x: 50, y: 60 };
+        let drawnX = null;
+        drawInterpolated(entity, 0.5, () => {
+            drawnX = entity.x;
+        });
+        expect(drawnX).toBe(50);
+    });
+});
+
 describe('degToRad', () => {
     test('converts 0 degrees', () => {
         expect(degToRad(0)).toBe(0);